@@ -0,0 +1,32 @@
+// Knex migration for the analytics database (`../db`), not the league store.
+exports.up = async (knex) => {
+  if (await knex.schema.hasTable('team_metrics')) return
+  await knex.schema.createTable('team_metrics', (table) => {
+    table.text('team_id').notNullable()
+    table.text('league_id').notNullable()
+    table.integer('season').notNullable()
+    table.integer('games').notNullable().defaultTo(0)
+    table.integer('wins').notNullable().defaultTo(0)
+    table.integer('losses').notNullable().defaultTo(0)
+    table.integer('ties').notNullable().defaultTo(0)
+    table.decimal('points_for', 10, 2).notNullable().defaultTo(0)
+    table.decimal('points_against', 10, 2).notNullable().defaultTo(0)
+    table.integer('all_play_wins').notNullable().defaultTo(0)
+    table.integer('all_play_losses').notNullable().defaultTo(0)
+    table.integer('all_play_ties').notNullable().defaultTo(0)
+    table.decimal('expected_wins', 6, 3).notNullable().defaultTo(0)
+    table.decimal('luck', 6, 3).notNullable().defaultTo(0)
+    table.decimal('points_std_dev', 10, 2).notNullable().defaultTo(0)
+    table.decimal('max_points', 10, 2)
+    table.integer('max_week')
+    table.decimal('min_points', 10, 2)
+    table.integer('min_week')
+    table.decimal('strength_of_schedule', 5, 3)
+    table.decimal('consistency_score', 5, 2).notNullable().defaultTo(0)
+    table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now())
+    table.primary(['team_id', 'league_id', 'season'])
+    table.index(['league_id', 'season'], 'team_metrics_league_season_idx')
+  })
+}
+
+exports.down = (knex) => knex.schema.dropTableIfExists('team_metrics')
@@ -0,0 +1,14 @@
+exports.up = async (knex) => {
+  if (!(await knex.schema.hasTable('premium_metrics'))) return
+  if (await knex.schema.hasColumn('premium_metrics', 'playoff_odds')) return
+  await knex.schema.alterTable('premium_metrics', (table) => {
+    table.jsonb('playoff_odds')
+  })
+}
+
+exports.down = async (knex) => {
+  if (!(await knex.schema.hasColumn('premium_metrics', 'playoff_odds'))) return
+  await knex.schema.alterTable('premium_metrics', (table) => {
+    table.dropColumn('playoff_odds')
+  })
+}
@@ -1,6 +1,147 @@
+const path = require('path')
 const cron = require('node-cron')
 const db = require('../db')
 const logger = require('../logger')
+const { resolvePlayoffFormat, simulatePlayoffs } = require('./playoffsimulator')
+
+const PREMIUM_STATUSES = ['active', 'trialing']
+// Knex migrations for the analytics tables. They run against `../db`, not the
+// league store, so they are kept apart from migrations/*.sql.
+const MIGRATIONS_DIR = path.resolve(__dirname, 'analytics_migrations')
+
+const round = (value, digits = 2) => Number(value.toFixed(digits))
+
+function standardDeviation(values) {
+  if (!values.length) return 0
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length)
+}
+
+// Coefficient of variation mapped onto 0-100: a team that scores the same
+// every week gets 100, one whose weekly spread equals its average gets 0.
+function spreadConsistency(mean, stdDev) {
+  if (!mean) return 0
+  return round(Math.max(0, Math.min(100, 100 * (1 - stdDev / mean))))
+}
+
+// Each games row is one team's result for a week: team_id, opponent_id,
+// league_id, season, week, points_scored and result. Scheduled games that
+// haven't been played yet have no result.
+async function computeTeamMetrics(leagueId, season) {
+  try {
+    const games = await db('games')
+      .where({ league_id: leagueId, season })
+      .whereNotNull('result')
+      .select('team_id', 'opponent_id', 'week', 'points_scored', 'result')
+    if (!games.length) {
+      logger.warn(`No games found for league ${leagueId} season ${season}`)
+      return []
+    }
+
+    const weeks = new Map()
+    games.forEach(g => {
+      if (!weeks.has(g.week)) weeks.set(g.week, new Map())
+      weeks.get(g.week).set(String(g.team_id), Number(g.points_scored))
+    })
+
+    const teams = new Map()
+    const teamFor = teamId => {
+      if (!teams.has(teamId)) {
+        teams.set(teamId, {
+          games: 0, wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0,
+          allPlayWins: 0, allPlayLosses: 0, allPlayTies: 0, expectedWins: 0,
+          scores: [], max: null, min: null, opponents: []
+        })
+      }
+      return teams.get(teamId)
+    }
+
+    games.forEach(g => {
+      const teamId = String(g.team_id)
+      const team = teamFor(teamId)
+      const points = Number(g.points_scored)
+      const weekScores = weeks.get(g.week)
+      const opponentPoints = g.opponent_id != null ? weekScores.get(String(g.opponent_id)) : undefined
+
+      team.games++
+      if (g.result === 'win') team.wins++
+      else if (g.result === 'loss') team.losses++
+      else if (g.result === 'tie') team.ties++
+      team.pointsFor += points
+      if (opponentPoints !== undefined) {
+        team.pointsAgainst += opponentPoints
+        team.opponents.push(String(g.opponent_id))
+      }
+      team.scores.push(points)
+      if (!team.max || points > team.max.points) team.max = { week: g.week, points }
+      if (!team.min || points < team.min.points) team.min = { week: g.week, points }
+
+      // All-play: this week's score against every other team in the league.
+      let weekWins = 0, weekLosses = 0, weekTies = 0
+      weekScores.forEach((other, otherId) => {
+        if (otherId === teamId) return
+        if (points > other) weekWins++
+        else if (points < other) weekLosses++
+        else weekTies++
+      })
+      team.allPlayWins += weekWins
+      team.allPlayLosses += weekLosses
+      team.allPlayTies += weekTies
+      const opponents = weekWins + weekLosses + weekTies
+      if (opponents) team.expectedWins += (weekWins + weekTies / 2) / opponents
+    })
+
+    const allPlayPct = t => {
+      const total = t.allPlayWins + t.allPlayLosses + t.allPlayTies
+      return total ? (t.allPlayWins + t.allPlayTies / 2) / total : 0
+    }
+
+    const now = new Date()
+    const rows = [...teams.entries()].map(([teamId, t]) => {
+      const mean = t.pointsFor / t.games
+      const stdDev = standardDeviation(t.scores)
+      // Strength of schedule: average all-play win rate of the opponents faced,
+      // so it reflects how good they were rather than how lucky.
+      const strength = t.opponents.length
+        ? t.opponents.reduce((sum, id) => sum + (teams.has(id) ? allPlayPct(teams.get(id)) : 0), 0) / t.opponents.length
+        : null
+      return {
+        team_id: teamId,
+        league_id: String(leagueId),
+        season,
+        games: t.games,
+        wins: t.wins,
+        losses: t.losses,
+        ties: t.ties,
+        points_for: round(t.pointsFor),
+        points_against: round(t.pointsAgainst),
+        all_play_wins: t.allPlayWins,
+        all_play_losses: t.allPlayLosses,
+        all_play_ties: t.allPlayTies,
+        expected_wins: round(t.expectedWins, 3),
+        luck: round(t.wins + t.ties / 2 - t.expectedWins, 3),
+        points_std_dev: round(stdDev),
+        max_points: t.max.points,
+        max_week: t.max.week,
+        min_points: t.min.points,
+        min_week: t.min.week,
+        strength_of_schedule: strength === null ? null : round(strength, 3),
+        consistency_score: spreadConsistency(mean, stdDev),
+        updated_at: now
+      }
+    })
+
+    await db('team_metrics')
+      .insert(rows)
+      .onConflict(['team_id', 'league_id', 'season'])
+      .merge()
+
+    return rows
+  } catch (error) {
+    logger.error(`computeTeamMetrics(${leagueId}, ${season}) failed: ${error.message}`)
+    throw error
+  }
+}
 
 async function computeMetrics(userId) {
   try {
@@ -9,30 +150,35 @@ async function computeMetrics(userId) {
       logger.warn(`No teams found for user ${userId}`)
       return null
     }
-    const teamIds = teams.map(t => t.id)
-    const stats = await db('games')
+    const teamIds = teams.map(t => String(t.id))
+    const leagueSeasons = await db('games')
       .whereIn('team_id', teamIds)
-      .select('points_scored', 'result')
-
-    let totalGames = 0, totalPoints = 0, wins = 0, losses = 0
-    stats.forEach(g => {
-      totalGames++
-      totalPoints += g.points_scored
-      if (g.result === 'win') wins++
-      else if (g.result === 'loss') losses++
-    })
+      .distinct('league_id', 'season')
+
+    // Metrics are computed for whole league-seasons since all-play and
+    // strength of schedule depend on every team, then narrowed to the user's.
+    const teamMetrics = []
+    for (const { league_id: leagueId, season } of leagueSeasons) {
+      const rows = await computeTeamMetrics(leagueId, season)
+      teamMetrics.push(...rows.filter(row => teamIds.includes(row.team_id)))
+    }
+
+    const totals = teamMetrics.reduce((acc, row) => ({
+      games: acc.games + row.games,
+      points: acc.points + row.points_for,
+      wins: acc.wins + row.wins,
+      losses: acc.losses + row.losses
+    }), { games: 0, points: 0, wins: 0, losses: 0 })
 
-    const avgPoints = totalGames ? totalPoints / totalGames : 0
-    const winRate = totalGames ? wins / totalGames : 0
     const now = new Date()
     const metrics = {
       user_id: userId,
-      total_games: totalGames,
-      total_points: totalPoints,
-      average_points: avgPoints,
-      wins,
-      losses,
-      win_rate: winRate,
+      total_games: totals.games,
+      total_points: round(totals.points),
+      average_points: totals.games ? round(totals.points / totals.games) : 0,
+      wins: totals.wins,
+      losses: totals.losses,
+      win_rate: totals.games ? round(totals.wins / totals.games, 3) : 0,
       updated_at: now
     }
 
@@ -41,27 +187,147 @@ async function computeMetrics(userId) {
       .onConflict('user_id')
       .merge()
 
-    return metrics
+    return { ...metrics, teams: teamMetrics }
   } catch (error) {
     logger.error(`computeMetrics(${userId}) failed: ${error.message}`)
     throw error
   }
 }
 
+async function getTeamMetrics(userId) {
+  const teams = await db('teams').where({ user_id: userId }).select('id')
+  if (!teams.length) return []
+  return db('team_metrics')
+    .whereIn('team_id', teams.map(t => String(t.id)))
+    .orderBy([{ column: 'season', order: 'desc' }, 'league_id'])
+}
+
+async function isPremiumUser(userId) {
+  const subscription = await db('subscriptions')
+    .where({ user_id: userId })
+    .whereIn('status', PREMIUM_STATUSES)
+    .first('user_id')
+  return Boolean(subscription)
+}
+
+// The playoff format comes from the league's settings, which live with the
+// league in the league store rather than in the analytics database. The
+// caller hands over its league service (or the promise of one) so this reads
+// the same store, whatever its driver or data directory.
+let leagueServiceReady = null
+function setLeagueService(leagueService) {
+  leagueServiceReady = Promise.resolve(leagueService)
+}
+
+async function loadLeague(leagueId) {
+  if (!leagueServiceReady) return null
+  const leagueService = await leagueServiceReady
+  return leagueService.getLeague(leagueId)
+}
+
+async function computePlayoffOdds(leagueId, season, { league, simulations, seed } = {}) {
+  const stored = league || await loadLeague(leagueId)
+  if (!stored) logger.warn(`League ${leagueId} not found; using the default playoff format`)
+  const format = resolvePlayoffFormat(stored || {})
+  // Only regular-season games count toward the record; playoff weeks are
+  // played out by the bracket, as in simulateLeaguePlayoffs.
+  const games = (await db('games')
+    .where({ league_id: leagueId, season })
+    .select('team_id', 'opponent_id', 'week', 'points_scored', 'result'))
+    .filter(g => !format.startWeek || Number(g.week) < format.startWeek)
+
+  const teams = new Map()
+  const teamFor = teamId => {
+    if (!teams.has(teamId)) {
+      teams.set(teamId, { teamId, teamName: null, wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0, scores: [] })
+    }
+    return teams.get(teamId)
+  }
+  const scoreOf = new Map(games.map(g => [`${g.week}|${g.team_id}`, Number(g.points_scored)]))
+  const played = []
+  const remaining = []
+  const seen = new Set()
+  games.forEach(g => {
+    const teamId = String(g.team_id)
+    const team = teamFor(teamId)
+    const opponentId = g.opponent_id != null ? String(g.opponent_id) : null
+    if (g.result) {
+      const points = Number(g.points_scored)
+      team.scores.push(points)
+      team.pointsFor += points
+      if (g.result === 'win') team.wins++
+      else if (g.result === 'loss') team.losses++
+      else if (g.result === 'tie') team.ties++
+    }
+    if (!opponentId) return
+    // Both teams have a row per game; only keep one copy of each.
+    const key = [g.week, ...[teamId, opponentId].sort()].join('|')
+    if (seen.has(key)) return
+    seen.add(key)
+    if (g.result) {
+      const opponentPoints = scoreOf.get(`${g.week}|${opponentId}`)
+      played.push({ a: teamId, b: opponentId, aScore: Number(g.points_scored), bScore: opponentPoints })
+      team.pointsAgainst += opponentPoints || 0
+      teamFor(opponentId).pointsAgainst += Number(g.points_scored)
+    } else {
+      remaining.push({ week: g.week, a: teamId, b: opponentId })
+    }
+  })
+
+  return simulatePlayoffs(
+    { teams: [...teams.values()], played: played.filter(game => game.bScore !== undefined), remaining },
+    { format, simulations, seed }
+  )
+}
+
+// Premium users get playoff odds for their teams' latest season in each league.
+async function computeUserPlayoffOdds(userId, teamMetrics) {
+  const latest = new Map()
+  teamMetrics.forEach(row => {
+    if (!latest.has(row.league_id) || row.season > latest.get(row.league_id)) latest.set(row.league_id, row.season)
+  })
+  const teamIds = new Set(teamMetrics.map(row => String(row.team_id)))
+  const odds = []
+  for (const [leagueId, season] of latest) {
+    const result = await computePlayoffOdds(leagueId, season)
+    result.teams
+      .filter(team => teamIds.has(team.teamId))
+      .forEach(team => odds.push({
+        league_id: leagueId,
+        season,
+        team_id: team.teamId,
+        projected_wins: team.projectedWins,
+        playoff_pct: team.playoffPct,
+        bye_pct: team.byePct,
+        finals_pct: team.finalsPct,
+        championship_pct: team.championshipPct,
+        simulations: result.simulations
+      }))
+  }
+  return odds
+}
+
 async function computePremiumMetrics(userId, baseMetrics = null) {
   try {
     const base = baseMetrics || await computeMetrics(userId)
     if (!base) return null
+    const teamMetrics = base.teams || await getTeamMetrics(userId)
 
-    const consistencyScore = base.average_points
-      ? Math.max(0, 100 - (Math.abs(base.wins - base.losses) / base.average_points) * 10)
+    // Weighted by games so a full season counts more than a partial one.
+    const games = teamMetrics.reduce((sum, row) => sum + row.games, 0)
+    const consistencyScore = games
+      ? teamMetrics.reduce((sum, row) => sum + Number(row.consistency_score) * row.games, 0) / games
       : 0
     const tradeValueScore = Math.min(100, base.total_points / (base.total_games || 1) * 2)
+    const playoffOdds = await isPremiumUser(userId)
+      ? await computeUserPlayoffOdds(userId, teamMetrics)
+      : null
     const now = new Date()
     const premium = {
       user_id: userId,
       consistency_score: parseFloat(consistencyScore.toFixed(2)),
       trade_value_score: parseFloat(tradeValueScore.toFixed(2)),
+      playoff_odds: playoffOdds ? JSON.stringify(playoffOdds) : null,
       generated_at: now
     }
 
@@ -70,13 +336,17 @@ async function computePremiumMetrics(userId, baseMetrics = null) {
       .onConflict('user_id')
       .merge()
 
-    return premium
+    return { ...premium, playoff_odds: playoffOdds }
   } catch (error) {
     logger.error(`computePremiumMetrics(${userId}) failed: ${error.message}`)
     throw error
   }
 }
 
+function runAnalyticsMigrations() {
+  return db.migrate.latest({ directory: MIGRATIONS_DIR })
+}
+
 function scheduleAnalyticsJob(cronExpr) {
   if (!cron.validate(cronExpr)) {
     const msg = `Invalid cron expression: ${cronExpr}`
@@ -121,11 +391,13 @@ async function getAnalyticsReport(userId) {
     if (!premiumMetrics) {
       premiumMetrics = await computePremiumMetrics(userId, metrics)
     }
+    const { teams, ...summary } = metrics || {}
 
     return {
       userId,
-      metrics: metrics || null,
-      premiumMetrics: premiumMetrics || null
+      metrics: metrics ? summary : null,
+      premiumMetrics: premiumMetrics || null,
+      teams: teams || await getTeamMetrics(userId)
     }
   } catch (error) {
     logger.error(`getAnalyticsReport(${userId}) failed: ${error.message}`)
@@ -134,8 +406,13 @@ async function getAnalyticsReport(userId) {
 }
 
 module.exports = {
+  computeTeamMetrics,
+  computePlayoffOdds,
   computeMetrics,
   computePremiumMetrics,
+  runAnalyticsMigrations,
   scheduleAnalyticsJob,
-  getAnalyticsReport
+  setLeagueService,
+  getAnalyticsReport,
+  getTeamMetrics
 }
\ No newline at end of file
@@ -31,6 +31,13 @@ function validateLeagueId(leagueId) {
   }
 }
 
+// Sleeper player ids are numeric strings, or team abbreviations for defenses.
+function validatePlayerId(playerId) {
+  if ((typeof playerId !== 'string' && typeof playerId !== 'number') || !/^[A-Za-z0-9_]+$/.test(String(playerId))) {
+    throw new Error('Invalid playerId')
+  }
+}
+
 function validatePositiveInteger(value, name) {
   if (!Number.isInteger(value) || value <= 0) {
     throw new Error(`${name} must be a positive integer`)
@@ -55,6 +62,15 @@ export async function fetchMatchups(leagueId) {
   return await requestWithRetry({ method: 'GET', url: path })
 }
 
+export async function fetchRescoredMatchups(leagueId, scoring) {
+  validateLeagueId(leagueId)
+  if (typeof scoring !== 'string' || !scoring) {
+    throw new Error('scoring must be a league id or scoring preset name')
+  }
+  const path = `/leagues/${encodeURIComponent(leagueId)}/rescore`
+  return await requestWithRetry({ method: 'GET', url: path, params: { scoring } })
+}
+
 export async function fetchTransactions(leagueId, { since, limit = 100 } = {}) {
   validateLeagueId(leagueId)
   const params = {}
@@ -82,7 +98,20 @@ export async function fetchDrafts(leagueId) {
   return await requestWithRetry({ method: 'GET', url: path })
 }
 
-export async function fetchAnalytics({ leagueIds = [], metrics = [], startDate, endDate, groupBy } = {}) {
+export async function fetchDraftAnalysis(leagueId, { format } = {}) {
+  validateLeagueId(leagueId)
+  const params = {}
+  if (format !== undefined) {
+    if (typeof format !== 'string' || !format) {
+      throw new Error('format must be a non-empty string')
+    }
+    params.format = format
+  }
+  const path = `/leagues/${encodeURIComponent(leagueId)}/draft/analysis`
+  return await requestWithRetry({ method: 'GET', url: path, params })
+}
+
+export async function fetchAnalytics({ leagueIds = [], metrics = [], startDate, endDate, groupBy, scoring } = {}) {
   if (!Array.isArray(leagueIds) || leagueIds.length === 0) {
     throw new Error('leagueIds must be a non-empty array')
   }
@@ -123,5 +152,57 @@ export async function fetchAnalytics({ leagueIds = [], metrics = [], startDate,
     params.groupBy = groupBy
   }
 
+  if (scoring !== undefined) {
+    if (typeof scoring !== 'string' || !scoring) {
+      throw new Error('scoring must be a league id or scoring preset name')
+    }
+    params.scoring = scoring
+  }
+
   return await requestWithRetry({ method: 'GET', url: '/analytics', params })
-}
\ No newline at end of file
+}
+
+const playerCache = new Map()
+
+export async function fetchPlayer(playerId) {
+  validatePlayerId(playerId)
+  const key = String(playerId)
+  if (!playerCache.has(key)) {
+    const body = await requestWithRetry({ method: 'GET', url: `/players/${encodeURIComponent(key)}` })
+    playerCache.set(key, body.data)
+  }
+  return playerCache.get(key)
+}
+
+export async function resolvePlayers(playerIds = []) {
+  if (!Array.isArray(playerIds)) {
+    throw new Error('playerIds must be an array')
+  }
+  const ids = [...new Set(playerIds.filter(id => id != null).map(String))]
+  ids.forEach(validatePlayerId)
+  const missing = ids.filter(id => !playerCache.has(id))
+  if (missing.length > 0) {
+    const body = await requestWithRetry({ method: 'GET', url: '/players', params: { ids: missing.join(',') } })
+    missing.forEach(id => playerCache.set(id, body.data[id] || null))
+  }
+  return ids.reduce((acc, id) => {
+    acc[id] = playerCache.get(id)
+    return acc
+  }, {})
+}
+
+export async function searchPlayers(query, { position, team, limit } = {}) {
+  if (typeof query !== 'string') {
+    throw new Error('query must be a string')
+  }
+  const params = { q: query }
+  if (position !== undefined) params.position = position
+  if (team !== undefined) params.team = team
+  if (limit !== undefined) {
+    validatePositiveInteger(limit, 'limit')
+    params.limit = limit
+  }
+  const body = await requestWithRetry({ method: 'GET', url: '/players/search', params })
+  body.data.forEach(player => playerCache.set(String(player.id), player))
+  return body.data
+}
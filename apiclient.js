@@ -4,6 +4,7 @@ const ini = require('ini')
 const axios = require('axios')
 const NodeCache = require('node-cache')
 const Bottleneck = require('bottleneck')
+const { stableStringify } = require('./changedetector')
 
 const configPath = path.resolve(__dirname, '../config/config.ini')
 let rawConfig
@@ -21,26 +22,47 @@ try {
 
 const DEFAULT_CACHE_TTL = 60
 const DEFAULT_CACHE_CHECK_PERIOD = 120
+const DEFAULT_STALE_TTL = 30
+const DEFAULT_REVALIDATE_TTL = 3600
+const optionalSeconds = (value, fallback) => {
+  const parsed = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback
+}
 const cacheTtl = Number(config.cache?.ttl) || DEFAULT_CACHE_TTL
 const cacheCheckPeriod = Number(config.cache?.checkperiod) || DEFAULT_CACHE_CHECK_PERIOD
+// Past its TTL an entry is served as-is for staleTtl seconds while it is
+// revalidated in the background, and its validators are kept for
+// revalidateTtl seconds so later refetches can be conditional.
+const staleTtl = optionalSeconds(config.cache?.staleTtl, DEFAULT_STALE_TTL)
+const revalidateTtl = optionalSeconds(config.cache?.revalidateTtl, DEFAULT_REVALIDATE_TTL)
+
+function globToRegExp(pattern) {
+  const escape = part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+  const source = pattern
+    .split('**')
+    .map(chunk => chunk.split('*').map(escape).join('[^/]*'))
+    .join('.*')
+  return new RegExp(`^${source}$`)
+}
 
-const cache = new NodeCache({ stdTTL: cacheTtl, checkperiod: cacheCheckPeriod })
+// [cache.endpoints] maps endpoint globs to TTLs in seconds, e.g.
+// /leagues/*/matchups = 30. The first matching pattern wins.
+const endpointTtls = Object.entries(config.cache?.endpoints || {})
+  .map(([pattern, ttl]) => ({ pattern: globToRegExp(pattern), ttl: optionalSeconds(ttl, null) }))
+  .filter(entry => entry.ttl !== null)
 
-function stableStringify(value) {
-  if (value === null || typeof value !== 'object') {
-    return JSON.stringify(value)
-  }
-  if (Array.isArray(value)) {
-    return '[' + value.map(stableStringify).join(',') + ']'
-  }
-  const keys = Object.keys(value).sort()
-  return '{' + keys.map(key => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}'
+function ttlFor(endpoint) {
+  const match = endpointTtls.find(entry => entry.pattern.test(endpoint))
+  return match ? match.ttl : cacheTtl
 }
 
+const cache = new NodeCache({ stdTTL: cacheTtl, checkperiod: cacheCheckPeriod })
+
 class APIClient {
   constructor() {
     this.providers = {}
     this.limiters = {}
+    this.inflight = new Map()
     const providersConfig = config.providers || {}
     Object.entries(providersConfig).forEach(([name, opts]) => {
       const baseURL = opts.baseURL
@@ -67,16 +89,61 @@ class APIClient {
     }
 
     const methodUpper = method.toUpperCase()
+    if (methodUpper !== 'GET') {
+      const response = await this._send(provider, { url: endpoint, method: methodUpper, params, data })
+      return response.data
+    }
+
     const key = `${provider}:${methodUpper}:${endpoint}:${stableStringify(params)}:${stableStringify(data)}`
-    if (methodUpper === 'GET') {
-      const cached = cache.get(key)
-      if (cached !== undefined) {
-        return cached
-      }
+    const entry = cache.get(key)
+    const now = Date.now()
+    if (entry && now < entry.expiresAt) {
+      return entry.data
     }
+    if (entry && now < entry.expiresAt + staleTtl * 1000) {
+      // The caller already has usable data; a failed background refresh just
+      // leaves the stale entry in place for the next request to retry.
+      this._revalidate(key, provider, endpoint, params, data, entry).catch(() => {})
+      return entry.data
+    }
+    return this._revalidate(key, provider, endpoint, params, data, entry)
+  }
 
-    const exec = () =>
-      this.providers[provider].request({ url: endpoint, method: methodUpper, params, data })
+  _revalidate(key, provider, endpoint, params, data, entry) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key)
+    }
+    const headers = {}
+    if (entry?.etag) headers['If-None-Match'] = entry.etag
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified
+    const pending = this._send(provider, {
+      url: endpoint,
+      method: 'GET',
+      params,
+      data,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(entry))
+    })
+      .then(response => {
+        const notModified = response.status === 304
+        const result = notModified ? entry.data : response.data
+        cache.set(key, {
+          data: result,
+          etag: response.headers.etag || (notModified ? entry.etag : null),
+          lastModified: response.headers['last-modified'] || (notModified ? entry.lastModified : null),
+          expiresAt: Date.now() + ttlFor(endpoint) * 1000
+        }, Math.max(1, ttlFor(endpoint) + Math.max(staleTtl, revalidateTtl)))
+        return result
+      })
+      .finally(() => {
+        this.inflight.delete(key)
+      })
+    this.inflight.set(key, pending)
+    return pending
+  }
+
+  async _send(provider, requestConfig) {
+    const exec = () => this.providers[provider].request(requestConfig)
     const limiter = this.limiters[provider]
 
     const maxRetries = Number(config.retries) || 3
@@ -84,11 +151,7 @@ class APIClient {
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
-        const response = await limiter.schedule(exec)
-        if (methodUpper === 'GET') {
-          cache.set(key, response.data)
-        }
-        return response.data
+        return await limiter.schedule(exec)
       } catch (err) {
         const shouldRetry = this._shouldRetry(err)
         if (attempt === maxRetries - 1 || !shouldRetry) {
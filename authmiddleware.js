@@ -48,6 +48,15 @@ const authenticate = (req, res, next) => {
   }
 }
 
+// EventSource can't set headers, so event streams may pass the bearer token
+// as `access_token` instead.
+const authenticateEventStream = (req, res, next) => {
+  if (!req.headers.authorization && !req.headers['x-api-key'] && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`
+  }
+  return authenticate(req, res, next)
+}
+
 const authorize = (...allowedRoles) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ message: 'Unauthorized' })
@@ -63,4 +72,4 @@ const authorize = (...allowedRoles) => (req, res, next) => {
   next()
 }
 
-module.exports = { authenticate, authorize }
\ No newline at end of file
+module.exports = { authenticate, authenticateEventStream, authorize }
\ No newline at end of file
@@ -1,45 +1,360 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+require('dotenv').config();
+
+const DEFAULT_NAMESPACE = 'default';
+const DEFAULT_MAX_ENTRIES = 10000;
+const KEY_PREFIX = process.env.CACHE_PREFIX || 'cache:';
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+const LOCK_POLL_MS = 50;
+// Higher values refresh earlier; 1 is the recommended XFetch default.
+const XFETCH_BETA = 1;
+const NOT_LOADED = Symbol('notLoaded');
+
+// Only delete the lock if it still holds our token, so a slow loader whose
+// lock already expired cannot release someone else's.
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class MemoryBackend {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    // Map iteration order doubles as LRU order: oldest first.
+    this.entries = new Map();
+    this.tags = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl, tags) {
+    this.remove(key);
+    this.entries.set(key, { value, tags, expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null });
+    tags.forEach(tag => {
+      if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+      this.tags.get(tag).add(key);
+    });
+    let evicted = 0;
+    while (this.entries.size > this.maxEntries) {
+      this.remove(this.entries.keys().next().value);
+      evicted++;
+    }
+    return evicted;
+  }
+
+  async delete(key) {
+    return this.remove(key);
+  }
+
+  async deleteTag(tag) {
+    const keys = [...(this.tags.get(tag) || [])];
+    this.tags.delete(tag);
+    return keys.filter(key => this.remove(key)).length;
+  }
+
+  async clear(prefix) {
+    const keys = [...this.entries.keys()].filter(key => key.startsWith(prefix));
+    keys.forEach(key => this.remove(key));
+    return keys.length;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  // A single process only needs the in-process single-flight map.
+  async acquireLock() {
+    return 'local';
+  }
+
+  async releaseLock() {}
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    entry.tags.forEach(tag => {
+      const keys = this.tags.get(tag);
+      if (!keys) return;
+      keys.delete(key);
+      if (!keys.size) this.tags.delete(tag);
+    });
+    this.entries.delete(key);
+    return true;
+  }
+
+  async close() {}
+}
+
+// Values live in plain keys with a native TTL. A sorted set scored by last
+// access time tracks LRU order, and one set per tag lists its member keys.
+class RedisBackend {
+  constructor({ redis, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.redis = redis || new Redis({
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+      password: process.env.REDIS_PASSWORD || null
+    });
+    this.maxEntries = maxEntries;
+    this.lruKey = `${KEY_PREFIX}__lru`;
+  }
+
+  tagKey(tag) {
+    return `${KEY_PREFIX}__tag:${tag}`;
+  }
+
+  async get(key) {
+    const raw = await this.redis.get(key);
+    if (raw === null) {
+      await this.redis.zrem(this.lruKey, key);
+      return undefined;
+    }
+    await this.redis.zadd(this.lruKey, Date.now(), key);
+    return JSON.parse(raw).value;
+  }
+
+  async set(key, value, ttl, tags) {
+    const tx = this.redis.multi();
+    const payload = JSON.stringify({ value, tags });
+    if (ttl > 0) tx.set(key, payload, 'EX', ttl);
+    else tx.set(key, payload);
+    tx.zadd(this.lruKey, Date.now(), key);
+    tags.forEach(tag => tx.sadd(this.tagKey(tag), key));
+    tx.zcard(this.lruKey);
+    const results = await tx.exec();
+    const size = results[results.length - 1][1];
+    if (size <= this.maxEntries) return 0;
+    const victims = await this.redis.zrange(this.lruKey, 0, size - this.maxEntries - 1);
+    await Promise.all(victims.map(victim => this.delete(victim)));
+    return victims.length;
+  }
+
+  async delete(key) {
+    const raw = await this.redis.get(key);
+    const tx = this.redis.multi().del(key).zrem(this.lruKey, key);
+    if (raw !== null) {
+      JSON.parse(raw).tags.forEach(tag => tx.srem(this.tagKey(tag), key));
+    }
+    const results = await tx.exec();
+    return results[0][1] > 0;
+  }
+
+  async deleteTag(tag) {
+    const keys = await this.redis.smembers(this.tagKey(tag));
+    await this.redis.del(this.tagKey(tag));
+    const removed = await Promise.all(keys.map(key => this.delete(key)));
+    return removed.filter(Boolean).length;
+  }
+
+  async clear(prefix) {
+    let count = 0;
+    const stream = this.redis.scanStream({ match: `${prefix}*`, count: 500 });
+    for await (const keys of stream) {
+      const entries = keys.filter(key => !key.startsWith(`${KEY_PREFIX}__`));
+      const removed = await Promise.all(entries.map(key => this.delete(key)));
+      count += removed.filter(Boolean).length;
+    }
+    return count;
+  }
+
+  async size() {
+    return this.redis.zcard(this.lruKey);
+  }
+
+  async acquireLock(key, ttlMs) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const acquired = await this.redis.set(`${KEY_PREFIX}__lock:${key}`, token, 'PX', ttlMs, 'NX');
+    return acquired === 'OK' ? token : null;
+  }
+
+  async releaseLock(key, token) {
+    await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, `${KEY_PREFIX}__lock:${key}`, token);
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+const BACKENDS = {
+  memory: MemoryBackend,
+  redis: RedisBackend
+};
+
 const CacheService = (function() {
   class CacheService {
     constructor() {
-      this.store = new Map();
+      this.backendName = process.env.CACHE_BACKEND || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis');
+      this.maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+      this._backend = null;
+      this.inflight = new Map();
+      this.resetStats();
     }
 
-    setCache(key, value, ttl = 0) {
-      if (key === undefined || key === null) throw new Error('Cache key must be provided');
-      this.deleteCache(key);
-      const entry = { value, timer: null };
-      if (ttl > 0) {
-        const ttlMs = ttl * 1000;
-        entry.timer = setTimeout(() => {
-          this.deleteCache(key);
-        }, ttlMs);
+    // Created on first use so requiring the module never opens a connection.
+    get backend() {
+      if (!this._backend) {
+        const Backend = BACKENDS[this.backendName];
+        if (!Backend) throw new Error(`Unknown cache backend: ${this.backendName}`);
+        this._backend = new Backend({ maxEntries: this.maxEntries });
       }
-      this.store.set(key, entry);
+      return this._backend;
+    }
+
+    setBackend(backend) {
+      this._backend = backend;
+      return this;
+    }
+
+    buildKey(key, namespace = DEFAULT_NAMESPACE) {
+      return `${KEY_PREFIX}${namespace}:${key}`;
+    }
+
+    async setCache(key, value, ttl = 0, { namespace, tags = [] } = {}) {
+      if (key === undefined || key === null) throw new Error('Cache key must be provided');
+      const evicted = await this.backend.set(this.buildKey(key, namespace), value, ttl, tags);
+      this.stats.sets++;
+      this.stats.evictions += evicted;
       return true;
     }
 
-    getCache(key) {
+    async getCache(key, { namespace } = {}) {
       if (key === undefined || key === null) return null;
-      const entry = this.store.get(key);
-      return entry ? entry.value : null;
+      const value = await this.backend.get(this.buildKey(key, namespace));
+      if (value === undefined) {
+        this.stats.misses++;
+        return null;
+      }
+      this.stats.hits++;
+      return value;
     }
 
-    deleteCache(key) {
+    async deleteCache(key, { namespace } = {}) {
       if (key === undefined || key === null) return false;
-      const entry = this.store.get(key);
-      if (!entry) return false;
-      if (entry.timer) clearTimeout(entry.timer);
-      this.store.delete(key);
-      return true;
+      const removed = await this.backend.delete(this.buildKey(key, namespace));
+      if (removed) this.stats.deletes++;
+      return removed;
     }
 
-    clearCache() {
-      const count = this.store.size;
-      for (const entry of this.store.values()) {
-        if (entry.timer) clearTimeout(entry.timer);
+    async invalidateTag(tag) {
+      const removed = await this.backend.deleteTag(tag);
+      this.stats.deletes += removed;
+      return removed;
+    }
+
+    async clearCache({ namespace } = {}) {
+      const prefix = namespace ? `${KEY_PREFIX}${namespace}:` : KEY_PREFIX;
+      const removed = await this.backend.clear(prefix);
+      this.stats.deletes += removed;
+      return removed;
+    }
+
+    // Values written by getOrSet are wrapped as { v, exp, delta } and must be
+    // read back through getOrSet rather than getCache.
+    async getOrSet(key, loader, { ttl = 60, staleTtl = 0, tags = [], namespace, lockTimeout = DEFAULT_LOCK_TIMEOUT_MS } = {}) {
+      if (key === undefined || key === null) throw new Error('Cache key must be provided');
+      if (typeof loader !== 'function') throw new Error('getOrSet requires a loader function');
+      if (!(ttl > 0)) throw new Error('getOrSet requires a positive ttl');
+      const fullKey = this.buildKey(key, namespace);
+      const options = { ttl, staleTtl, tags, lockTimeout };
+      const envelope = await this.backend.get(fullKey);
+      if (envelope === undefined) {
+        this.stats.misses++;
+        let value = await this.load(fullKey, loader, options, true);
+        if (value === NOT_LOADED) value = await this.load(fullKey, loader, options, true);
+        return value;
+      }
+      this.stats.hits++;
+      const now = Date.now();
+      const expired = now >= envelope.exp;
+      // XFetch: the closer to expiry and the slower the loader, the more
+      // likely a hit refreshes early, spreading refreshes out over time.
+      const refreshEarly = now - envelope.delta * XFETCH_BETA * Math.log(Math.random()) >= envelope.exp;
+      if (expired || refreshEarly) {
+        if (expired) this.stats.stale++;
+        this.load(fullKey, loader, options, false).catch(() => {});
+      }
+      return envelope.v;
+    }
+
+    load(fullKey, loader, options, wait) {
+      if (this.inflight.has(fullKey)) return this.inflight.get(fullKey);
+      const pending = this.runLoader(fullKey, loader, options, wait).finally(() => {
+        this.inflight.delete(fullKey);
+      });
+      this.inflight.set(fullKey, pending);
+      return pending;
+    }
+
+    async runLoader(fullKey, loader, { ttl, staleTtl, tags, lockTimeout }, wait) {
+      const token = await this.backend.acquireLock(fullKey, lockTimeout);
+      if (!token) {
+        // Another process is already loading this key.
+        if (!wait) return NOT_LOADED;
+        const deadline = Date.now() + lockTimeout;
+        while (Date.now() < deadline) {
+          await sleep(LOCK_POLL_MS);
+          const envelope = await this.backend.get(fullKey);
+          if (envelope !== undefined) return envelope.v;
+        }
+        // The lock holder died or is too slow; load without it rather than fail.
+      }
+      try {
+        const startedAt = Date.now();
+        const value = await loader();
+        const finishedAt = Date.now();
+        const envelope = { v: value, exp: finishedAt + ttl * 1000, delta: finishedAt - startedAt };
+        const evicted = await this.backend.set(fullKey, envelope, ttl + staleTtl, tags);
+        this.stats.loads++;
+        this.stats.sets++;
+        this.stats.evictions += evicted;
+        return value;
+      } finally {
+        if (token) await this.backend.releaseLock(fullKey, token);
       }
-      this.store.clear();
-      return count;
+    }
+
+    namespace(name) {
+      return {
+        setCache: (key, value, ttl, options = {}) => this.setCache(key, value, ttl, { ...options, namespace: name }),
+        getCache: key => this.getCache(key, { namespace: name }),
+        deleteCache: key => this.deleteCache(key, { namespace: name }),
+        getOrSet: (key, loader, options = {}) => this.getOrSet(key, loader, { ...options, namespace: name }),
+        clearCache: () => this.clearCache({ namespace: name })
+      };
+    }
+
+    async getStats() {
+      const lookups = this.stats.hits + this.stats.misses;
+      return {
+        backend: this.backendName,
+        ...this.stats,
+        hitRate: lookups ? this.stats.hits / lookups : 0,
+        size: await this.backend.size(),
+        maxEntries: this.maxEntries
+      };
+    }
+
+    resetStats() {
+      this.stats = { hits: 0, misses: 0, stale: 0, loads: 0, sets: 0, deletes: 0, evictions: 0 };
+    }
+
+    async close() {
+      if (this._backend) await this._backend.close();
+      this._backend = null;
     }
   }
 
@@ -52,4 +367,6 @@ const CacheService = (function() {
   };
 })();
 
-module.exports = CacheService.getInstance();
\ No newline at end of file
+module.exports = CacheService.getInstance();
+module.exports.MemoryBackend = MemoryBackend;
+module.exports.RedisBackend = RedisBackend;
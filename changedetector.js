@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(stableStringify).join(',') + ']';
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return '{' + keys.map(key => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}';
+}
+
+function hashPayload(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+function indexById(items, key = 'id') {
+  return new Map((items || []).map(item => [item[key], item]));
+}
+
+function diffTransactions(prev = [], next = []) {
+  const previous = indexById(prev);
+  const added = next.filter(tx => !previous.has(tx.id));
+  const statusChanged = next
+    .filter(tx => previous.has(tx.id) && previous.get(tx.id).status !== tx.status)
+    .map(tx => ({ id: tx.id, from: previous.get(tx.id).status, to: tx.status, transaction: tx }));
+  return { added, statusChanged };
+}
+
+function diffMatchups(prev = [], next = []) {
+  const previous = indexById(prev);
+  const added = [];
+  const scoreChanges = [];
+  next.forEach(matchup => {
+    const before = previous.get(matchup.id);
+    if (!before) {
+      added.push(matchup);
+      return;
+    }
+    const beforeTeams = indexById(before.teams);
+    matchup.teams.forEach(team => {
+      const old = beforeTeams.get(team.id);
+      if (old && old.score !== team.score) {
+        scoreChanges.push({
+          matchupId: matchup.id,
+          week: matchup.week,
+          teamId: team.id,
+          from: old.score,
+          to: team.score,
+          delta: team.score - old.score
+        });
+      }
+    });
+  });
+  return { added, scoreChanges };
+}
+
+function diffStandings(prev = [], next = []) {
+  const previous = indexById(prev, 'teamId');
+  const rankChanges = next
+    .filter(row => previous.has(row.teamId) && previous.get(row.teamId).rank !== row.rank)
+    .map(row => {
+      const from = previous.get(row.teamId).rank;
+      return { teamId: row.teamId, teamName: row.teamName, from, to: row.rank, movement: from - row.rank };
+    });
+  const recordChanges = next
+    .filter(row => {
+      const old = previous.get(row.teamId);
+      return old && (old.wins !== row.wins || old.losses !== row.losses || old.ties !== row.ties);
+    })
+    .map(row => ({ teamId: row.teamId, wins: row.wins, losses: row.losses, ties: row.ties }));
+  return { rankChanges, recordChanges };
+}
+
+function diffDraft(prev = {}, next = {}) {
+  const pickKey = pick => `${pick.round}:${pick.pickNumber}`;
+  const previous = new Map((prev.picks || []).map(pick => [pickKey(pick), pick]));
+  const newPicks = (next.picks || []).filter(pick => {
+    const old = previous.get(pickKey(pick));
+    return pick.playerId && (!old || old.playerId !== pick.playerId);
+  });
+  const statusChange = prev.status !== next.status ? { from: prev.status || null, to: next.status || null } : null;
+  return { newPicks, statusChange };
+}
+
+function diffRosters(prev = [], next = []) {
+  const previous = indexById(prev, 'teamId');
+  return {
+    moves: next
+      .map(roster => {
+        const before = new Set((previous.get(roster.teamId) || { players: [] }).players);
+        const after = new Set(roster.players);
+        return {
+          teamId: roster.teamId,
+          added: roster.players.filter(p => !before.has(p)),
+          removed: [...before].filter(p => !after.has(p))
+        };
+      })
+      .filter(move => move.added.length || move.removed.length)
+  };
+}
+
+const differs = {
+  transactions: diffTransactions,
+  matchups: diffMatchups,
+  standings: diffStandings,
+  draft: diffDraft,
+  rosters: diffRosters
+};
+
+function hasChanges(changes) {
+  return Object.values(changes).some(value => (Array.isArray(value) ? value.length > 0 : value != null));
+}
+
+function diffPayload(type, prev, next) {
+  const differ = differs[type];
+  if (!differ) {
+    throw new Error(`No change detector for data type: ${type}`);
+  }
+  const changes = differ(prev, next);
+  return { type, changes, hasChanges: hasChanges(changes) };
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Generic structural diff as JSON Patch style operations (RFC 6902 paths).
+// Objects are compared key by key; arrays and scalars are replaced whole.
+function jsonDiff(before, after, basePath = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const ops = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    [...keys].sort().forEach(key => {
+      const path = `${basePath}/${escapePointer(key)}`;
+      if (!(key in after)) {
+        ops.push({ op: 'remove', path, oldValue: before[key] });
+      } else if (!(key in before)) {
+        ops.push({ op: 'add', path, value: after[key] });
+      } else {
+        ops.push(...jsonDiff(before[key], after[key], path));
+      }
+    });
+    return ops;
+  }
+  if (stableStringify(before) === stableStringify(after)) {
+    return [];
+  }
+  return [{ op: 'replace', path: basePath, value: after, oldValue: before }];
+}
+
+module.exports = {
+  stableStringify,
+  hashPayload,
+  diffPayload,
+  jsonDiff
+};
@@ -0,0 +1,485 @@
+const { DEFAULT_SIMULATIONS, simulateLeaguePlayoffs } = require('./playoffsimulator')
+const { SCORING_PRESETS, isPreset, leagueScoring } = require('./scoringengine')
+
+const GROUP_BY = ['league', 'team', 'player', 'owner']
+const METRICS = ['standings', 'pointsFor', 'pointsAgainst', 'powerRankings', 'playoffOdds', 'weekly']
+// Playoff odds are simulated and the week-by-week grid is large, so both
+// are only sent when asked for.
+const DEFAULT_METRICS = METRICS.filter((metric) => metric !== 'weekly' && metric !== 'playoffOdds')
+const MAX_LEAGUES = 20
+// Simulations per request, shared across every league compared.
+const MAX_REQUEST_SIMULATIONS = 20000
+
+// Row fields each metric contributes; identity fields are always returned.
+const METRIC_FIELDS = {
+  standings: ['rank', 'wins', 'losses', 'ties', 'winPct', 'games'],
+  pointsFor: ['pointsFor', 'pointsPerGame', 'high', 'low'],
+  pointsAgainst: ['pointsAgainst', 'pointsAgainstPerGame'],
+  powerRankings: ['power', 'powerRank', 'allPlayWins', 'allPlayLosses', 'allPlayTies', 'allPlayPct', 'pointsIndex'],
+  playoffOdds: ['projectedWins', 'playoffPct', 'byePct', 'finalsPct', 'championshipPct']
+}
+
+const round = (value, digits = 2) => (value == null || Number.isNaN(value) ? null : Number(value.toFixed(digits)))
+const ratio = (numerator, denominator) => (denominator ? numerator / denominator : null)
+const winPct = ({ wins, losses, ties }) => ratio(wins + ties / 2, wins + losses + ties)
+
+function leagueNotFoundError(leagueIds) {
+  const err = new Error(`League(s) not found: ${leagueIds.join(', ')}`)
+  err.statusCode = 404
+  err.code = 'LEAGUE_NOT_FOUND'
+  err.leagueIds = leagueIds
+  return err
+}
+
+function inRange(date, { startDate, endDate }) {
+  if (!date) return true
+  const time = Date.parse(date)
+  if (startDate && time < Date.parse(startDate)) return false
+  // A bare YYYY-MM-DD end date covers the whole day.
+  if (endDate && time > Date.parse(endDate) + (/^\d{4}-\d{2}-\d{2}$/.test(endDate) ? 86399999 : 0)) return false
+  return true
+}
+
+// A matchup counts once either side has scored; future weeks sit at 0-0.
+function playedMatchups(league, range) {
+  return (league.matchups || []).filter((matchup) =>
+    (league.season == null || matchup.season == null || Number(matchup.season) === Number(league.season)) &&
+    inRange(matchup.date, range) &&
+    matchup.teams.some((team) => team.score > 0))
+}
+
+function emptyTeam(teamId, teamName, ownerId = null, ownerName = null) {
+  return {
+    teamId,
+    teamName,
+    ownerId,
+    ownerName,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    games: 0,
+    pointsFor: 0,
+    pointsAgainst: 0,
+    high: null,
+    low: null,
+    allPlayWins: 0,
+    allPlayLosses: 0,
+    allPlayTies: 0,
+    starters: {}
+  }
+}
+
+// Replays a league's season week by week so leagues of different sizes and
+// scoring systems can be lined up on the same week axis.
+function buildSeason(league, range) {
+  const teams = new Map()
+  ;(league.standings || []).forEach((standing) => {
+    teams.set(standing.teamId, emptyTeam(standing.teamId, standing.teamName, standing.ownerId, standing.ownerName))
+  })
+  ;(league.rosters || []).forEach((roster) => {
+    const team = teams.get(roster.teamId) || emptyTeam(roster.teamId, roster.teamName)
+    if (team.ownerId == null) team.ownerId = roster.ownerId
+    team.players = roster.players
+    teams.set(roster.teamId, team)
+  })
+
+  const byWeek = new Map()
+  playedMatchups(league, range).forEach((matchup) => {
+    if (!byWeek.has(matchup.week)) byWeek.set(matchup.week, [])
+    byWeek.get(matchup.week).push(matchup)
+  })
+
+  const weeks = [...byWeek.keys()].sort((a, b) => a - b).map((week) => {
+    const scores = []
+    const results = byWeek.get(week).flatMap((matchup) => matchup.teams.map((side, i) => {
+      const opponent = matchup.teams[1 - i]
+      if (!teams.has(side.id)) teams.set(side.id, emptyTeam(side.id, side.name))
+      const team = teams.get(side.id)
+      const result = side.score > opponent.score ? 'W' : side.score < opponent.score ? 'L' : 'T'
+      team.games++
+      team.wins += result === 'W' ? 1 : 0
+      team.losses += result === 'L' ? 1 : 0
+      team.ties += result === 'T' ? 1 : 0
+      team.pointsFor += side.score
+      team.pointsAgainst += opponent.score
+      team.high = team.high === null ? side.score : Math.max(team.high, side.score)
+      team.low = team.low === null ? side.score : Math.min(team.low, side.score)
+      ;(side.starters || []).forEach((playerId) => {
+        const start = team.starters[playerId] || (team.starters[playerId] = { starts: 0, wins: 0, points: 0 })
+        start.starts++
+        start.wins += result === 'W' ? 1 : 0
+        start.points += side.score
+      })
+      scores.push(side.score)
+      return { teamId: side.id, opponentId: opponent.id, points: side.score, result }
+    }))
+    results.forEach((entry) => {
+      const team = teams.get(entry.teamId)
+      scores.forEach((score) => {
+        if (score < entry.points) team.allPlayWins++
+        else if (score > entry.points) team.allPlayLosses++
+      })
+      // The team's own score is in `scores`; don't count it as a tie.
+      team.allPlayTies += scores.filter((score) => score === entry.points).length - 1
+      Object.assign(entry, {
+        wins: team.wins,
+        losses: team.losses,
+        ties: team.ties,
+        pointsFor: round(team.pointsFor),
+        pointsAgainst: round(team.pointsAgainst)
+      })
+    })
+    return { week, results }
+  })
+
+  // Leagues that only carry provider standings still compare on record and points.
+  if (!weeks.length) {
+    ;(league.standings || []).forEach((standing) => {
+      Object.assign(teams.get(standing.teamId), {
+        wins: standing.wins,
+        losses: standing.losses,
+        ties: standing.ties,
+        games: standing.wins + standing.losses + standing.ties,
+        pointsFor: standing.pointsFor,
+        pointsAgainst: standing.pointsAgainst,
+        rank: standing.rank
+      })
+    })
+  }
+
+  return { league, teams: [...teams.values()], weeks, hasWeeks: weeks.length > 0 }
+}
+
+// Power score (0-100, league average 50): 40% all-play record, 30% actual
+// record and 30% scoring relative to the league average, capped at 2x.
+function rankTeams(season) {
+  const { teams } = season
+  const totalGames = teams.reduce((sum, team) => sum + team.games, 0)
+  const leagueAverage = ratio(teams.reduce((sum, team) => sum + team.pointsFor, 0), totalGames)
+  teams.forEach((team) => {
+    team.winPct = winPct(team)
+    team.pointsPerGame = ratio(team.pointsFor, team.games)
+    team.pointsAgainstPerGame = ratio(team.pointsAgainst, team.games)
+    team.allPlayPct = season.hasWeeks
+      ? winPct({ wins: team.allPlayWins, losses: team.allPlayLosses, ties: team.allPlayTies })
+      : null
+    team.pointsIndex = team.pointsPerGame === null || !leagueAverage ? null : team.pointsPerGame / leagueAverage
+    const allPlay = team.allPlayPct === null ? team.winPct : team.allPlayPct
+    team.power = team.winPct === null
+      ? null
+      : 100 * (0.4 * allPlay + 0.3 * team.winPct + 0.15 * Math.min(team.pointsIndex || 0, 2))
+  })
+  if (season.hasWeeks || teams.some((team) => team.rank == null)) {
+    teams
+      .slice()
+      .sort((a, b) => (b.winPct || 0) - (a.winPct || 0) || b.pointsFor - a.pointsFor)
+      .forEach((team, i) => {
+        team.rank = i + 1
+      })
+  }
+  teams
+    .slice()
+    .sort((a, b) => (b.power || 0) - (a.power || 0))
+    .forEach((team, i) => {
+      team.powerRank = i + 1
+    })
+  return season
+}
+
+function pickMetrics(row, metrics) {
+  const picked = {}
+  metrics.forEach((metric) => {
+    (METRIC_FIELDS[metric] || []).forEach((field) => {
+      if (row[field] !== undefined) {
+        picked[field] = typeof row[field] === 'number' ? round(row[field], field.endsWith('Pct') ? 3 : 2) : row[field]
+      }
+    })
+  })
+  return picked
+}
+
+function leagueRef({ id, name, provider, season }) {
+  return { id, name: name || null, provider: provider || null, season: season == null ? null : season }
+}
+
+function byLeague(seasons, metrics) {
+  return seasons.map(({ league, teams, weeks }) => {
+    const totals = teams.reduce((sum, team) => ({
+      wins: sum.wins + team.wins,
+      losses: sum.losses + team.losses,
+      ties: sum.ties + team.ties,
+      games: sum.games + team.games,
+      pointsFor: sum.pointsFor + team.pointsFor,
+      pointsAgainst: sum.pointsAgainst + team.pointsAgainst
+    }), { wins: 0, losses: 0, ties: 0, games: 0, pointsFor: 0, pointsAgainst: 0 })
+    const highs = teams.map((team) => team.high).filter((score) => score !== null)
+    const lows = teams.map((team) => team.low).filter((score) => score !== null)
+    const row = {
+      ...totals,
+      pointsPerGame: ratio(totals.pointsFor, totals.games),
+      pointsAgainstPerGame: ratio(totals.pointsAgainst, totals.games),
+      high: highs.length ? Math.max(...highs) : null,
+      low: lows.length ? Math.min(...lows) : null
+    }
+    return {
+      key: league.id,
+      league: leagueRef(league),
+      teams: teams.length,
+      weeks: weeks.length,
+      ...pickMetrics(row, metrics.filter((metric) => metric === 'pointsFor' || metric === 'pointsAgainst')),
+      ...(['standings', 'powerRankings', 'playoffOdds'].some((metric) => metrics.includes(metric))
+        ? { teamsByRank: teams.slice().sort((a, b) => a.rank - b.rank).map((team) => teamRow(league, team, metrics)) }
+        : {})
+    }
+  })
+}
+
+function teamRow(league, team, metrics) {
+  return {
+    key: `${league.id}:${team.teamId}`,
+    league: leagueRef(league),
+    teamId: team.teamId,
+    teamName: team.teamName,
+    ownerId: team.ownerId,
+    ownerName: team.ownerName,
+    ...pickMetrics(team, metrics)
+  }
+}
+
+function byTeam(seasons, metrics) {
+  const rows = seasons.flatMap(({ league, teams }) => teams.map((team) => ({ team, row: teamRow(league, team, metrics) })))
+  // Power scores are relative to each league, so they also rank across leagues.
+  rows
+    .slice()
+    .sort((a, b) => (b.team.power || 0) - (a.team.power || 0))
+    .forEach(({ row }, i) => {
+      if (metrics.includes('powerRankings')) row.overallPowerRank = i + 1
+    })
+  return rows.map(({ row }) => row)
+}
+
+const ownerKey = (team) => (team.ownerId != null ? String(team.ownerId) : team.ownerName ? `name:${team.ownerName.toLowerCase()}` : null)
+
+function byOwner(seasons, metrics) {
+  const owners = new Map()
+  seasons.forEach(({ league, teams }) => {
+    teams.forEach((team) => {
+      const key = ownerKey(team)
+      if (!key) return
+      if (!owners.has(key)) {
+        owners.set(key, { ...emptyTeam(null, null, team.ownerId, team.ownerName), powerTotal: 0, powered: 0, leagues: [] })
+      }
+      const owner = owners.get(key)
+      if (!owner.ownerName && team.ownerName) owner.ownerName = team.ownerName
+      ;['wins', 'losses', 'ties', 'games', 'pointsFor', 'pointsAgainst', 'allPlayWins', 'allPlayLosses', 'allPlayTies'].forEach((field) => {
+        owner[field] += team[field]
+      })
+      if (team.high !== null) owner.high = owner.high === null ? team.high : Math.max(owner.high, team.high)
+      if (team.low !== null) owner.low = owner.low === null ? team.low : Math.min(owner.low, team.low)
+      if (team.power !== null) {
+        owner.powerTotal += team.power
+        owner.powered++
+      }
+      owner.bestRank = owner.bestRank == null ? team.rank : Math.min(owner.bestRank, team.rank)
+      owner.leagues.push(teamRow(league, team, metrics))
+    })
+  })
+  return [...owners.entries()].map(([key, owner]) => {
+    const allPlay = { wins: owner.allPlayWins, losses: owner.allPlayLosses, ties: owner.allPlayTies }
+    const row = {
+      ...owner,
+      winPct: winPct(owner),
+      pointsPerGame: ratio(owner.pointsFor, owner.games),
+      pointsAgainstPerGame: ratio(owner.pointsAgainst, owner.games),
+      allPlayPct: allPlay.wins + allPlay.losses + allPlay.ties ? winPct(allPlay) : null,
+      // An owner's power is the average of their per-league power scores.
+      power: ratio(owner.powerTotal, owner.powered)
+    }
+    return {
+      key,
+      ownerId: owner.ownerId,
+      ownerName: owner.ownerName,
+      leagueCount: owner.leagues.length,
+      ...(metrics.includes('standings') ? { bestRank: owner.bestRank } : {}),
+      ...pickMetrics(row, metrics),
+      leagues: owner.leagues
+    }
+  }).sort((a, b) => (b.power || 0) - (a.power || 0) || (b.winPct || 0) - (a.winPct || 0))
+}
+
+// Players have no per-player scores in the canonical model, so they are
+// compared on how often they start and how their teams fare when they do.
+function byPlayer(seasons, metrics, playerRegistry) {
+  const players = new Map()
+  const entry = (playerId) => {
+    if (!players.has(playerId)) {
+      players.set(playerId, { playerId, rostered: [], starts: 0, wins: 0, teamPoints: 0 })
+    }
+    return players.get(playerId)
+  }
+  seasons.forEach(({ league, teams }) => {
+    teams.forEach((team) => {
+      const ref = { leagueId: league.id, teamId: team.teamId, ownerId: team.ownerId }
+      ;(team.players || []).forEach((playerId) => entry(playerId).rostered.push(ref))
+      Object.entries(team.starters).forEach(([playerId, start]) => {
+        const player = entry(playerId)
+        player.starts += start.starts
+        player.wins += start.wins
+        player.teamPoints += start.points
+        if (!player.rostered.some((other) => other.leagueId === league.id && other.teamId === team.teamId)) {
+          player.rostered.push(ref)
+        }
+      })
+    })
+  })
+  return [...players.values()].map((player) => {
+    const info = playerRegistry ? playerRegistry.lookup(player.playerId) : null
+    return {
+      key: player.playerId,
+      playerId: player.playerId,
+      playerName: info ? info.fullName : null,
+      position: info ? info.position : null,
+      leagueCount: new Set(player.rostered.map((ref) => ref.leagueId)).size,
+      rostered: player.rostered,
+      ...(metrics.includes('standings') ? { starts: player.starts, startWinPct: round(ratio(player.wins, player.starts), 3) } : {}),
+      ...(metrics.includes('pointsFor') ? { teamPointsWhenStarted: round(ratio(player.teamPoints, player.starts)) } : {})
+    }
+  }).sort((a, b) => b.leagueCount - a.leagueCount || (b.starts || 0) - (a.starts || 0))
+}
+
+// Lines every league up on a shared week axis; leagues without a given week
+// get null for it.
+function alignWeeks(seasons) {
+  const weeks = [...new Set(seasons.flatMap((season) => season.weeks.map(({ week }) => week)))].sort((a, b) => a - b)
+  return weeks.map((week) => ({
+    week,
+    leagues: Object.fromEntries(seasons.map(({ league, weeks: leagueWeeks }) => {
+      const found = leagueWeeks.find((entry) => entry.week === week)
+      return [league.id, found ? found.results : null]
+    }))
+  }))
+}
+
+// Compares already-loaded leagues (each with standings, matchups and rosters).
+function compareLeagues(leagues, { metrics = DEFAULT_METRICS, groupBy = 'league', startDate, endDate, simulations, seed, playerRegistry } = {}) {
+  const seasons = leagues.map((league) => rankTeams(buildSeason(league, { startDate, endDate })))
+  const playoffOdds = {}
+  if (metrics.includes('playoffOdds')) {
+    // Odds always project the full season, whatever the date range.
+    seasons.forEach(({ league, teams }) => {
+      const { teams: odds, ...run } = simulateLeaguePlayoffs(league, { simulations, seed })
+      const byTeam = new Map(odds.map((team) => [team.teamId, team]))
+      teams.forEach((team) => {
+        const teamOdds = byTeam.get(team.teamId)
+        if (teamOdds) METRIC_FIELDS.playoffOdds.forEach((field) => { team[field] = teamOdds[field] })
+      })
+      playoffOdds[league.id] = run
+    })
+  }
+  const rowMetrics = metrics.filter((metric) => metric !== 'weekly')
+  const groupers = {
+    league: () => byLeague(seasons, rowMetrics),
+    team: () => byTeam(seasons, rowMetrics),
+    owner: () => byOwner(seasons, rowMetrics),
+    player: () => byPlayer(seasons, rowMetrics, playerRegistry)
+  }
+  const result = {
+    groupBy,
+    metrics,
+    leagues: seasons.map(({ league, weeks }) => ({ ...leagueRef(league), weeks: weeks.map(({ week }) => week) })),
+    data: groupers[groupBy]()
+  }
+  if (metrics.includes('playoffOdds')) result.playoffOdds = playoffOdds
+  if (metrics.includes('weekly')) result.weeks = alignWeeks(seasons)
+  return result
+}
+
+function parseComparisonQuery(query) {
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean)
+  const leagueIds = [...new Set(list(query.leagueIds))]
+  if (!leagueIds.length) return { error: 'leagueIds is required' }
+  if (leagueIds.length > MAX_LEAGUES) return { error: `At most ${MAX_LEAGUES} leagueIds can be compared` }
+  const metrics = query.metrics === undefined ? DEFAULT_METRICS : list(query.metrics)
+  const unknown = metrics.filter((metric) => !METRICS.includes(metric))
+  if (!metrics.length || unknown.length) return { error: `metrics must be one or more of: ${METRICS.join(', ')}` }
+  const groupBy = query.groupBy === undefined ? 'league' : query.groupBy
+  if (!GROUP_BY.includes(groupBy)) return { error: `groupBy must be one of: ${GROUP_BY.join(', ')}` }
+  for (const name of ['startDate', 'endDate']) {
+    if (query[name] !== undefined && (typeof query[name] !== 'string' || Number.isNaN(Date.parse(query[name])))) {
+      return { error: `${name} must be a valid ISO date string` }
+    }
+  }
+  const options = { leagueIds, metrics, groupBy, startDate: query.startDate, endDate: query.endDate }
+  // The simulator's seed is fixed, so the same request always returns the
+  // same odds and can be served from cache.
+  if (metrics.includes('playoffOdds')) {
+    const limit = Math.floor(MAX_REQUEST_SIMULATIONS / leagueIds.length)
+    const simulations = query.simulations === undefined ? Math.min(DEFAULT_SIMULATIONS, limit) : Number(query.simulations)
+    if (!Number.isInteger(simulations) || simulations <= 0 || simulations > limit) {
+      return { error: `simulations must be an integer between 1 and ${limit} when comparing ${leagueIds.length} league(s)` }
+    }
+    options.simulations = simulations
+  }
+  if (query.scoring !== undefined) {
+    if (typeof query.scoring !== 'string' || !query.scoring.trim()) {
+      return { error: `scoring must be a league id or one of: ${Object.keys(SCORING_PRESETS).join(', ')}` }
+    }
+    options.scoring = query.scoring.trim()
+  }
+  return options
+}
+
+class ComparisonService {
+  constructor({ reader, playerRegistry = null, scoringEngine = null }) {
+    this.reader = reader
+    this.playerRegistry = playerRegistry
+    this.scoringEngine = scoringEngine
+  }
+
+  // Reads through LeagueDataReader so comparisons see the same (possibly
+  // cached) data as the single-league dashboards.
+  async loadLeague(leagueId) {
+    const [standings, matchups, rosters] = await Promise.all(
+      ['standings', 'matchups', 'rosters'].map((type) => this.reader.read(leagueId, type))
+    )
+    if (!standings) return null
+    return { ...standings.league, standings: standings.data, matchups: matchups.data, rosters: rosters.data }
+  }
+
+  async compare(leagueIds, options = {}) {
+    const leagues = await Promise.all(leagueIds.map((leagueId) => this.loadLeague(leagueId)))
+    const missing = leagueIds.filter((leagueId, i) => !leagues[i])
+    if (missing.length) throw leagueNotFoundError(missing)
+    if (!options.scoring) return compareLeagues(leagues, { ...options, playerRegistry: this.playerRegistry })
+
+    // `scoring` puts every league on the same rules: a preset name or the id
+    // of the league whose scoring settings should be used.
+    const rules = await this.resolveScoring(options.scoring)
+    const rescored = []
+    for (const league of leagues) {
+      rescored.push(await this.scoringEngine.rescoreLeague(league, rules))
+    }
+    const result = compareLeagues(rescored.map((entry) => entry.league), { ...options, playerRegistry: this.playerRegistry })
+    result.scoring = options.scoring
+    result.missingStats = Object.fromEntries(rescored.map((entry) => [entry.league.id, entry.missingStats]))
+    return result
+  }
+
+  async resolveScoring(scoring) {
+    if (!this.scoringEngine) throw new Error('Rescoring needs a scoring engine')
+    if (isPreset(scoring)) return SCORING_PRESETS[scoring]
+    const league = await this.loadLeague(scoring)
+    if (!league) throw leagueNotFoundError([scoring])
+    return leagueScoring(league)
+  }
+}
+
+module.exports = {
+  GROUP_BY,
+  METRICS,
+  ComparisonService,
+  compareLeagues,
+  parseComparisonQuery
+}
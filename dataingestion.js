@@ -4,7 +4,14 @@ const Redis = require('ioredis');
 const Bottleneck = require('bottleneck');
 const axios = require('axios');
 const Joi = require('joi');
+const EventEmitter = require('events');
 const { Counter, Histogram, register } = require('prom-client');
+const { normalize } = require('./normalizer');
+const { validateNormalized } = require('./leagueschema');
+const { hashPayload, diffPayload } = require('./changedetector');
+const { compareLeagues } = require('./comparisonservice');
+const cache = require('./cacheservice');
+const sleeperClient = require('./sleeperclient');
 require('dotenv').config();
 
 const logger = createLogger({
@@ -49,6 +56,29 @@ const ingestionDuration = new Histogram({
   help: 'Histogram of ingestion durations in seconds',
   buckets: [0.1, 0.5, 1, 2, 5]
 });
+const ingestionChanges = new Counter({
+  name: 'ingestion_changes_total',
+  help: 'Total number of changed data payloads detected during delta ingestion',
+  labelNames: ['type']
+});
+const ingestionUnchanged = new Counter({
+  name: 'ingestion_unchanged_total',
+  help: 'Total number of delta ingestions whose payload hash was unchanged',
+  labelNames: ['type']
+});
+
+const SNAPSHOT_TTL = parseInt(process.env.INGESTION_SNAPSHOT_TTL, 10) || 7 * 24 * 60 * 60;
+const CHANGE_CHANNEL_PATTERN = 'league:*:changes';
+
+const changeEvents = new EventEmitter();
+
+const changeEventNames = {
+  transactions: changes => changes.added.length ? 'transactions:new' : null,
+  matchups: changes => changes.scoreChanges.length ? 'matchups:score' : null,
+  standings: changes => changes.rankChanges.length ? 'standings:rank' : null,
+  draft: changes => changes.newPicks.length ? 'draft:picks' : null,
+  rosters: changes => changes.moves.length ? 'rosters:moves' : null
+};
 
 const leagueConfigSchema = Joi.object({
   id: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
@@ -59,23 +89,28 @@ const leagueConfigSchema = Joi.object({
       { is: 'nfl', then: Joi.object({ key: Joi.string().required() }).required() },
       { is: 'mfl', then: Joi.object({ key: Joi.string().required() }).required() }
     ],
-    otherwise: Joi.object().required()
+    // Sleeper and ESPN public leagues need no credentials, and leagues read
+    // back from the store don't carry any.
+    otherwise: Joi.object().default({})
   }),
   settings: Joi.object().default({})
 }).required();
 
-const dataSchemas = {
-  standings: Joi.array().items(Joi.object()).required(),
-  matchups: Joi.array().items(Joi.object()).required(),
-  transactions: Joi.array().items(Joi.object()).required(),
-  draft: Joi.object().required(),
-  analytics: Joi.object().required()
+const DATA_TYPES = ['standings', 'matchups', 'transactions', 'draft', 'rosters'];
+// league:<id>:analytics is derived from these rather than fetched.
+const ANALYTICS_SOURCES = ['standings', 'matchups', 'rosters'];
+const ANALYTICS_METRICS = ['standings', 'pointsFor', 'pointsAgainst', 'powerRankings', 'weekly'];
+
+const providerResources = {
+  yahoo: { standings: 'standings', matchups: 'scoreboard', transactions: 'transactions', draft: 'draftresults', rosters: 'teams/roster' },
+  espn: { standings: ['mTeam', 'mStandings'], matchups: ['mMatchupScore', 'mTeam'], transactions: ['mTransactions2'], draft: ['mDraftDetail', 'mSettings'], rosters: ['mRoster', 'mTeam'] },
+  nfl: { standings: 'standings', matchups: 'matchups', transactions: 'transactions', draft: 'draft', rosters: 'rosters' },
+  mfl: { standings: 'leagueStandings', matchups: 'weeklyResults', transactions: 'transactions', draft: 'draftResults', rosters: 'rosters' }
 };
 
 const limiters = {
   yahoo: new Bottleneck({ maxConcurrent: 2, minTime: 500 }),
   espn: new Bottleneck({ maxConcurrent: 2, minTime: 500 }),
-  sleeper: new Bottleneck({ maxConcurrent: 5, minTime: 200 }),
   nfl: new Bottleneck({ maxConcurrent: 1, minTime: 1000 }),
   mfl: new Bottleneck({ maxConcurrent: 1, minTime: 1000 })
 };
@@ -83,7 +118,6 @@ const limiters = {
 const axiosInstances = {
   yahoo: axios.create({ baseURL: 'https://fantasysports.yahooapis.com' }),
   espn: axios.create({ baseURL: 'https://fantasy.espn.com/apis' }),
-  sleeper: axios.create({ baseURL: 'https://api.sleeper.app' }),
   nfl: axios.create({ baseURL: 'https://api.fantasy.nfl.com' }),
   mfl: axios.create({ baseURL: 'https://api.myfantasyleague.com' })
 };
@@ -92,30 +126,75 @@ async function fetchWithLimiter(provider, fn) {
   return limiters[provider].schedule(fn);
 }
 
+// Sleeper spreads one logical data type over several endpoints, so each type is
+// assembled from the pieces its normalizer needs. Requests go through the
+// shared SleeperClient so ingestion draws on the same per-minute token bucket
+// (and 429 back-off) as every other Sleeper caller.
+async function fetchSleeperData(league, type) {
+  const get = url => sleeperClient.get(url);
+  const base = `/league/${league.id}`;
+  const currentWeek = async () => {
+    if (league.settings.week) return league.settings.week;
+    const state = await get('/state/nfl');
+    return Math.max(1, state.display_week || state.week || 1);
+  };
+  switch (type) {
+    case 'standings':
+    case 'rosters': {
+      const [rosters, users] = await Promise.all([get(`${base}/rosters`), get(`${base}/users`)]);
+      return { rosters, users };
+    }
+    case 'matchups': {
+      const week = await currentWeek();
+      const [matchups, rosters, users] = await Promise.all([
+        get(`${base}/matchups/${week}`),
+        get(`${base}/rosters`),
+        get(`${base}/users`)
+      ]);
+      return { matchups, rosters, users, week };
+    }
+    case 'transactions': {
+      const week = await currentWeek();
+      return { transactions: await get(`${base}/transactions/${week}`) };
+    }
+    case 'draft': {
+      const drafts = await get(`${base}/drafts`);
+      if (!Array.isArray(drafts) || !drafts.length) return [];
+      const picks = await get(`/draft/${drafts[0].draft_id}/picks`);
+      return { draft: drafts[0], picks };
+    }
+    default:
+      throw new Error(`Unsupported sleeper data type: ${type}`);
+  }
+}
+
 async function fetchProviderData(league, type) {
   const { provider, credentials, id, settings } = league;
+  if (provider === 'sleeper') {
+    return fetchSleeperData(league, type);
+  }
+  const resource = (providerResources[provider] || {})[type];
+  if (!resource) {
+    throw new Error(`Unsupported provider: ${provider}`);
+  }
   let url, params = {}, headers = {};
   switch (provider) {
     case 'yahoo':
-      url = `/fantasy/v2/league/${id}/${type}`;
+      url = `/fantasy/v2/league/${id}/${resource}`;
       headers = { Authorization: `Bearer ${credentials.token}` };
-      params = settings;
+      params = { format: 'json', ...settings };
       break;
     case 'espn':
       url = `/fantasy/v2/leagueSettings?leagueId=${id}`;
       params = settings;
-      headers = { 'x-fantasy-filter': JSON.stringify({ view: [type] }) };
-      break;
-    case 'sleeper':
-      url = `/v1/league/${id}/${type}`;
-      params = settings;
+      headers = { 'x-fantasy-filter': JSON.stringify({ view: resource }) };
       break;
     case 'nfl':
-      url = `/v1/league/${id}/${type}`;
+      url = `/v1/league/${id}/${resource}`;
       params = { apiKey: credentials.key, ...settings };
       break;
     case 'mfl':
-      url = `/export?TYPE=${type.toUpperCase()}&L=${id}&JSON=1`;
+      url = `/export?TYPE=${resource}&L=${id}&JSON=1`;
       params = { APIKEY: credentials.key, ...settings };
       break;
     default:
@@ -127,7 +206,117 @@ async function fetchProviderData(league, type) {
   return response.data;
 }
 
-async function ingestLeagueData(rawConfig) {
+function normalizationContext(league) {
+  return {
+    leagueId: String(league.id),
+    season: league.settings.season != null ? Number(league.settings.season) : null,
+    week: league.settings.week
+  };
+}
+
+const cacheKeyFor = (leagueId, type) => `league:${leagueId}:${type}`;
+
+async function readSnapshot(leagueId, type) {
+  const raw = await redis.get(`${cacheKeyFor(leagueId, type)}:snapshot`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+function publishChange(event) {
+  changeEvents.emit('change', event);
+  const specific = changeEventNames[event.type](event.changes);
+  if (specific) changeEvents.emit(specific, event);
+  return redis.publish(`league:${event.leagueId}:changes`, JSON.stringify(event)).catch(err => {
+    logger.warn('Failed to publish change event', { league: event.leagueId, type: event.type, error: err.message });
+  });
+}
+
+// Keeps the served copy of data that hasn't changed from expiring, rewriting
+// it if it already has.
+async function refreshServed(league, type, data) {
+  const cacheKey = cacheKeyFor(league.id, type);
+  const ttl = league.settings.cacheTTL || 300;
+  const refreshed = await redis.expire(cacheKey, ttl);
+  if (!refreshed) await redis.set(cacheKey, JSON.stringify(data), 'EX', ttl);
+}
+
+// Writes the served copy plus a hashed snapshot; in delta mode an unchanged
+// payload only has its TTL refreshed and a changed one is diffed and announced.
+async function storeNormalized(league, type, data, { mode, snapshot }) {
+  const cacheKey = cacheKeyFor(league.id, type);
+  const ttl = league.settings.cacheTTL || 300;
+  const hash = hashPayload(data);
+  const previous = snapshot !== undefined ? snapshot : await readSnapshot(league.id, type);
+
+  if (mode === 'delta' && previous && previous.hash === hash) {
+    ingestionUnchanged.inc({ type });
+    await refreshServed(league, type, data);
+    return { changed: false, hash };
+  }
+
+  const next = { hash, data, updatedAt: new Date().toISOString() };
+  const tx = redis.multi()
+    .set(cacheKey, JSON.stringify(data), 'EX', ttl)
+    .set(`${cacheKey}:snapshot`, JSON.stringify(next), 'EX', SNAPSHOT_TTL);
+  if (previous) {
+    tx.set(`${cacheKey}:previous`, JSON.stringify(previous), 'EX', SNAPSHOT_TTL);
+  }
+  await tx.exec();
+
+  if (mode !== 'delta' || !previous) {
+    return { changed: true, hash };
+  }
+  const diff = diffPayload(type, previous.data, data);
+  if (diff.hasChanges) {
+    ingestionChanges.inc({ type });
+    await publishChange({
+      leagueId: String(league.id),
+      provider: league.provider,
+      type,
+      hash,
+      previousHash: previous.hash,
+      changes: diff.changes,
+      detectedAt: next.updatedAt
+    });
+  }
+  return { changed: true, hash, changes: diff.changes };
+}
+
+// Rebuilds the single-league analytics dashboard (per-team records, points,
+// power rankings and the weekly grid) whenever one of its sources was
+// ingested; sources not in this run come from their snapshots.
+async function storeAnalytics(league, context, results) {
+  if (!ANALYTICS_SOURCES.some(type => results[type] !== undefined)) return;
+  try {
+    const sources = {};
+    for (const type of ANALYTICS_SOURCES) {
+      if (results[type] !== undefined) {
+        sources[type] = results[type];
+      } else {
+        const snapshot = await readSnapshot(league.id, type);
+        sources[type] = snapshot ? snapshot.data : [];
+      }
+    }
+    const analytics = compareLeagues(
+      [{ id: context.leagueId, provider: league.provider, season: context.season, ...sources }],
+      { groupBy: 'team', metrics: ANALYTICS_METRICS }
+    );
+    await redis.set(cacheKeyFor(league.id, 'analytics'), JSON.stringify(analytics), 'EX', league.settings.cacheTTL || 300);
+  } catch (err) {
+    logger.warn('Failed to store league analytics', { league: league.id, error: err.message });
+  }
+}
+
+// Anything derived from a league's data is tagged league:<id>, so fresh data
+// must drop it. A cache outage should not fail the ingestion run itself.
+async function invalidateLeagueCache(leagueId) {
+  try {
+    await cache.invalidateTag(`league:${leagueId}`);
+  } catch (err) {
+    logger.warn('Failed to invalidate league cache', { league: leagueId, error: err.message });
+  }
+}
+
+async function ingestLeagueData(rawConfig, options = {}) {
   ingestionRequests.inc();
   const endTimer = ingestionDuration.startTimer();
   const { error: cfgError, value: league } = leagueConfigSchema.validate(rawConfig, { stripUnknown: true });
@@ -135,19 +324,33 @@ async function ingestLeagueData(rawConfig) {
     ingestionFailure.inc();
     logger.error('Invalid league config', { error: cfgError.message, config: rawConfig });
     endTimer();
+    cfgError.code = 'INVALID_LEAGUE_CONFIG';
     throw cfgError;
   }
+  const mode = options.mode === 'delta' ? 'delta' : 'full';
+  const types = options.types || DATA_TYPES;
   try {
     const results = {};
-    await Promise.all(Object.keys(dataSchemas).map(async type => {
-      const data = await fetchProviderData(league, type);
-      const { error: err, value: sanitizedData } = dataSchemas[type].validate(data, { stripUnknown: true });
+    let anyChanged = false;
+    const context = normalizationContext(league);
+    await Promise.all(types.map(async type => {
+      const snapshot = await readSnapshot(league.id, type);
+      if (mode === 'delta' && type === 'draft' && snapshot && snapshot.data.status === 'complete') {
+        await refreshServed(league, type, snapshot.data);
+        results[type] = snapshot.data;
+        return;
+      }
+      const raw = await fetchProviderData(league, type);
+      const normalized = normalize(league.provider, type, raw, context);
+      const { error: err, value: sanitizedData } = validateNormalized(type, normalized);
       if (err) throw err;
-      const cacheKey = `league:${league.id}:${type}`;
-      await redis.set(cacheKey, JSON.stringify(sanitizedData), 'EX', league.settings.cacheTTL || 300);
+      const { changed } = await storeNormalized(league, type, sanitizedData, { mode, snapshot });
       results[type] = sanitizedData;
-      logger.info('Fetched and cached data', { league: league.id, provider: league.provider, type });
+      anyChanged = anyChanged || changed;
+      logger.info('Fetched and cached data', { league: league.id, provider: league.provider, type, mode, changed });
     }));
+    await storeAnalytics(league, context, results);
+    if (anyChanged) await invalidateLeagueCache(league.id);
     ingestionSuccess.inc();
     endTimer();
     return results;
@@ -159,10 +362,87 @@ async function ingestLeagueData(rawConfig) {
   }
 }
 
-async function ingestAllLeagues(configs) {
+function mergeById(previous, pushed, keyOf) {
+  const merged = new Map(previous.map(item => [keyOf(item), item]));
+  pushed.forEach(item => merged.set(keyOf(item), item));
+  return [...merged.values()];
+}
+
+function mergePushed(type, previous, pushed) {
+  switch (type) {
+    case 'transactions':
+      return mergeById(previous, pushed, item => item.id);
+    case 'matchups': {
+      // Push payloads carry scores but not team names, so keep the known ones.
+      const previousById = new Map(previous.map(matchup => [matchup.id, matchup]));
+      const named = pushed.map(matchup => {
+        const before = previousById.get(matchup.id);
+        if (!before) return matchup;
+        const names = new Map(before.teams.map(team => [team.id, team.name]));
+        return { ...matchup, teams: matchup.teams.map(team => ({ ...team, name: names.get(team.id) || team.name })) };
+      });
+      return mergeById(previous, named, item => item.id);
+    }
+    case 'draft':
+      return {
+        ...previous,
+        ...Object.fromEntries(Object.entries(pushed).filter(([key, value]) => key !== 'picks' && value != null)),
+        picks: mergeById(previous.picks, pushed.picks, pick => `${pick.round}:${pick.pickNumber}`)
+          .sort((a, b) => a.pickNumber - b.pickNumber)
+      };
+    default:
+      return pushed;
+  }
+}
+
+// Applies a provider push (webhook) payload on top of the last snapshot so it
+// flows through the same validation, storage and change events as a poll.
+async function applyPushedData(rawConfig, type, raw) {
+  const { error: cfgError, value: league } = leagueConfigSchema.validate(rawConfig, { stripUnknown: true });
+  if (cfgError) {
+    cfgError.code = 'INVALID_LEAGUE_CONFIG';
+    cfgError.statusCode = 422;
+    throw cfgError;
+  }
+  if (!DATA_TYPES.includes(type)) {
+    throw new Error(`Unsupported data type: ${type}`);
+  }
+  const snapshot = await readSnapshot(league.id, type);
+  if (!snapshot) {
+    logger.info('No snapshot for pushed data; running delta ingestion instead', { league: league.id, type });
+    const results = await ingestLeagueData(rawConfig, { mode: 'delta', types: [type] });
+    return { changed: true, data: results[type] };
+  }
+  const context = normalizationContext(league);
+  const normalized = normalize(league.provider, type, raw, context);
+  const merged = mergePushed(type, snapshot.data, normalized);
+  const { error: err, value: sanitizedData } = validateNormalized(type, merged);
+  if (err) throw err;
+  const result = await storeNormalized(league, type, sanitizedData, { mode: 'delta', snapshot });
+  if (result.changed) {
+    await storeAnalytics(league, context, { [type]: sanitizedData });
+    await invalidateLeagueCache(league.id);
+  }
+  logger.info('Applied pushed data', { league: league.id, provider: league.provider, type, changed: result.changed });
+  return { ...result, data: sanitizedData };
+}
+
+function subscribeToChanges(handler) {
+  const subscriber = redis.duplicate();
+  subscriber.on('pmessage', (pattern, channel, message) => {
+    try {
+      handler(JSON.parse(message));
+    } catch (err) {
+      logger.error('Change subscriber failed', { channel, error: err.message });
+    }
+  });
+  return subscriber.psubscribe(CHANGE_CHANNEL_PATTERN).then(() => () => subscriber.quit());
+}
+
+async function ingestAllLeagues(configs, options = {}) {
   const tasks = configs.map(async cfg => {
     try {
-      const data = await ingestLeagueData(cfg);
+      const data = await ingestLeagueData(cfg, options);
       return { league: cfg.id, data, error: null };
     } catch (err) {
       return { league: cfg.id, data: null, error: err.message };
@@ -172,7 +452,11 @@ async function ingestAllLeagues(configs) {
 }
 
 module.exports = {
+  DATA_TYPES,
   ingestLeagueData,
   ingestAllLeagues,
+  applyPushedData,
+  subscribeToChanges,
+  changeEvents,
   metrics: register
 };
\ No newline at end of file
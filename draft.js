@@ -1,8 +1,50 @@
-const DraftBoard = ({ draftId }) => {
+const EVENT_TYPES = ['snapshot', 'pick', 'paused', 'resumed', 'complete']
+
+// Folds the room's picks into the board, filling existing slots by pick
+// number, and makes sure the pick on the clock has a slot to choose in.
+const mergePicks = (picks, state) => {
+  const teamNames = new Map(picks.map(p => [String(p.teamId), p.teamName]))
+  const byNumber = new Map(picks.map(p => [p.pickNumber, p]))
+  if (state.currentPick && !byNumber.has(state.currentPick)) {
+    byNumber.set(state.currentPick, {
+      id: `live-${state.currentPick}`,
+      round: Math.ceil(state.currentPick / state.order.length),
+      pickNumber: state.currentPick,
+      teamId: state.onTheClock,
+      teamName: teamNames.get(String(state.onTheClock)) || state.onTheClock,
+      playerId: null
+    })
+  }
+  state.picks.forEach(live => {
+    const existing = byNumber.get(live.pickNumber)
+    byNumber.set(live.pickNumber, existing
+      ? { ...existing, playerId: live.playerId }
+      : {
+          id: `live-${live.pickNumber}`,
+          round: live.round,
+          pickNumber: live.pickNumber,
+          teamId: live.teamId,
+          teamName: teamNames.get(String(live.teamId)) || live.teamId,
+          playerId: live.playerId
+        })
+  })
+  return Array.from(byNumber.values())
+}
+
+const formatClock = ms => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000))
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+const DraftBoard = ({ draftId, leagueId, live = false, authToken, isCommissioner = false }) => {
   const [draftData, setDraftData] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [liveState, setLiveState] = useState(null)
+  const [connected, setConnected] = useState(false)
+  const [now, setNow] = useState(Date.now())
   const isMounted = useRef(false)
+  const liveBase = leagueId ? `/api/leagues/${encodeURIComponent(leagueId)}/draft/live` : null
 
   useEffect(() => {
     isMounted.current = true
@@ -40,11 +82,57 @@ const DraftBoard = ({ draftId }) => {
     }
   }, [draftId])
 
+  // Live mode: every client follows the draft room over server-sent events
+  // instead of reloading to see other managers' picks.
+  useEffect(() => {
+    if (!live || !liveBase || !draftData) return
+    const query = authToken ? `?access_token=${encodeURIComponent(authToken)}` : ''
+    const source = new EventSource(`${liveBase}/events${query}`)
+    const applyState = state => {
+      setLiveState(state)
+      setDraftData(current => current && { ...current, picks: mergePicks(current.picks, state) })
+    }
+    const handlers = {
+      snapshot: applyState,
+      pick: ({ next }) => applyState(next),
+      paused: ({ remainingMs }) =>
+        setLiveState(current => current && { ...current, status: 'paused', deadline: null, remainingMs }),
+      resumed: ({ deadline }) =>
+        setLiveState(current => current && { ...current, status: 'drafting', deadline }),
+      complete: () => {
+        setLiveState(current => current && { ...current, status: 'complete', currentPick: null, onTheClock: null, deadline: null })
+        source.close()
+      }
+    }
+    const listeners = EVENT_TYPES.map(type => {
+      const listener = event => {
+        if (isMounted.current) handlers[type](JSON.parse(event.data))
+      }
+      source.addEventListener(type, listener)
+      return [type, listener]
+    })
+    source.onopen = () => isMounted.current && setConnected(true)
+    // EventSource reconnects by itself; the snapshot it gets resyncs the board.
+    source.onerror = () => isMounted.current && setConnected(false)
+    return () => {
+      listeners.forEach(([type, listener]) => source.removeEventListener(type, listener))
+      source.close()
+    }
+  }, [live, liveBase, authToken, Boolean(draftData)])
+
+  useEffect(() => {
+    if (!liveState || !liveState.deadline) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [liveState && liveState.deadline])
+
   const updateDraftPick = useCallback(
     async ({ pickId, playerId }) => {
-      if (!draftData) return
+      // Live picks can't be taken back by clearing the select.
+      if (!draftData || (live && !playerId)) return
       setError(null)
       const previousPicks = [...draftData.picks]
+      const target = draftData.picks.find(p => p.id === pickId)
       const updatedPicks = draftData.picks.map(p =>
         p.id === pickId ? { ...p, playerId } : p
       )
@@ -52,24 +140,79 @@ const DraftBoard = ({ draftId }) => {
         setDraftData({ ...draftData, picks: updatedPicks })
       }
       try {
-        await axios.put(
-          `/api/drafts/${draftId}/picks/${pickId}`,
-          { playerId }
-        )
+        if (live) {
+          await axios.post(`${liveBase}/picks`, {
+            teamId: target.teamId,
+            playerId,
+            pickNumber: target.pickNumber
+          })
+        } else {
+          await axios.put(
+            `/api/drafts/${draftId}/picks/${pickId}`,
+            { playerId }
+          )
+        }
         if (isMounted.current) {
           setError(null)
         }
       } catch (err) {
         if (isMounted.current) {
-          setDraftData({ ...draftData, picks: previousPicks })
-          setError('Failed to update pick. Please try again.')
+          const response = err.response
+          // Someone else got there first; the room's state comes back with the conflict.
+          if (live && response && response.status === 409) {
+            const state = response.data.state
+            setDraftData({ ...draftData, picks: state ? mergePicks(previousPicks, state) : previousPicks })
+            if (state) setLiveState(state)
+            setError(response.data.error || 'That pick was already made.')
+          } else {
+            setDraftData({ ...draftData, picks: previousPicks })
+            setError('Failed to update pick. Please try again.')
+          }
         }
       }
     },
-    [draftData, draftId]
+    [draftData, draftId, live, liveBase]
   )
 
+  const setPaused = useCallback(
+    async paused => {
+      try {
+        await axios.post(`${liveBase}/${paused ? 'pause' : 'resume'}`)
+      } catch (err) {
+        if (isMounted.current) {
+          setError(`Failed to ${paused ? 'pause' : 'resume'} the draft.`)
+        }
+      }
+    },
+    [liveBase]
+  )
+
+  const renderClock = state => {
+    const remaining = state.status === 'paused'
+      ? state.remainingMs
+      : state.deadline ? Date.parse(state.deadline) - now : null
+    return (
+      <div className={`draft-clock ${state.status}`}>
+        {state.status === 'complete'
+          ? 'Draft complete'
+          : `Pick ${state.currentPick}: team ${state.onTheClock} on the clock`}
+        {remaining != null && state.status !== 'complete' && (
+          <span className="draft-clock-time">
+            {state.status === 'paused' ? ` (paused, ${formatClock(remaining)} left)` : ` ${formatClock(remaining)}`}
+          </span>
+        )}
+        {!connected && state.status !== 'complete' && <span className="draft-reconnecting"> Reconnecting…</span>}
+        {isCommissioner && state.status !== 'complete' && (
+          <button type="button" onClick={() => setPaused(state.status !== 'paused')}>
+            {state.status === 'paused' ? 'Resume' : 'Pause'}
+          </button>
+        )}
+      </div>
+    )
+  }
+
   const renderDraftBoard = data => {
+    const taken = new Set(data.picks.map(pick => pick.playerId).filter(Boolean))
     const rounds = Array.from(
       data.picks.reduce((set, pick) => set.add(pick.round), new Set())
     ).sort((a, b) => a - b)
@@ -96,6 +239,7 @@ const DraftBoard = ({ draftId }) => {
                   <td>
                     <select
                       value={pick.playerId || ''}
+                      disabled={live && (!liveState || liveState.status !== 'drafting' || pick.pickNumber !== liveState.currentPick)}
                       onChange={e =>
                         updateDraftPick({
                           pickId: pick.id,
@@ -104,11 +248,13 @@ const DraftBoard = ({ draftId }) => {
                       }
                     >
                       <option value="">-- Unassigned --</option>
-                      {data.availablePlayers.map(player => (
-                        <option key={player.id} value={player.id}>
-                          {player.name}
-                        </option>
-                      ))}
+                      {data.availablePlayers
+                        .filter(player => !live || player.id === pick.playerId || !taken.has(player.id))
+                        .map(player => (
+                          <option key={player.id} value={player.id}>
+                            {player.name}
+                          </option>
+                        ))}
                     </select>
                   </td>
                 </tr>
@@ -124,7 +270,7 @@ const DraftBoard = ({ draftId }) => {
     return <div>Loading draft board...</div>
   }
 
-  if (error) {
+  if (error && !draftData) {
     return <div className="error">{error}</div>
   }
 
@@ -132,11 +278,21 @@ const DraftBoard = ({ draftId }) => {
     return null
   }
 
-  return <div className="draft-board">{renderDraftBoard(draftData)}</div>
+  return (
+    <div className="draft-board">
+      {live && liveState && renderClock(liveState)}
+      {error && <div className="error">{error}</div>}
+      {renderDraftBoard(draftData)}
+    </div>
+  )
 }
 
 DraftBoard.propTypes = {
-  draftId: PropTypes.string.isRequired
+  draftId: PropTypes.string.isRequired,
+  leagueId: PropTypes.string,
+  live: PropTypes.bool,
+  authToken: PropTypes.string,
+  isCommissioner: PropTypes.bool
 }
 
 export default DraftBoard
\ No newline at end of file
@@ -0,0 +1,275 @@
+const fs = require('fs').promises
+const path = require('path')
+const { readFeedRows, resolvePlayerId, invalidImportError } = require('./projectionservice')
+// Draft capital per pick follows the trade analyzer's pick curve.
+const { pickCurve } = require('./tradeanalyzer')
+
+// A pick is a reach (or steal) when it lands at least this many picks, or
+// this share of the player's ADP, ahead of (or behind) ADP.
+const FLAG_MIN_PICKS = 6
+const FLAG_ADP_SHARE = 0.2
+// Grades are on a curve: a team's value score in league standard deviations.
+const GRADE_SCALE = [
+  { minZ: 1.5, grade: 'A+' },
+  { minZ: 1, grade: 'A' },
+  { minZ: 0.5, grade: 'B+' },
+  { minZ: 0, grade: 'B' },
+  { minZ: -0.5, grade: 'C+' },
+  { minZ: -1, grade: 'C' },
+  { minZ: -1.5, grade: 'D' },
+  { minZ: -Infinity, grade: 'F' }
+]
+const UNFINISHED_STATUSES = ['pre_draft', 'drafting', 'paused']
+// Formats name files under dataDir, so they are kept to a safe alphabet.
+const ADP_FORMAT = /^[a-z0-9_]+$/
+
+const round = (value, digits = 2) => (value == null ? null : Number(value.toFixed(digits)))
+
+function draftNotCompleteError(leagueId, status) {
+  const err = new Error(`Draft for league ${leagueId} is not complete (${status})`)
+  err.statusCode = 409
+  err.code = 'DRAFT_NOT_COMPLETE'
+  return err
+}
+
+function invalidFormatError(format) {
+  const err = new Error(`Invalid ADP format: ${format}; use lowercase letters, digits or underscores`)
+  err.statusCode = 400
+  err.code = 'INVALID_ADP_FORMAT'
+  return err
+}
+
+const isAdpFormat = (format) => typeof format === 'string' && ADP_FORMAT.test(format)
+
+// ADP differs by format, so files are kept per format; leagues pick theirs
+// from roster and scoring settings.
+function adpFormat(league) {
+  const positions = league.rosterPositions || league.settings?.roster_positions || []
+  if (positions.includes('SUPER_FLEX')) return 'superflex'
+  const rec = Number((league.scoringSettings || league.settings?.scoring_settings || {}).rec)
+  if (rec === 0) return 'standard'
+  if (rec === 0.5) return 'half_ppr'
+  return 'ppr'
+}
+
+function flagPick(pickNumber, adp) {
+  if (adp == null) return null
+  const threshold = Math.max(FLAG_MIN_PICKS, adp * FLAG_ADP_SHARE)
+  if (adp - pickNumber >= threshold) return 'reach'
+  if (pickNumber - adp >= threshold) return 'steal'
+  return null
+}
+
+function gradeFor(z) {
+  return GRADE_SCALE.find((entry) => z >= entry.minZ).grade
+}
+
+// Points each player scored this season from the league's own matchups, in
+// total and while in a starting lineup.
+function realizedPoints(league) {
+  const totals = new Map()
+  ;(league.matchups || [])
+    .filter((matchup) => league.season == null || matchup.season == null || Number(matchup.season) === Number(league.season))
+    .forEach((matchup) => matchup.teams.forEach((team) => {
+      const starters = new Set(team.starters)
+      Object.entries(team.playerPoints || {}).forEach(([playerId, points]) => {
+        const entry = totals.get(playerId) || { points: 0, startedPoints: 0, starts: 0 }
+        entry.points += points
+        if (starters.has(playerId)) {
+          entry.startedPoints += points
+          entry.starts += 1
+        }
+        totals.set(playerId, entry)
+      })
+    }))
+  return totals
+}
+
+class DraftAnalytics {
+  constructor({ leagueService, reader, playerRegistry = null, dataDir } = {}) {
+    this.leagueService = leagueService
+    this.reader = reader
+    this.playerRegistry = playerRegistry
+    this.dataDir = dataDir || path.resolve(process.cwd(), 'data', 'adp')
+    this.files = new Map()
+  }
+
+  // Reads through LeagueDataReader so the analysis sees the same (possibly
+  // cached) draft and results as the dashboards.
+  async loadLeague(leagueId) {
+    const [draft, matchups, rosters] = await Promise.all(
+      ['draft', 'matchups', 'rosters'].map((type) => this.reader.read(leagueId, type))
+    )
+    if (!draft) return null
+    return { ...draft.league, draft: draft.data, matchups: matchups.data, rosters: rosters.data }
+  }
+
+  fileFor(season, format) {
+    return path.join(this.dataDir, `${season}-${format}.json`)
+  }
+
+  // Imports ADP from the [adp] feed in config.ini or inline `data`. Rows need
+  // a player id (or name and position) and an `adp` overall pick number.
+  async importAdp({ season, format = 'ppr', source = 'adp', data, type } = {}) {
+    if (!Number.isInteger(season)) throw invalidImportError('season must be an integer')
+    if (!isAdpFormat(format)) throw invalidImportError('format must be lowercase letters, digits or underscores')
+    const { rows, idField } = await readFeedRows(this.leagueService, { source, data, type })
+    const players = {}
+    const unmatched = []
+    rows.forEach((row) => {
+      const playerId = resolvePlayerId(this.playerRegistry, row, idField)
+      const adp = Number(row.adp ?? row.ADP)
+      if (!playerId || !(adp > 0)) {
+        unmatched.push(row.name || row.full_name || row.player || row[idField] || null)
+        return
+      }
+      players[playerId] = round(adp)
+    })
+
+    const entry = { season, format, source, importedAt: new Date().toISOString(), players }
+    await fs.mkdir(this.dataDir, { recursive: true })
+    const file = this.fileFor(season, format)
+    const tmp = `${file}.${process.pid}.tmp`
+    await fs.writeFile(tmp, JSON.stringify(entry), 'utf-8')
+    await fs.rename(tmp, file)
+    this.files.set(`${season}-${format}`, entry)
+    return { season, format, count: Object.keys(players).length, unmatched }
+  }
+
+  // Only formats with an imported file are cached.
+  async getAdp(season, format) {
+    if (!isAdpFormat(format)) throw invalidFormatError(format)
+    const key = `${season}-${format}`
+    if (!this.files.has(key)) {
+      try {
+        this.files.set(key, JSON.parse(await fs.readFile(this.fileFor(season, format), 'utf-8')))
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+        return null
+      }
+    }
+    return this.files.get(key)
+  }
+
+  // Grades a finished draft against ADP and tracks what each slot has
+  // returned so far. Without an ADP file for the league's format the picks,
+  // allocation and realized points are still reported.
+  async analyzeDraft(league, { format = adpFormat(league) } = {}) {
+    const draft = league.draft || {}
+    if (UNFINISHED_STATUSES.includes(draft.status)) throw draftNotCompleteError(league.id, draft.status)
+    const season = draft.season || league.season
+    const adpFile = await this.getAdp(season, format)
+    const adpOf = (playerId) => (adpFile && adpFile.players[playerId] !== undefined ? adpFile.players[playerId] : null)
+    const realized = realizedPoints(league)
+    const teamNames = new Map((league.rosters || []).map((roster) => [roster.teamId, roster.teamName]))
+
+    const picks = (draft.picks || [])
+      .filter((pick) => pick.playerId)
+      .sort((a, b) => a.pickNumber - b.pickNumber)
+      .map((pick) => {
+        const info = this.playerRegistry ? this.playerRegistry.lookup(pick.playerId) : null
+        const adp = adpOf(pick.playerId)
+        const points = realized.get(pick.playerId) || { points: 0, startedPoints: 0, starts: 0 }
+        return {
+          round: pick.round,
+          pickNumber: pick.pickNumber,
+          teamId: pick.teamId,
+          teamName: teamNames.get(pick.teamId) || null,
+          playerId: pick.playerId,
+          playerName: pick.playerName || (info ? info.fullName : null),
+          position: pick.position || (info ? info.position : null),
+          adp,
+          pickVsAdp: adp == null ? null : round(pick.pickNumber - adp),
+          flag: flagPick(pick.pickNumber, adp),
+          value: adp == null ? null : round(pickCurve(adp) - pickCurve(pick.pickNumber), 4),
+          points: round(points.points),
+          startedPoints: round(points.startedPoints),
+          starts: points.starts
+        }
+      })
+
+    // Realized rank against draft slot: a positive difference means the pick
+    // has outscored where it was taken.
+    const byPoints = picks.slice().sort((a, b) => b.points - a.points)
+    byPoints.forEach((pick, index) => {
+      pick.pointsRank = index + 1
+      pick.slotDifference = pick.pickNumber - pick.pointsRank
+    })
+
+    const teams = new Map()
+    picks.forEach((pick) => {
+      if (!teams.has(pick.teamId)) {
+        teams.set(pick.teamId, { teamId: pick.teamId, teamName: pick.teamName, picks: 0, capital: 0, value: 0, valued: 0, reaches: 0, steals: 0, points: 0, startedPoints: 0, positions: {} })
+      }
+      const team = teams.get(pick.teamId)
+      const capital = pickCurve(pick.pickNumber)
+      team.picks += 1
+      team.capital += capital
+      team.points += pick.points
+      team.startedPoints += pick.startedPoints
+      if (pick.value != null) {
+        team.value += pick.value
+        team.valued += 1
+      }
+      if (pick.flag === 'reach') team.reaches += 1
+      if (pick.flag === 'steal') team.steals += 1
+      const position = pick.position || 'UNKNOWN'
+      const allocation = team.positions[position] || { picks: 0, capital: 0, firstRound: null }
+      allocation.picks += 1
+      allocation.capital += capital
+      if (allocation.firstRound === null || pick.round < allocation.firstRound) allocation.firstRound = pick.round
+      team.positions[position] = allocation
+    })
+
+    // Value is draft capital gained against ADP as a share of capital spent.
+    const graded = [...teams.values()].filter((team) => team.valued)
+    const scores = graded.map((team) => team.value / team.capital)
+    const mean = scores.reduce((total, score) => total + score, 0) / (scores.length || 1)
+    const sd = Math.sqrt(scores.reduce((total, score) => total + (score - mean) ** 2, 0) / (scores.length || 1))
+
+    return {
+      leagueId: league.id,
+      draftId: draft.id || null,
+      season,
+      adpFormat: format,
+      hasAdp: Boolean(adpFile),
+      picks,
+      teams: [...teams.values()].map((team) => {
+        const score = team.valued ? team.value / team.capital : null
+        const z = score == null ? null : sd > 0 ? (score - mean) / sd : 0
+        return {
+          teamId: team.teamId,
+          teamName: team.teamName,
+          picks: team.picks,
+          grade: z == null ? null : gradeFor(z),
+          valueScore: round(score == null ? null : score * 100),
+          reaches: team.reaches,
+          steals: team.steals,
+          points: round(team.points),
+          startedPoints: round(team.startedPoints),
+          positions: Object.fromEntries(Object.entries(team.positions).map(([position, allocation]) => [position, {
+            picks: allocation.picks,
+            capitalShare: round(allocation.capital / team.capital * 100, 1),
+            firstRound: allocation.firstRound
+          }]))
+        }
+      }).sort((a, b) => (b.valueScore ?? -Infinity) - (a.valueScore ?? -Infinity)),
+      rounds: [...new Set(picks.map((pick) => pick.round))].sort((a, b) => a - b).map((number) => {
+        const inRound = picks.filter((pick) => pick.round === number)
+        return {
+          round: number,
+          picks: inRound.length,
+          averagePoints: round(inRound.reduce((total, pick) => total + pick.points, 0) / inRound.length),
+          reaches: inRound.filter((pick) => pick.flag === 'reach').length,
+          steals: inRound.filter((pick) => pick.flag === 'steal').length
+        }
+      })
+    }
+  }
+}
+
+module.exports = {
+  DraftAnalytics,
+  adpFormat,
+  isAdpFormat
+}
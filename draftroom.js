@@ -0,0 +1,339 @@
+const EventEmitter = require('events')
+const { adpFormat } = require('./draftanalytics')
+
+const DEFAULT_PICK_SECONDS = 90
+const MAX_PICK_SECONDS = 24 * 60 * 60
+const MAX_QUEUE_LENGTH = 100
+const DEFAULT_ROUNDS = 15
+// Backoff for retrying the write that completes a draft.
+const SAVE_RETRY_MS = 1000
+const MAX_SAVE_RETRY_MS = 60 * 1000
+
+class DraftRoomError extends Error {
+  constructor(code, message, statusCode = 409) {
+    super(message)
+    this.name = 'DraftRoomError'
+    this.statusCode = statusCode
+    this.code = code
+  }
+}
+
+// Team on the clock for an overall pick number; snake drafts reverse the
+// order every other round.
+function teamForPick(order, pickNumber, type) {
+  const round = Math.ceil(pickNumber / order.length)
+  const index = (pickNumber - 1) % order.length
+  return type === 'snake' && round % 2 === 0 ? order[order.length - 1 - index] : order[index]
+}
+
+// Live drafts run in this process: the clock, queues and subscribers are held
+// in memory and every pick is written through to the league's draft. Events
+// ('draft' with { leagueId, type, data }) are what the SSE channel relays.
+class DraftRoom extends EventEmitter {
+  constructor({ leagueService, playerRegistry = null, draftAnalytics = null, logger = console } = {}) {
+    super()
+    // One listener per connected client.
+    this.setMaxListeners(0)
+    this.leagueService = leagueService
+    this.playerRegistry = playerRegistry
+    this.draftAnalytics = draftAnalytics
+    this.logger = logger
+    this.rooms = new Map()
+  }
+
+  // Opens the room for a league whose draft hasn't finished. `order` is the
+  // first-round team order; `managers` maps team ids to the user ids allowed
+  // to pick for them (without it, users pick for the teams their linked league
+  // accounts name).
+  async start(leagueId, { order, rounds, type, pickSeconds = DEFAULT_PICK_SECONDS, managers = null, commissionerId = null, actor = 'system' } = {}) {
+    if (this.rooms.has(leagueId)) throw new DraftRoomError('DRAFT_ALREADY_LIVE', `Draft for league ${leagueId} is already live`)
+    const league = await this.leagueService.getLeague(leagueId)
+    if (!league) return null
+    const draft = league.draft || {}
+    if (draft.status === 'complete') throw new DraftRoomError('DRAFT_COMPLETE', `Draft for league ${leagueId} is already complete`)
+    const teamIds = (league.rosters || []).map((roster) => roster.teamId)
+    const slotOrder = (order && order.length ? order : teamIds).map(String)
+    if (!slotOrder.length || new Set(slotOrder).size !== slotOrder.length || slotOrder.some((teamId) => !teamIds.includes(teamId))) {
+      throw new DraftRoomError('INVALID_ORDER', 'order must list each team in the league once', 400)
+    }
+    if (!(pickSeconds > 0 && pickSeconds <= MAX_PICK_SECONDS)) {
+      throw new DraftRoomError('INVALID_CLOCK', `pickSeconds must be between 1 and ${MAX_PICK_SECONDS}`, 400)
+    }
+    const picks = (draft.picks || []).filter((pick) => pick.playerId)
+    const room = {
+      leagueId,
+      draftId: draft.id || null,
+      season: draft.season || league.season,
+      type: type || draft.type || 'snake',
+      order: slotOrder,
+      rounds: rounds || draft.rounds || DEFAULT_ROUNDS,
+      pickMs: pickSeconds * 1000,
+      status: 'drafting',
+      picks,
+      currentPick: picks.length + 1,
+      deadline: null,
+      remainingMs: null,
+      queues: new Map(),
+      managers: managers ? new Map(Object.entries(managers).map(([teamId, userId]) => [String(teamId), String(userId)])) : null,
+      commissionerId: commissionerId ? String(commissionerId) : actor,
+      adpFormat: adpFormat(league),
+      timer: null,
+      sequence: 0,
+      // Picks are applied one at a time so two clients can't both take a player.
+      lock: Promise.resolve()
+    }
+    this.rooms.set(leagueId, room)
+    try {
+      await this._persist(room, actor)
+    } catch (err) {
+      this.rooms.delete(leagueId)
+      throw err
+    }
+    this._startClock(room, room.pickMs)
+    this._emit(room, 'started', this.state(leagueId))
+    return this.state(leagueId)
+  }
+
+  isLive(leagueId) {
+    return this.rooms.has(leagueId)
+  }
+
+  state(leagueId) {
+    const room = this.rooms.get(leagueId)
+    if (!room) return null
+    return {
+      leagueId: room.leagueId,
+      draftId: room.draftId,
+      status: room.status,
+      type: room.type,
+      order: room.order,
+      rounds: room.rounds,
+      totalPicks: room.order.length * room.rounds,
+      pickSeconds: room.pickMs / 1000,
+      currentPick: room.status === 'complete' ? null : room.currentPick,
+      onTheClock: room.status === 'complete' ? null : teamForPick(room.order, room.currentPick, room.type),
+      deadline: room.deadline ? new Date(room.deadline).toISOString() : null,
+      remainingMs: room.status === 'paused' ? room.remainingMs : room.deadline ? Math.max(0, room.deadline - Date.now()) : null,
+      picks: room.picks,
+      sequence: room.sequence
+    }
+  }
+
+  // `linkedTeamIds` are the user's teams in this league from their linked
+  // accounts; they only count when the room has no `managers` map.
+  canPickFor(leagueId, teamId, userId, linkedTeamIds = []) {
+    const room = this.rooms.get(leagueId)
+    if (!room) return true
+    if (room.commissionerId === String(userId)) return true
+    if (room.managers) return room.managers.get(String(teamId)) === String(userId)
+    return linkedTeamIds.map(String).includes(String(teamId))
+  }
+
+  isCommissioner(leagueId, userId) {
+    const room = this.rooms.get(leagueId)
+    return Boolean(room) && room.commissionerId === String(userId)
+  }
+
+  // `pickNumber` is the pick the client believes is on the clock; a stale
+  // one is rejected rather than applied to the next team's pick.
+  makePick(leagueId, { teamId, playerId, pickNumber, actor = 'system' }) {
+    const room = this._room(leagueId)
+    return this._serialize(room, () => this._applyPick(room, {
+      teamId: String(teamId),
+      playerId: String(playerId),
+      pickNumber,
+      actor,
+      auto: false
+    }))
+  }
+
+  getQueue(leagueId, teamId) {
+    return this._room(leagueId).queues.get(String(teamId)) || []
+  }
+
+  // Replaces a team's queue; drafted players are dropped from it.
+  setQueue(leagueId, teamId, playerIds) {
+    const room = this._room(leagueId)
+    if (!room.order.includes(String(teamId))) throw new DraftRoomError('UNKNOWN_TEAM', `Team ${teamId} is not in this draft`, 400)
+    const taken = new Set(room.picks.map((pick) => pick.playerId))
+    const queue = [...new Set(playerIds.map(String))].filter((playerId) => !taken.has(playerId)).slice(0, MAX_QUEUE_LENGTH)
+    room.queues.set(String(teamId), queue)
+    return queue
+  }
+
+  pause(leagueId, { actor = 'system' } = {}) {
+    const room = this._room(leagueId)
+    if (room.status !== 'drafting') throw new DraftRoomError('DRAFT_NOT_ACTIVE', `Draft is ${room.status}`)
+    room.remainingMs = Math.max(0, room.deadline - Date.now())
+    room.deadline = null
+    room.status = 'paused'
+    clearTimeout(room.timer)
+    this._emit(room, 'paused', { actor, remainingMs: room.remainingMs })
+    return this._serialize(room, () => this._persist(room, actor)).then(() => this.state(leagueId))
+  }
+
+  resume(leagueId, { actor = 'system' } = {}) {
+    const room = this._room(leagueId)
+    if (room.status !== 'paused') throw new DraftRoomError('DRAFT_NOT_PAUSED', `Draft is ${room.status}`)
+    room.status = 'drafting'
+    this._startClock(room, room.remainingMs || room.pickMs)
+    room.remainingMs = null
+    this._emit(room, 'resumed', { actor, deadline: new Date(room.deadline).toISOString() })
+    return this._serialize(room, () => this._persist(room, actor)).then(() => this.state(leagueId))
+  }
+
+  // Stops every clock and tells subscribers to disconnect.
+  close() {
+    this.rooms.forEach((room) => clearTimeout(room.timer))
+    this.rooms.clear()
+    this.emit('closed')
+  }
+
+  _room(leagueId) {
+    const room = this.rooms.get(leagueId)
+    if (!room) throw new DraftRoomError('DRAFT_NOT_LIVE', `Draft for league ${leagueId} is not live`, 404)
+    return room
+  }
+
+  _serialize(room, task) {
+    const run = room.lock.then(task)
+    room.lock = run.catch(() => {})
+    return run
+  }
+
+  async _applyPick(room, { teamId, playerId, pickNumber, actor, auto }) {
+    if (room.status !== 'drafting') throw new DraftRoomError('DRAFT_NOT_ACTIVE', `Draft is ${room.status}`)
+    if (pickNumber != null && Number(pickNumber) !== room.currentPick) {
+      throw new DraftRoomError('PICK_CONFLICT', `Pick ${pickNumber} has already been made; pick ${room.currentPick} is on the clock`)
+    }
+    const onTheClock = teamForPick(room.order, room.currentPick, room.type)
+    if (teamId !== onTheClock) throw new DraftRoomError('NOT_ON_THE_CLOCK', `Team ${onTheClock} is on the clock`)
+    const taken = room.picks.find((pick) => pick.playerId === playerId)
+    if (taken) throw new DraftRoomError('PLAYER_TAKEN', `Player ${playerId} was taken with pick ${taken.pickNumber}`)
+
+    const info = this.playerRegistry ? this.playerRegistry.lookup(playerId) : null
+    const pick = {
+      round: Math.ceil(room.currentPick / room.order.length),
+      pickNumber: room.currentPick,
+      teamId,
+      playerId,
+      playerName: info ? info.fullName : null,
+      position: info ? info.position : null
+    }
+    room.picks = room.picks.concat(pick)
+    room.currentPick += 1
+    room.queues.forEach((queue, queueTeamId) => room.queues.set(queueTeamId, queue.filter((id) => id !== playerId)))
+    clearTimeout(room.timer)
+    const complete = room.currentPick > room.order.length * room.rounds
+    if (complete) {
+      room.status = 'complete'
+      room.deadline = null
+    } else {
+      this._startClock(room, room.pickMs)
+    }
+    let saved = true
+    try {
+      await this._persist(room, actor)
+    } catch (err) {
+      // The pick stands in the room; the next successful write carries it.
+      saved = false
+      this.logger.error(`Failed to save draft pick for league ${room.leagueId}`, { error: err.message })
+    }
+    this._emit(room, 'pick', { pick, auto, next: this.state(room.leagueId) })
+    if (complete) {
+      // No later pick will carry the last one, so the room stays open and
+      // keeps retrying until the completed draft is saved.
+      if (!saved) {
+        this._retryComplete(room, actor)
+        throw new DraftRoomError('DRAFT_SAVE_FAILED', `Draft for league ${room.leagueId} is complete but could not be saved; retrying`, 503)
+      }
+      this._complete(room)
+    }
+    return pick
+  }
+
+  _complete(room) {
+    this._emit(room, 'complete', { picks: room.picks.length })
+    this.rooms.delete(room.leagueId)
+  }
+
+  _retryComplete(room, actor, attempt = 1) {
+    clearTimeout(room.timer)
+    room.timer = setTimeout(() => {
+      this._serialize(room, () => this._persist(room, actor))
+        .then(() => this._complete(room))
+        .catch((err) => {
+          this.logger.error(`Failed to save completed draft for league ${room.leagueId}`, { error: err.message, attempt })
+          if (this.rooms.get(room.leagueId) === room) this._retryComplete(room, actor, attempt + 1)
+        })
+    }, Math.min(SAVE_RETRY_MS * 2 ** (attempt - 1), MAX_SAVE_RETRY_MS))
+    if (room.timer.unref) room.timer.unref()
+  }
+
+  _startClock(room, ms) {
+    clearTimeout(room.timer)
+    room.deadline = Date.now() + ms
+    const pickNumber = room.currentPick
+    room.timer = setTimeout(() => {
+      this._serialize(room, () => this._autoPick(room, pickNumber))
+        .catch((err) => this.logger.error(`Auto-pick failed for league ${room.leagueId}`, { error: err.message }))
+    }, ms)
+    if (room.timer.unref) room.timer.unref()
+  }
+
+  // On expiry the team's queue is used first, then the best available player
+  // by imported ADP, then Sleeper's player rank.
+  async _autoPick(room, pickNumber) {
+    // A pick made while this one waited on the lock already reset the clock.
+    if (room.status !== 'drafting' || room.currentPick !== pickNumber) return null
+    const teamId = teamForPick(room.order, room.currentPick, room.type)
+    const taken = new Set(room.picks.map((pick) => pick.playerId))
+    let playerId = (room.queues.get(teamId) || []).find((id) => !taken.has(id))
+    if (!playerId && this.draftAnalytics) {
+      const adp = await this.draftAnalytics.getAdp(room.season, room.adpFormat)
+      if (adp) {
+        playerId = Object.entries(adp.players)
+          .filter(([id]) => !taken.has(id))
+          .sort((a, b) => a[1] - b[1])
+          .map(([id]) => id)[0]
+      }
+    }
+    if (!playerId && this.playerRegistry) {
+      playerId = (this.playerRegistry.search('', { limit: taken.size + 50 }) || [])
+        .map((player) => player.id)
+        .find((id) => !taken.has(id))
+    }
+    if (!playerId) {
+      this.logger.warn(`No player available to auto-pick for league ${room.leagueId}`)
+      this._startClock(room, room.pickMs)
+      return null
+    }
+    return this._applyPick(room, { teamId, playerId, pickNumber: room.currentPick, actor: 'draft-clock', auto: true })
+  }
+
+  async _persist(room, actor) {
+    const league = await this.leagueService.getLeague(room.leagueId)
+    if (!league) return
+    const draft = {
+      ...(league.draft || {}),
+      id: room.draftId,
+      season: room.season,
+      type: room.type,
+      status: room.status,
+      rounds: room.rounds,
+      picks: room.picks
+    }
+    await this.leagueService.updateLeague(room.leagueId, { draft }, { actor, source: 'draft-room', expectedVersion: league.version })
+  }
+
+  _emit(room, type, data) {
+    room.sequence += 1
+    this.emit('draft', { leagueId: room.leagueId, type, sequence: room.sequence, data })
+  }
+}
+
+module.exports = {
+  DraftRoom,
+  DraftRoomError,
+  teamForPick
+}
@@ -0,0 +1,220 @@
+const { Queue, Worker, UnrecoverableError } = require('bullmq');
+const fs = require('fs');
+const { createLogger, format, transports } = require('winston');
+const { ingestLeagueData } = require('./dataingestion');
+const runHistory = require('./ingestionruns');
+require('dotenv').config();
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(format.timestamp(), format.json()),
+  transports: [new transports.Console()]
+});
+
+const PROVIDERS = ['yahoo', 'espn', 'sleeper', 'nfl', 'mfl'];
+
+const DEFAULT_CONCURRENCY = { yahoo: 2, espn: 2, sleeper: 5, nfl: 1, mfl: 1 };
+
+const PENDING_STATES = ['waiting', 'active', 'delayed', 'waiting-children', 'prioritized'];
+
+class IngestionQueue {
+  constructor({ leagueService, ingest = ingestLeagueData, history = runHistory, startWorkers = true } = {}) {
+    if (!leagueService) {
+      throw new Error('IngestionQueue requires a leagueService');
+    }
+    this.leagueService = leagueService;
+    this.ingest = ingest;
+    this.history = history;
+    this.startWorkers = startWorkers;
+    this.prefix = process.env.INGESTION_QUEUE_PREFIX || 'ingestion';
+    this.attempts = parseInt(process.env.INGESTION_JOB_ATTEMPTS, 10) || 5;
+    this.backoffDelay = parseInt(process.env.INGESTION_JOB_BACKOFF_MS, 10) || 5000;
+    this.connection = this.buildRedisConnection();
+    this.queues = {};
+    this.workers = {};
+    this.deadLetterQueue = null;
+    this.ready = this.init();
+    // init() already logs the failure; callers awaiting `ready` still see it.
+    this.ready.catch(() => {});
+  }
+
+  buildRedisConnection() {
+    const conn = {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT ? parseInt(process.env.REDIS_PORT, 10) : 6379
+    };
+    if (process.env.REDIS_PASSWORD) {
+      conn.password = process.env.REDIS_PASSWORD;
+    }
+    if (process.env.REDIS_DB) {
+      conn.db = parseInt(process.env.REDIS_DB, 10);
+    }
+    if (process.env.REDIS_TLS === 'true') {
+      conn.tls = {};
+      if (process.env.REDIS_TLS_CA_FILE) {
+        try {
+          conn.tls.ca = [fs.readFileSync(process.env.REDIS_TLS_CA_FILE)];
+        } catch (err) {
+          logger.error(`Failed to read Redis TLS CA file: ${err.message}`);
+        }
+      }
+    }
+    return conn;
+  }
+
+  concurrencyFor(provider) {
+    const fromEnv = parseInt(process.env[`INGESTION_CONCURRENCY_${provider.toUpperCase()}`], 10);
+    return fromEnv > 0 ? fromEnv : DEFAULT_CONCURRENCY[provider];
+  }
+
+  async init() {
+    try {
+      for (const provider of PROVIDERS) {
+        const name = `${this.prefix}-${provider}`;
+        this.queues[provider] = new Queue(name, { connection: this.connection });
+        if (this.startWorkers) {
+          const worker = new Worker(name, this.processJob.bind(this), {
+            connection: this.connection,
+            concurrency: this.concurrencyFor(provider)
+          });
+          worker.on('failed', (job, err) => {
+            this.handleFailure(job, err).catch(dlqErr =>
+              logger.error(`Failed to dead-letter ingestion job ${job.id}: ${dlqErr.message}`)
+            );
+          });
+          this.workers[provider] = worker;
+        }
+      }
+      this.deadLetterQueue = new Queue(`${this.prefix}-dead-letter`, { connection: this.connection });
+      logger.info(`IngestionQueue initialized${this.startWorkers ? ' and workers started' : ''}`);
+    } catch (err) {
+      logger.error(`Failed to initialize IngestionQueue: ${err.message}`);
+      throw err;
+    }
+  }
+
+  async enqueue(league, { mode = 'delta', trigger = 'manual' } = {}) {
+    await this.ready;
+    const queue = this.queues[league.provider];
+    if (!queue) {
+      throw new Error(`Unsupported provider: ${league.provider}`);
+    }
+    const jobId = `league-${league.id}`;
+    const existing = await queue.getJob(jobId);
+    if (existing) {
+      const state = await existing.getState();
+      if (PENDING_STATES.includes(state)) {
+        logger.info(`Ingestion for league ${league.id} already ${state}; not enqueuing`);
+        return null;
+      }
+      await existing.remove();
+    }
+    return queue.add('ingest', {
+      leagueId: String(league.id),
+      provider: league.provider,
+      mode,
+      trigger
+    }, {
+      jobId,
+      attempts: this.attempts,
+      backoff: { type: 'exponential', delay: this.backoffDelay },
+      removeOnComplete: true,
+      removeOnFail: false
+    });
+  }
+
+  async enqueueAll(leagues, options = {}) {
+    const results = [];
+    for (const league of leagues) {
+      try {
+        const job = await this.enqueue(league, options);
+        results.push({ league: league.id, jobId: job ? job.id : null, error: null });
+      } catch (err) {
+        results.push({ league: league.id, jobId: null, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  async processJob(job) {
+    const { leagueId, provider, mode, trigger } = job.data;
+    const league = await this.leagueService.getLeague(leagueId);
+    if (!league) {
+      logger.warn(`Ingestion job ${job.id} skipped: league ${leagueId} no longer exists`);
+      return { skipped: true };
+    }
+    const run = await this.history.recordRunStart({ leagueId, provider, trigger, mode });
+    try {
+      await this.ingest(league, { mode });
+      await this.history.recordRunEnd(run, { status: 'success' });
+      return { runId: run.id };
+    } catch (err) {
+      await this.history.recordRunEnd(run, { status: 'failed', error: err });
+      // Retrying won't fix a league whose stored config is invalid.
+      if (err.code === 'INVALID_LEAGUE_CONFIG') throw new UnrecoverableError(err.message);
+      throw err;
+    }
+  }
+
+  async handleFailure(job, err) {
+    const attempts = job.opts.attempts || 1;
+    if (job.attemptsMade < attempts && !(err instanceof UnrecoverableError)) {
+      logger.warn(`Ingestion job ${job.id} failed (attempt ${job.attemptsMade}/${attempts}): ${err.message}`);
+      return;
+    }
+    logger.error(err instanceof UnrecoverableError
+      ? `Ingestion job ${job.id} failed permanently: ${err.message}; moving to dead-letter queue`
+      : `Ingestion job ${job.id} exhausted ${attempts} attempts; moving to dead-letter queue`);
+    await this.ready;
+    await this.deadLetterQueue.add('dead-letter', {
+      ...job.data,
+      originalJobId: job.id,
+      originalQueue: job.queueName,
+      failedReason: err.message,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString()
+    }, { jobId: `${job.id}-${Date.now()}` });
+  }
+
+  async listDeadLetters({ start = 0, end = 49 } = {}) {
+    await this.ready;
+    const jobs = await this.deadLetterQueue.getJobs(['waiting', 'delayed'], start, end);
+    return jobs.map(job => ({ id: job.id, ...job.data }));
+  }
+
+  async replayDeadLetter(jobId) {
+    await this.ready;
+    const job = await this.deadLetterQueue.getJob(jobId);
+    if (!job) return null;
+    const { leagueId, provider, mode } = job.data;
+    const replayed = await this.enqueue({ id: leagueId, provider }, { mode, trigger: 'replay' });
+    await job.remove();
+    logger.info(`Replayed dead-lettered ingestion job ${jobId} for league ${leagueId}`);
+    return { jobId: replayed ? replayed.id : null };
+  }
+
+  async replayAllDeadLetters() {
+    const deadLetters = await this.listDeadLetters({ start: 0, end: -1 });
+    const results = [];
+    for (const entry of deadLetters) {
+      try {
+        const replayed = await this.replayDeadLetter(entry.id);
+        results.push({ id: entry.id, jobId: replayed ? replayed.jobId : null, error: null });
+      } catch (err) {
+        results.push({ id: entry.id, jobId: null, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  async close() {
+    await this.ready;
+    await Promise.all([
+      ...Object.values(this.workers).map(w => w.close()),
+      ...Object.values(this.queues).map(q => q.close()),
+      this.deadLetterQueue.close()
+    ]);
+  }
+}
+
+module.exports = IngestionQueue;
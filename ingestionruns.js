@@ -0,0 +1,94 @@
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+const RUN_TTL = parseInt(process.env.INGESTION_RUN_TTL, 10) || 30 * 24 * 60 * 60;
+const MAX_RUNS_PER_INDEX = parseInt(process.env.INGESTION_MAX_RUNS, 10) || 1000;
+
+const redis = new Redis({
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+  password: process.env.REDIS_PASSWORD || null
+});
+
+const runKey = id => `ingestion:run:${id}`;
+const globalIndex = 'ingestion:runs';
+const leagueIndex = leagueId => `ingestion:runs:${leagueId}`;
+
+function serialize(run) {
+  return Object.fromEntries(
+    Object.entries(run).map(([key, value]) => [key, value == null ? '' : String(value)])
+  );
+}
+
+function deserialize(hash) {
+  if (!hash || !hash.id) return null;
+  return {
+    id: hash.id,
+    leagueId: hash.leagueId,
+    provider: hash.provider || null,
+    trigger: hash.trigger || null,
+    mode: hash.mode || null,
+    status: hash.status,
+    startedAt: hash.startedAt,
+    endedAt: hash.endedAt || null,
+    durationMs: hash.durationMs ? Number(hash.durationMs) : null,
+    error: hash.error || null
+  };
+}
+
+async function recordRunStart({ leagueId, provider, trigger = 'schedule', mode = 'delta' }) {
+  const startedAt = new Date();
+  const run = {
+    id: uuidv4(),
+    leagueId: String(leagueId),
+    provider,
+    trigger,
+    mode,
+    status: 'running',
+    startedAt: startedAt.toISOString()
+  };
+  const score = startedAt.getTime();
+  await redis.multi()
+    .hset(runKey(run.id), serialize(run))
+    .expire(runKey(run.id), RUN_TTL)
+    .zadd(globalIndex, score, run.id)
+    .zadd(leagueIndex(run.leagueId), score, run.id)
+    .zremrangebyrank(globalIndex, 0, -MAX_RUNS_PER_INDEX - 1)
+    .zremrangebyrank(leagueIndex(run.leagueId), 0, -MAX_RUNS_PER_INDEX - 1)
+    .exec();
+  return run;
+}
+
+async function recordRunEnd(run, { status, error = null }) {
+  const endedAt = new Date();
+  const update = {
+    status,
+    endedAt: endedAt.toISOString(),
+    durationMs: endedAt.getTime() - new Date(run.startedAt).getTime(),
+    error: error ? error.message || String(error) : null
+  };
+  await redis.hset(runKey(run.id), serialize(update));
+  return { ...run, ...update };
+}
+
+async function listRuns({ leagueId, status, limit = 50, offset = 0 } = {}) {
+  const index = leagueId ? leagueIndex(leagueId) : globalIndex;
+  // Over-fetch when filtering by status so a page is not starved by other statuses.
+  const window = status ? (offset + limit) * 5 : offset + limit;
+  const ids = await redis.zrevrange(index, 0, window - 1);
+  if (!ids.length) return [];
+  const pipeline = redis.pipeline();
+  ids.forEach(id => pipeline.hgetall(runKey(id)));
+  const rows = await pipeline.exec();
+  return rows
+    .map(([err, hash]) => (err ? null : deserialize(hash)))
+    .filter(run => run && (!status || run.status === status))
+    .slice(offset, offset + limit);
+}
+
+module.exports = {
+  recordRunStart,
+  recordRunEnd,
+  listRuns
+};
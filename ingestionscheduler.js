@@ -0,0 +1,188 @@
+const cron = require('node-cron');
+const { createLogger, format, transports } = require('winston');
+const { ingestLeagueData } = require('./dataingestion');
+const runHistory = require('./ingestionruns');
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(format.timestamp(), format.json()),
+  transports: [new transports.Console()]
+});
+
+// Poll intervals in minutes for each phase of the NFL calendar.
+const DEFAULT_INTERVALS = {
+  gameWindow: 2,
+  midweek: 60,
+  offseason: 24 * 60
+};
+
+function easternParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    weekday: 'short',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(p => [p.type, p.value]));
+}
+
+function nflPhase(date = new Date()) {
+  const { weekday, month, day, hour } = easternParts(date);
+  const m = Number(month);
+  const h = Number(hour);
+  const inSeason = m >= 9 || m === 1 || (m === 2 && Number(day) <= 15);
+  if (!inSeason) return 'offseason';
+  const lateSeason = m === 12 || m === 1;
+  const windows = {
+    Thu: [20, 24],
+    Sat: lateSeason ? [13, 24] : null,
+    Sun: [13, 24],
+    Mon: [19, 24]
+  };
+  const window = windows[weekday];
+  if (window && h >= window[0] && h < window[1]) return 'gameWindow';
+  // Night games regularly run past midnight Eastern.
+  if (['Fri', 'Sun', 'Mon', 'Tue'].includes(weekday) && h < 1) return 'gameWindow';
+  return 'midweek';
+}
+
+function intervalMinutes(league, phase, defaults) {
+  const override = league.polling && Number(league.polling[phase]);
+  return override > 0 ? override : defaults[phase];
+}
+
+class IngestionScheduler {
+  constructor({ leagueService, queue = null, ingest = ingestLeagueData, history = runHistory, intervals = {}, now = () => new Date() } = {}) {
+    if (!leagueService) {
+      throw new Error('IngestionScheduler requires a leagueService');
+    }
+    this.leagueService = leagueService;
+    this.queue = queue;
+    this.ingest = ingest;
+    this.history = history;
+    this.intervals = { ...DEFAULT_INTERVALS, ...intervals };
+    this.now = now;
+    this.inFlight = new Map();
+    this.lastStarted = new Map();
+    this.task = null;
+  }
+
+  start(cronExpr = '* * * * *') {
+    if (!cron.validate(cronExpr)) {
+      const msg = `Invalid cron expression: ${cronExpr}`;
+      logger.error(msg);
+      throw new Error(msg);
+    }
+    this.task = cron.schedule(cronExpr, () => {
+      this.tick().catch(err => logger.error(`Ingestion scheduler tick failed: ${err.message}`));
+    });
+    logger.info(`Ingestion scheduler started with cron expression: ${cronExpr}`);
+    return this.task;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('Ingestion scheduler stopped');
+    }
+  }
+
+  async tick() {
+    const now = this.now();
+    const phase = nflPhase(now);
+    const leagues = await this.leagueService.listLeagues();
+    const due = [];
+    const claimed = [];
+    try {
+      for (const league of leagues) {
+        if (!league.provider || (league.polling && league.polling.enabled === false)) continue;
+        const id = String(league.id);
+        if (this.inFlight.has(id)) {
+          logger.info(`Skipping league ${id}: previous ingestion still in flight`);
+          continue;
+        }
+        // Claim the league before awaiting anything so an overlapping tick
+        // can't dispatch it too.
+        this.inFlight.set(id, null);
+        claimed.push(id);
+        const last = await this._lastStarted(id);
+        const interval = intervalMinutes(league, phase, this.intervals) * 60 * 1000;
+        if (last && now.getTime() - last < interval) {
+          this.inFlight.delete(id);
+          continue;
+        }
+        due.push(league);
+      }
+    } catch (err) {
+      claimed.forEach(id => this.inFlight.delete(id));
+      throw err;
+    }
+    if (this.queue) {
+      try {
+        return { phase, dispatched: await this._enqueue(due) };
+      } finally {
+        due.forEach(league => this.inFlight.delete(String(league.id)));
+      }
+    }
+    due.forEach(league => {
+      const run = this.runLeague(league, { trigger: 'schedule' });
+      this.inFlight.set(String(league.id), run);
+    });
+    return { phase, dispatched: due.map(l => String(l.id)) };
+  }
+
+  // With a durable queue the job id doubles as the in-flight guard: enqueue
+  // returns null while a job for the league is still pending.
+  async _enqueue(leagues) {
+    const dispatched = [];
+    for (const league of leagues) {
+      const id = String(league.id);
+      try {
+        const job = await this.queue.enqueue(league, { trigger: 'schedule' });
+        this.lastStarted.set(id, this.now().getTime());
+        if (job) dispatched.push(id);
+        else logger.info(`Skipping league ${id}: previous ingestion still queued or running`);
+      } catch (err) {
+        logger.error(`Failed to enqueue ingestion for league ${id}: ${err.message}`);
+      }
+    }
+    return dispatched;
+  }
+
+  async runLeague(league, { trigger = 'manual', mode = 'delta' } = {}) {
+    const id = String(league.id);
+    this.lastStarted.set(id, this.now().getTime());
+    let run;
+    try {
+      run = await this.history.recordRunStart({ leagueId: id, provider: league.provider, trigger, mode });
+      await this.ingest(league, { mode });
+      await this.history.recordRunEnd(run, { status: 'success' });
+    } catch (err) {
+      logger.error(`Scheduled ingestion for league ${id} failed: ${err.message}`);
+      if (run) {
+        await this.history.recordRunEnd(run, { status: 'failed', error: err }).catch(histErr =>
+          logger.error(`Failed to record ingestion run for league ${id}: ${histErr.message}`)
+        );
+      }
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  async _lastStarted(id) {
+    if (this.lastStarted.has(id)) return this.lastStarted.get(id);
+    const [latest] = await this.history.listRuns({ leagueId: id, limit: 1 });
+    const startedAt = latest ? new Date(latest.startedAt).getTime() : null;
+    if (startedAt) this.lastStarted.set(id, startedAt);
+    return startedAt;
+  }
+}
+
+module.exports = {
+  IngestionScheduler,
+  nflPhase,
+  DEFAULT_INTERVALS
+};
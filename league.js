@@ -6,32 +6,34 @@ const xml2js = require('xml2js')
 const { parse: csvParse } = require('csv-parse/sync')
 const { v4: uuidv4 } = require('uuid')
 const EventEmitter = require('events')
+const { createLeagueStore, VersionConflictError } = require('./leaguestore')
+const { jsonDiff } = require('./changedetector')
+const { PROTECTED_FIELDS, mapSource } = require('./sourcemapping')
+
+const withoutProtected = (league) => {
+  const copy = { ...league }
+  PROTECTED_FIELDS.forEach((field) => delete copy[field])
+  return copy
+}
 
 class LeagueService extends EventEmitter {
   constructor(options = {}) {
     super()
-    this.baseDir = options.dataDir || path.resolve(process.cwd(), 'data', 'leagues')
     this.configPath = options.configPath || path.resolve(process.cwd(), 'config.ini')
     this.config = {}
+    this.store = createLeagueStore({
+      ...options,
+      onWarning: (warning) => this.emit('warning', warning)
+    })
   }
 
   static async create(options = {}) {
     const service = new LeagueService(options)
-    await service._ensureDir(service.baseDir)
+    await service.store.init()
     await service._loadConfig()
     return service
   }
 
-  async _ensureDir(dir) {
-    try {
-      await fs.mkdir(dir, { recursive: true })
-    } catch (err) {
-      if (err.code !== 'EEXIST') {
-        this.emit('warning', { message: `Failed to ensure directory ${dir}`, error: err })
-      }
-    }
-  }
-
   async _loadConfig() {
     try {
       const raw = await fs.readFile(this.configPath, 'utf-8')
@@ -42,57 +44,76 @@ class LeagueService extends EventEmitter {
     }
   }
 
-  async listLeagues() {
-    const files = await fs.readdir(this.baseDir)
-    const leagues = []
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue
-      const filePath = path.join(this.baseDir, file)
-      try {
-        const content = await fs.readFile(filePath, 'utf-8')
-        leagues.push(JSON.parse(content))
-      } catch (err) {
-        this.emit('warning', { message: `Failed to parse league file ${file}`, error: err })
-      }
-    }
-    return leagues
+  async listLeagues({ limit, offset, provider, search } = {}) {
+    return this.store.list({ limit, offset, provider, search })
+  }
+
+  async countLeagues({ provider, search } = {}) {
+    return this.store.count({ provider, search })
   }
 
   async getLeague(id) {
-    const file = path.join(this.baseDir, `${id}.json`)
-    try {
-      const content = await fs.readFile(file, 'utf-8')
-      return JSON.parse(content)
-    } catch {
-      return null
-    }
+    return this.store.get(id)
   }
 
-  async createLeague(data) {
+  async createLeague(data, { actor = 'system', source = 'api' } = {}) {
     const id = data.id || uuidv4()
     const now = new Date().toISOString()
-    const league = { ...data, id, createdAt: now, updatedAt: now }
-    await this._writeLeague(league)
-    return league
+    const league = { ...withoutProtected(data), id, version: 1, createdAt: now, updatedAt: now }
+    const diff = jsonDiff({}, withoutProtected(league))
+    return this.store.insert(league, { revision: { action: 'create', actor, source, diff } })
   }
 
-  async updateLeague(id, updates) {
+  // Pass expectedVersion to fail with a VersionConflictError if the league
+  // changed since the caller read it.
+  async updateLeague(id, updates, { actor = 'system', source = 'api', expectedVersion } = {}) {
     const league = await this.getLeague(id)
     if (!league) return null
-    const now = new Date().toISOString()
-    const merged = { ...league, ...updates, updatedAt: now }
-    await this._writeLeague(merged)
-    return merged
+    const merged = { ...league, ...withoutProtected(updates) }
+    return this._commit(league, merged, { action: 'update', actor, source, expectedVersion })
   }
 
-  async deleteLeague(id) {
-    const file = path.join(this.baseDir, `${id}.json`)
-    try {
-      await fs.unlink(file)
-      return true
-    } catch {
-      return false
+  async getLeagueHistory(id, { limit, offset, includeSnapshots = false } = {}) {
+    const revisions = await this.store.listRevisions(id, { limit, offset })
+    return includeSnapshots ? revisions : revisions.map(({ snapshot, ...revision }) => revision)
+  }
+
+  // Restores the league as it was at `revision`. The revert is itself a new
+  // revision, so it can be reverted too.
+  async revertLeague(id, revision, { actor = 'system', expectedVersion } = {}) {
+    const [league, target] = await Promise.all([this.getLeague(id), this.store.getRevision(id, revision)])
+    if (!league || !target) return null
+    const restored = { ...withoutProtected(target.snapshot), id: league.id, createdAt: league.createdAt }
+    const reverted = await this._commit(league, restored, {
+      action: 'revert',
+      actor,
+      source: `revision:${revision}`,
+      expectedVersion
+    })
+    this.emit('leagueReverted', { leagueId: String(id), revision, version: reverted.version, actor })
+    return reverted
+  }
+
+  async _commit(current, next, { action, actor, source, expectedVersion }) {
+    const currentVersion = current.version || 1
+    if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+      throw new VersionConflictError(current.id, expectedVersion, currentVersion)
     }
+    const diff = jsonDiff(withoutProtected(current), withoutProtected(next))
+    if (!diff.length) return current
+    const league = { ...next, updatedAt: new Date().toISOString() }
+    return this.store.update(current.id, league, {
+      expectedVersion: currentVersion,
+      revision: { action, actor, source, diff }
+    })
+  }
+
+  async deleteLeague(id) {
+    return this.store.delete(id)
+  }
+
+  async close() {
+    await this.store.close()
   }
 
   async ingestData(sourceName, leagueId) {
@@ -106,12 +127,17 @@ class LeagueService extends EventEmitter {
     try {
       const raw = await this._fetchRemote(sourceConfig, sourceName)
       const parsed = await this._parseByType(raw, sourceConfig.type)
-      const updated = { ...league, ...parsed, updatedAt: new Date().toISOString() }
-      await this._writeLeague(updated)
-      this.emit('ingestCompleted', { source: sourceName, leagueId, data: parsed })
+      const { target, value, summary } = mapSource(sourceName, sourceConfig, parsed)
+      const updates = target === 'league' ? value : { [target]: value }
+      const updated = await this.updateLeague(leagueId, updates, {
+        actor: 'system',
+        source: `ingest:${sourceName}`,
+        expectedVersion: league.version || 1
+      })
+      this.emit('ingestCompleted', { source: sourceName, leagueId, data: updates, summary })
       return updated
     } catch (error) {
-      this.emit('ingestError', { source: sourceName, leagueId, error })
+      this.emit('ingestError', { source: sourceName, leagueId, error, summary: error.summary || null })
       throw error
     }
   }
@@ -169,12 +195,6 @@ class LeagueService extends EventEmitter {
         }
     }
   }
-
-  async _writeLeague(league) {
-    const file = path.join(this.baseDir, `${league.id}.json`)
-    const content = JSON.stringify(league, null, 2)
-    await fs.writeFile(file, content, 'utf-8')
-  }
 }
 
-module.exports = LeagueService
\ No newline at end of file
+module.exports = LeagueService
@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+const { once } = require('events')
+const { pipeline } = require('stream/promises')
+const { Writable } = require('stream')
+const Redis = require('ioredis')
+const LeagueService = require('./league')
+const { LeagueDataReader } = require('./leaguedata')
+const { createRecordMapper } = require('./sourcemapping')
+const { jsonDiff, stableStringify } = require('./changedetector')
+
+const USAGE = `Usage:
+  node leaguecli.js import <file> --league <id> [options]
+  node leaguecli.js export --league <id> [--format csv|json|xlsx] [--types standings,matchups] [--out <path>] [--cache]
+
+Import options:
+  --source <name>       Use the [name] source section of config.ini for target, root and fields
+  --target <target>     standings, matchups, transactions, rosters, draft or league
+  --format <format>     csv, xml or json (default: from the file extension)
+  --root <path>         Record selector: XPath element path (/league/teams/team) or JSONPath ($.teams[*])
+  --map <field=path>    Field mapping; repeat for each field
+  --default <field=v>   Value for fields the file lacks; repeat for each field
+  --create              Create the league if it does not exist
+  --dry-run             Validate and report without saving
+  --json                Print the report as JSON
+
+Export options:
+  --cache               Read ingested data from Redis (REDIS_HOST, REDIS_PORT) before the league store
+
+Common options:
+  --data-dir <dir>      League data directory for the file store
+  --config <file>       config.ini path (default: ./config.ini)`
+
+const REPEATABLE = ['map', 'default']
+const FLAGS = ['create', 'dry-run', 'json', 'help', 'cache']
+const EXPORT_TYPES = ['standings', 'matchups', 'transactions', 'draft', 'rosters']
+
+function parseArgs(argv) {
+  const args = { map: {}, default: {}, positional: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '-h') {
+      args.help = true
+    } else if (arg.startsWith('--')) {
+      const name = arg.slice(2)
+      if (FLAGS.includes(name)) {
+        args[name] = true
+      } else if (REPEATABLE.includes(name)) {
+        const pair = argv[++i] || ''
+        const eq = pair.indexOf('=')
+        if (eq <= 0) throw new Error(`--${name} expects field=value, got "${pair}"`)
+        args[name][pair.slice(0, eq)] = pair.slice(eq + 1)
+      } else {
+        args[name] = argv[++i]
+      }
+    } else {
+      args.positional.push(arg)
+    }
+  }
+  return args
+}
+
+function formatFromFile(file) {
+  const ext = path.extname(file).slice(1).toLowerCase()
+  return ext === 'ndjson' ? 'json' : ext
+}
+
+// `onRecord` may return a promise; the next record waits for it, so a slow
+// write holds back the file instead of buffering it.
+const recordSink = (onRecord) => new Writable({
+  objectMode: true,
+  write(chunk, encoding, callback) {
+    Promise.resolve()
+      .then(() => onRecord(chunk))
+      .then(() => callback(), callback)
+  }
+})
+
+function streamCsvRecords(file, onRecord) {
+  const { parse } = require('csv-parse')
+  return pipeline(
+    fs.createReadStream(file),
+    parse({ columns: true, skip_empty_lines: true, bom: true, trim: true }),
+    recordSink(onRecord)
+  )
+}
+
+// Streams `$`, `$.path`, `$[*]` and `$.path[*]` roots; anything else needs
+// the whole document and should go through LeagueService.ingestData instead.
+function streamJsonRecords(file, root, onRecord) {
+  const { parser } = require('stream-json')
+  const { pick } = require('stream-json/filters/Pick')
+  const { streamArray } = require('stream-json/streamers/StreamArray')
+  const { streamValues } = require('stream-json/streamers/StreamValues')
+  const match = /^\$((?:\.[A-Za-z_$][\w$-]*)*)(\[\*\])?$/.exec((root || '$').trim())
+  if (!match) {
+    throw new Error(`Streaming JSON import supports roots like $.path[*]; got ${root}`)
+  }
+  const [, dotted, each] = match
+  const stages = [fs.createReadStream(file), parser({ jsonStreaming: true })]
+  if (dotted) stages.push(pick({ filter: dotted.slice(1) }))
+  stages.push(each ? streamArray() : streamValues())
+  stages.push(recordSink(({ value }) => onRecord(value)))
+  return pipeline(...stages)
+}
+
+// Builds each element matched by an absolute root path into the same shape
+// xml2js produces with explicitArray: false, so field XPaths behave alike.
+function streamXmlRecords(file, root, onRecord) {
+  const sax = require('sax')
+  const steps = String(root || '').split('/').filter(Boolean)
+  if (!steps.length || !String(root).startsWith('/')) {
+    throw new Error(`Streaming XML import needs an absolute --root such as /league/teams/team; got ${root}`)
+  }
+  const stack = []
+  let building = null
+  let pending = Promise.resolve()
+  let queued = 0
+  const attach = (parent, name, value) => {
+    if (parent[name] === undefined) parent[name] = value
+    else if (Array.isArray(parent[name])) parent[name].push(value)
+    else parent[name] = [parent[name], value]
+  }
+  const finalize = (node) => {
+    const hasChildren = Object.keys(node.value).some((key) => key !== '$')
+    if (!hasChildren && !node.value.$) return node.text
+    if (node.text) node.value._ = node.text
+    return node.value
+  }
+  return new Promise((resolve, reject) => {
+    const stream = sax.createStream(true, { trim: true })
+    stream.on('opentag', (tag) => {
+      stack.push(tag.name)
+      const node = { name: tag.name, value: Object.keys(tag.attributes).length ? { $: { ...tag.attributes } } : {}, text: '' }
+      if (building) {
+        building.push(node)
+      } else if (stack.length === steps.length && steps.every((step, i) => step === '*' || step === stack[i])) {
+        building = [node]
+      }
+    })
+    const onText = (text) => {
+      if (building) building[building.length - 1].text += text
+    }
+    stream.on('text', onText)
+    stream.on('cdata', onText)
+    stream.on('closetag', () => {
+      stack.pop()
+      if (!building) return
+      const node = building.pop()
+      const value = finalize(node)
+      if (building.length) {
+        attach(building[building.length - 1].value, node.name, value)
+        return
+      }
+      building = null
+      // Records are handed over one at a time; reading pauses until the
+      // ones already parsed have been handled.
+      queued++
+      input.pause()
+      pending = pending
+        .then(() => onRecord(value))
+        .then(() => {
+          if (--queued === 0) input.resume()
+        }, (err) => {
+          input.destroy()
+          reject(err)
+        })
+    })
+    stream.on('error', reject)
+    stream.on('end', () => pending.then(resolve, reject))
+    const input = fs.createReadStream(file)
+    input.on('error', reject)
+    input.pipe(stream)
+  })
+}
+
+function streamRecords(file, format, root, onRecord) {
+  switch (format) {
+    case 'csv':
+      return streamCsvRecords(file, onRecord)
+    case 'json':
+      return streamJsonRecords(file, root, onRecord)
+    case 'xml':
+      return streamXmlRecords(file, root, onRecord)
+    default:
+      throw new Error(`Unsupported import format: ${format}`)
+  }
+}
+
+// Reads the file twice: once to validate every record and count changes, and
+// once to collect the mapped records. Nothing is saved unless the whole file
+// is valid, and the records are then saved in a single write.
+async function importLeagueData(leagueService, file, args) {
+  const format = (args.format || formatFromFile(file)).toLowerCase()
+  const base = args.source ? leagueService.config[args.source] : null
+  if (args.source && !base) {
+    throw new Error(`No [${args.source}] section in ${leagueService.configPath}`)
+  }
+  const sourceConfig = {
+    ...base,
+    type: format,
+    target: args.target || base?.target,
+    root: args.root || base?.root,
+    fields: { ...base?.fields, ...args.map },
+    defaults: { ...base?.defaults, ...args.default }
+  }
+  const sourceName = args.source || path.basename(file)
+  const mapper = createRecordMapper(sourceName, sourceConfig)
+  const { target } = mapper.mapping
+  let league = await leagueService.getLeague(args.league)
+
+  // List targets are compared record by record against what is stored;
+  // single targets keep their one record.
+  const stored = league && mapper.isList && Array.isArray(league[target]) ? league[target] : []
+  let single
+  let listChanged = false
+  await streamRecords(file, format, sourceConfig.root, (record) => {
+    if (!mapper.isList && mapper.summary.total) return
+    const index = mapper.summary.total
+    const result = mapper.map(record)
+    if (result.error) return
+    if (!mapper.isList) single = result.value
+    else if (!listChanged && (index >= stored.length || stableStringify(stored[index]) !== stableStringify(result.value))) listChanged = true
+  })
+  const summary = mapper.finish()
+
+  const report = { file, league: args.league, target, dryRun: Boolean(args['dry-run']), summary, changes: null, status: null }
+  if (!league && !args.create) {
+    report.status = 'league_not_found'
+    return report
+  }
+  if (summary.invalid) {
+    report.status = 'rejected'
+    return report
+  }
+  if (mapper.isList) {
+    report.changes = listChanged || summary.valid !== stored.length || (league && league[target] === undefined) ? 1 : 0
+  } else {
+    const before = league ? (target === 'league' ? league : league[target]) : undefined
+    const after = target === 'league' ? { ...league, ...single } : single
+    report.changes = jsonDiff(before === undefined ? {} : before, after).length
+  }
+  if (report.dryRun) {
+    report.status = 'dry_run'
+    return report
+  }
+  const options = { actor: args.actor || process.env.USER || 'cli', source: `import:${path.basename(file)}` }
+  if (!league) {
+    league = await leagueService.createLeague({ id: args.league }, options)
+  }
+  // The changes above were counted against this version, so the save fails
+  // with a version conflict if anything else wrote the league meanwhile.
+  const saveOptions = { ...options, expectedVersion: league.version || 1 }
+  if (!mapper.isList) {
+    league = await leagueService.updateLeague(league.id, target === 'league' ? single : { [target]: single }, saveOptions)
+  } else {
+    const writer = createRecordMapper(sourceName, sourceConfig)
+    const items = []
+    await streamRecords(file, format, sourceConfig.root, (record) => {
+      items.push(writer.map(record).value)
+    })
+    league = await leagueService.updateLeague(league.id, { [target]: items }, saveOptions)
+  }
+  report.status = 'imported'
+  report.version = league.version
+  return report
+}
+
+function printReport(report) {
+  const { summary } = report
+  console.log(`${report.file} -> league ${report.league} (${report.target})`)
+  console.log(`  records: ${summary.total} total, ${summary.valid} valid, ${summary.invalid} invalid`)
+  Object.entries(summary.fields).forEach(([field, { invalid, messages }]) => {
+    console.log(`  ${field}: ${invalid} invalid - ${messages.join('; ')}`)
+  })
+  summary.errors.slice(0, 10).forEach(({ record, field, message }) => {
+    console.log(`    record ${record + 1}: ${field}: ${message}`)
+  })
+  if (report.changes !== null) console.log(`  changes: ${report.changes}`)
+  const outcomes = {
+    league_not_found: 'League not found (pass --create to create it)',
+    rejected: 'Rejected: fix the invalid records and retry',
+    dry_run: 'Dry run: nothing was saved',
+    imported: `Imported as version ${report.version}`
+  }
+  console.log(`  ${outcomes[report.status]}`)
+}
+
+const joinList = (items, format = (item) => item) => (items || []).map(format).join('|')
+
+const rowBuilders = {
+  standings: {
+    columns: ['teamId', 'teamName', 'ownerId', 'ownerName', 'rank', 'wins', 'losses', 'ties', 'pointsFor', 'pointsAgainst'],
+    rows: (standings) => standings || []
+  },
+  matchups: {
+    columns: ['id', 'season', 'week', 'date', 'team1Id', 'team1Name', 'team1Score', 'team2Id', 'team2Name', 'team2Score'],
+    rows: (matchups) => (matchups || []).map(({ teams, ...matchup }) => {
+      const row = { ...matchup }
+      teams.forEach((team, i) => {
+        row[`team${i + 1}Id`] = team.id
+        row[`team${i + 1}Name`] = team.name
+        row[`team${i + 1}Score`] = team.score
+      })
+      return row
+    })
+  },
+  transactions: {
+    columns: ['id', 'type', 'status', 'season', 'week', 'date', 'teamIds', 'adds', 'drops', 'draftPicks', 'faabBid', 'cost', 'proceeds'],
+    rows: (transactions) => (transactions || []).map((tx) => ({
+      ...tx,
+      teamIds: joinList(tx.teamIds),
+      adds: joinList(tx.adds, (move) => `${move.playerId}>${move.teamId}`),
+      drops: joinList(tx.drops, (move) => `${move.playerId}>${move.teamId}`),
+      draftPicks: joinList(tx.draftPicks, (pick) => `${pick.season}:${pick.round}:${pick.fromTeamId}>${pick.toTeamId}`)
+    }))
+  },
+  draft: {
+    columns: ['draftId', 'season', 'round', 'pickNumber', 'teamId', 'playerId', 'playerName', 'position'],
+    rows: (draft) => (draft ? draft.picks.map((pick) => ({ draftId: draft.id, season: draft.season, ...pick })) : [])
+  },
+  rosters: {
+    columns: ['teamId', 'teamName', 'ownerId', 'players', 'starters', 'reserve'],
+    rows: (rosters) => (rosters || []).map((roster) => ({
+      ...roster,
+      players: joinList(roster.players),
+      starters: joinList(roster.starters),
+      reserve: joinList(roster.reserve)
+    }))
+  }
+}
+
+// Excel evaluates cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+function csvCell(value, excel) {
+  if (value === null || value === undefined) return ''
+  let text = String(value)
+  if (excel && typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) || (excel && text !== String(value)) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain')
+}
+
+async function closeStream(stream) {
+  stream.end()
+  await once(stream, 'finish')
+}
+
+async function writeCsv(file, { columns, rows }, data, excel) {
+  const out = fs.createWriteStream(file, 'utf-8')
+  const eol = excel ? '\r\n' : '\n'
+  if (excel) await write(out, '\ufeff')
+  await write(out, columns.join(',') + eol)
+  for (const row of rows(data)) {
+    await write(out, columns.map((column) => csvCell(row[column], excel)).join(',') + eol)
+  }
+  await closeStream(out)
+}
+
+// Exports the league store copy. Data that ingestion only wrote to Redis is
+// included when a LeagueDataReader is passed (--cache).
+async function exportLeagueData(leagueService, args, reader = null) {
+  const league = await leagueService.getLeague(args.league)
+  if (!league) throw new Error(`League ${args.league} not found`)
+  const readData = async (type) => (reader ? (await reader.read(league.id, type)).data : league[type])
+  const format = (args.format || 'csv').toLowerCase()
+  const types = args.types ? args.types.split(',').map((type) => type.trim()) : EXPORT_TYPES
+  const unknown = types.filter((type) => !EXPORT_TYPES.includes(type))
+  if (unknown.length) throw new Error(`Unknown export type(s): ${unknown.join(', ')}`)
+
+  if (format === 'json') {
+    const file = path.resolve(args.out || `${league.id}.json`)
+    const out = fs.createWriteStream(file, 'utf-8')
+    const { id, name, provider, season, version } = league
+    await write(out, `{\n  "league": ${JSON.stringify({ id, name, provider, season, version })}`)
+    for (const type of types) {
+      await write(out, `,\n  ${JSON.stringify(type)}: `)
+      const data = await readData(type)
+      if (Array.isArray(data)) {
+        await write(out, '[')
+        for (let i = 0; i < data.length; i++) {
+          await write(out, `${i ? ',' : ''}\n    ${JSON.stringify(data[i])}`)
+        }
+        await write(out, data.length ? '\n  ]' : ']')
+      } else {
+        await write(out, JSON.stringify(data === undefined ? null : data))
+      }
+    }
+    await write(out, '\n}\n')
+    await closeStream(out)
+    return [file]
+  }
+
+  if (format !== 'csv' && format !== 'xlsx') throw new Error(`Unsupported export format: ${format}`)
+  // xlsx bundles are CSVs Excel opens cleanly: UTF-8 BOM, CRLF line endings
+  // and text that would be read as a formula escaped.
+  const excel = format === 'xlsx'
+  const dir = path.resolve(args.out || `${league.id}-export`)
+  await fs.promises.mkdir(dir, { recursive: true })
+  const files = []
+  for (const type of types) {
+    const file = path.join(dir, `${league.id}-${type}.csv`)
+    await writeCsv(file, rowBuilders[type], await readData(type), excel)
+    files.push(file)
+  }
+  return files
+}
+
+async function main(argv) {
+  const args = parseArgs(argv)
+  const [command, file] = args.positional
+  if (args.help || !['import', 'export'].includes(command) || !args.league || (command === 'import' && !file)) {
+    console.log(USAGE)
+    return args.help ? 0 : 1
+  }
+  const leagueService = await LeagueService.create({
+    dataDir: args['data-dir'],
+    configPath: args.config ? path.resolve(args.config) : undefined
+  })
+  leagueService.on('warning', ({ message }) => console.error(`warning: ${message}`))
+  let redis = null
+  try {
+    if (command === 'export') {
+      let reader = null
+      if (args.cache) {
+        redis = new Redis({
+          host: process.env.REDIS_HOST || '127.0.0.1',
+          port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+          password: process.env.REDIS_PASSWORD || null,
+          maxRetriesPerRequest: 1
+        })
+        reader = new LeagueDataReader({ redis, leagueService })
+      }
+      const files = await exportLeagueData(leagueService, args, reader)
+      files.forEach((written) => console.log(`Wrote ${written}`))
+      return 0
+    }
+    const report = await importLeagueData(leagueService, path.resolve(file), args)
+    if (args.json) console.log(JSON.stringify(report, null, 2))
+    else printReport(report)
+    return ['imported', 'dry_run'].includes(report.status) ? 0 : 1
+  } finally {
+    if (redis) redis.disconnect()
+    await leagueService.close()
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code
+    })
+    .catch((err) => {
+      console.error(err.message)
+      process.exitCode = 1
+    })
+}
+
+module.exports = { importLeagueData, exportLeagueData, streamRecords }
@@ -0,0 +1,66 @@
+const DATA_TYPES = ['standings', 'matchups', 'transactions', 'draft', 'rosters', 'analytics']
+
+const EMPTY_VALUES = {
+  standings: () => [],
+  matchups: () => [],
+  transactions: () => [],
+  draft: () => ({}),
+  rosters: () => [],
+  analytics: () => ({})
+}
+
+function leagueCacheKey(leagueId, type) {
+  return `league:${leagueId}:${type}`
+}
+
+function filterByPeriod(items, { week, season, defaultSeason } = {}) {
+  if (!Array.isArray(items)) return items
+  return items.filter(item => {
+    if (week !== undefined && item.week != null && Number(item.week) !== week) return false
+    if (season !== undefined) {
+      const itemSeason = item.season != null ? item.season : defaultSeason
+      if (itemSeason != null && Number(itemSeason) !== season) return false
+    }
+    return true
+  })
+}
+
+class LeagueDataReader {
+  constructor({ redis, leagueService, logger = console }) {
+    this.redis = redis
+    this.leagueService = leagueService
+    this.logger = logger
+  }
+
+  async read(leagueId, type) {
+    if (!DATA_TYPES.includes(type)) {
+      throw new Error(`Unknown league data type: ${type}`)
+    }
+    const league = await this.leagueService.getLeague(leagueId)
+    if (!league) return null
+
+    const cached = await this._readCache(leagueId, type)
+    if (cached !== null) {
+      return { league, data: cached, source: 'cache' }
+    }
+    const stored = league[type] != null ? league[type] : EMPTY_VALUES[type]()
+    return { league, data: stored, source: 'store' }
+  }
+
+  async _readCache(leagueId, type) {
+    try {
+      const raw = await this.redis.get(leagueCacheKey(leagueId, type))
+      return raw ? JSON.parse(raw) : null
+    } catch (err) {
+      this.logger.warn(`Failed to read cached ${type} for league ${leagueId}`, { error: err.message })
+      return null
+    }
+  }
+}
+
+module.exports = {
+  DATA_TYPES,
+  LeagueDataReader,
+  leagueCacheKey,
+  filterByPeriod
+}
@@ -0,0 +1,143 @@
+const Joi = require('joi');
+
+// Canonical League Nexus data model. Every provider payload is normalized into
+// these shapes before it is cached or handed to analytics and UI code.
+// Identifiers are always strings, scores are numbers and dates are ISO strings.
+
+const id = Joi.string().min(1);
+const nullableId = id.allow(null);
+const count = Joi.number().integer().min(0);
+const points = Joi.number();
+
+const standing = Joi.object({
+  teamId: id.required(),
+  teamName: Joi.string().allow('').required(),
+  ownerId: nullableId.required(),
+  ownerName: Joi.string().allow('', null).required(),
+  rank: Joi.number().integer().min(1).required(),
+  wins: count.required(),
+  losses: count.required(),
+  ties: count.required(),
+  pointsFor: points.required(),
+  pointsAgainst: points.required()
+});
+
+const matchupTeam = Joi.object({
+  id: id.required(),
+  name: Joi.string().allow('').required(),
+  score: points.required(),
+  starters: Joi.array().items(id).required(),
+  // Actual points per player for the week, where the provider reports them.
+  playerPoints: Joi.object().pattern(id, points)
+});
+
+const matchup = Joi.object({
+  id: id.required(),
+  season: Joi.number().integer().allow(null).required(),
+  week: Joi.number().integer().min(1).required(),
+  date: Joi.string().isoDate().allow(null).required(),
+  teams: Joi.array().items(matchupTeam).length(2).required()
+});
+
+const playerMove = Joi.object({
+  playerId: id.required(),
+  teamId: id.required()
+});
+
+const pickMove = Joi.object({
+  season: Joi.number().integer().allow(null).required(),
+  round: Joi.number().integer().min(1).required(),
+  fromTeamId: id.required(),
+  toTeamId: id.required()
+});
+
+const transaction = Joi.object({
+  id: id.required(),
+  type: Joi.string().valid('trade', 'waiver', 'free_agent', 'commissioner').required(),
+  status: Joi.string().valid('complete', 'pending', 'failed').required(),
+  season: Joi.number().integer().allow(null).required(),
+  week: Joi.number().integer().min(0).allow(null).required(),
+  date: Joi.string().isoDate().allow(null).required(),
+  teamIds: Joi.array().items(id).required(),
+  adds: Joi.array().items(playerMove).required(),
+  drops: Joi.array().items(playerMove).required(),
+  draftPicks: Joi.array().items(pickMove).required(),
+  faabBid: Joi.number().min(0).allow(null).required(),
+  cost: Joi.number().allow(null).required(),
+  proceeds: Joi.number().allow(null).required()
+});
+
+const draftPick = Joi.object({
+  round: Joi.number().integer().min(1).required(),
+  pickNumber: Joi.number().integer().min(1).required(),
+  teamId: nullableId.required(),
+  playerId: nullableId.required(),
+  playerName: Joi.string().allow(null).required(),
+  position: Joi.string().allow(null).required()
+});
+
+const draft = Joi.object({
+  id: nullableId.required(),
+  season: Joi.number().integer().allow(null).required(),
+  type: Joi.string().allow(null).required(),
+  status: Joi.string().valid('pre_draft', 'drafting', 'paused', 'complete').allow(null).required(),
+  rounds: Joi.number().integer().min(0).allow(null).required(),
+  picks: Joi.array().items(draftPick).required()
+});
+
+const roster = Joi.object({
+  teamId: id.required(),
+  teamName: Joi.string().allow('').required(),
+  ownerId: nullableId.required(),
+  players: Joi.array().items(id).required(),
+  starters: Joi.array().items(id).required(),
+  reserve: Joi.array().items(id).required()
+});
+
+const schemas = {
+  standings: Joi.array().items(standing).required(),
+  matchups: Joi.array().items(matchup).required(),
+  transactions: Joi.array().items(transaction).required(),
+  draft: draft.required(),
+  rosters: Joi.array().items(roster).required()
+};
+
+// What a source may write onto the league itself (target = league): league
+// metadata plus any of the data types above. Anything else is rejected.
+const leagueFields = Joi.object({
+  name: Joi.string().allow(''),
+  provider: Joi.string().min(1),
+  season: Joi.number().integer().allow(null),
+  settings: Joi.object(),
+  scoringSettings: Joi.object().pattern(Joi.string(), points),
+  rosterPositions: Joi.array().items(Joi.string()),
+  polling: Joi.object(),
+  standings: Joi.array().items(standing),
+  matchups: Joi.array().items(matchup),
+  transactions: Joi.array().items(transaction),
+  draft,
+  rosters: Joi.array().items(roster)
+}).min(1);
+
+const itemSchemas = {
+  standings: standing,
+  matchups: matchup,
+  transactions: transaction,
+  draft,
+  rosters: roster,
+  league: leagueFields
+};
+
+function validateNormalized(type, value) {
+  const schema = schemas[type];
+  if (!schema) {
+    throw new Error(`No canonical schema for data type: ${type}`);
+  }
+  return schema.validate(value, { abortEarly: false, convert: false });
+}
+
+module.exports = {
+  schemas,
+  itemSchemas,
+  validateNormalized
+};
@@ -0,0 +1,458 @@
+const fs = require('fs').promises
+const { readFileSync } = require('fs')
+const path = require('path')
+const ini = require('ini')
+const { runMigrations } = require('./migrate')
+
+class VersionConflictError extends Error {
+  constructor(leagueId, expectedVersion, actualVersion) {
+    super(`League ${leagueId} was modified concurrently (expected version ${expectedVersion}, found ${actualVersion})`)
+    this.name = 'VersionConflictError'
+    this.statusCode = 409
+    this.code = 'VERSION_CONFLICT'
+    this.leagueId = leagueId
+    this.expectedVersion = expectedVersion
+    this.actualVersion = actualVersion
+  }
+}
+
+const leagueExistsError = (id) => {
+  const err = new Error(`League ${id} already exists`)
+  err.statusCode = 409
+  err.code = 'LEAGUE_EXISTS'
+  return err
+}
+
+const matchesFilters = (league, { provider, search }) => {
+  if (provider && league.provider !== provider) return false
+  if (search) {
+    const needle = search.toLowerCase()
+    const haystack = [league.id, league.name].filter(Boolean).join(' ').toLowerCase()
+    if (!haystack.includes(needle)) return false
+  }
+  return true
+}
+
+// Revisions are numbered by the league version they produced and keep the
+// full resulting league so any of them can be restored.
+const buildRevision = (league, { action = 'update', actor = null, source = null, diff = [] } = {}) => ({
+  leagueId: String(league.id),
+  revision: league.version || 1,
+  action,
+  actor,
+  source,
+  createdAt: league.updatedAt || new Date().toISOString(),
+  diff,
+  snapshot: league
+})
+
+const byCreation = (a, b) =>
+  String(a.createdAt || '').localeCompare(String(b.createdAt || '')) || String(a.id).localeCompare(String(b.id))
+
+class FileLeagueStore {
+  constructor({ dataDir, onWarning = () => {} } = {}) {
+    this.baseDir = dataDir || path.resolve(process.cwd(), 'data', 'leagues')
+    this.onWarning = onWarning
+    // Per-league promise chains serialize read-check-write cycles in this process.
+    this.locks = new Map()
+  }
+
+  async init() {
+    await fs.mkdir(this.baseDir, { recursive: true })
+  }
+
+  _file(id) {
+    return path.join(this.baseDir, `${id}.json`)
+  }
+
+  async _readAll() {
+    const files = await fs.readdir(this.baseDir)
+    const leagues = []
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue
+      try {
+        const content = await fs.readFile(path.join(this.baseDir, file), 'utf-8')
+        leagues.push(JSON.parse(content))
+      } catch (err) {
+        this.onWarning({ message: `Failed to parse league file ${file}`, error: err })
+      }
+    }
+    return leagues
+  }
+
+  async list({ limit, offset = 0, provider, search } = {}) {
+    const leagues = (await this._readAll()).filter((league) => matchesFilters(league, { provider, search }))
+    leagues.sort(byCreation)
+    return limit === undefined ? leagues.slice(offset) : leagues.slice(offset, offset + limit)
+  }
+
+  async count({ provider, search } = {}) {
+    return (await this._readAll()).filter((league) => matchesFilters(league, { provider, search })).length
+  }
+
+  async get(id) {
+    try {
+      const content = await fs.readFile(this._file(id), 'utf-8')
+      return JSON.parse(content)
+    } catch {
+      return null
+    }
+  }
+
+  _historyFile(id) {
+    return path.join(this.baseDir, `${id}.history.jsonl`)
+  }
+
+  // A deleted league's history is kept under a timestamped name, so a league
+  // created later with the same id starts a history of its own.
+  async _archiveHistory(id) {
+    try {
+      await fs.rename(this._historyFile(id), path.join(this.baseDir, `${id}.history.${Date.now()}.deleted.jsonl`))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+
+  async _appendRevision(revision) {
+    await fs.appendFile(this._historyFile(revision.leagueId), `${JSON.stringify(revision)}\n`, 'utf-8')
+  }
+
+  async listRevisions(id, { limit, offset = 0 } = {}) {
+    let content
+    try {
+      content = await fs.readFile(this._historyFile(id), 'utf-8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    const revisions = content.split('\n').filter(Boolean).map((line) => JSON.parse(line)).reverse()
+    return limit === undefined ? revisions.slice(offset) : revisions.slice(offset, offset + limit)
+  }
+
+  async getRevision(id, revision) {
+    const revisions = await this.listRevisions(id)
+    return revisions.find((entry) => entry.revision === revision) || null
+  }
+
+  async insert(league, { revision } = {}) {
+    try {
+      await fs.writeFile(this._file(league.id), JSON.stringify(league, null, 2), { encoding: 'utf-8', flag: 'wx' })
+    } catch (err) {
+      if (err.code === 'EEXIST') throw leagueExistsError(league.id)
+      throw err
+    }
+    // Leagues deleted before their history was archived left it in place.
+    await this._archiveHistory(league.id)
+    await this._appendRevision(buildRevision(league, { action: 'create', ...revision }))
+    return league
+  }
+
+  update(id, league, { expectedVersion, revision }) {
+    const previous = this.locks.get(id) || Promise.resolve()
+    const next = previous.catch(() => {}).then(async () => {
+      const current = await this.get(id)
+      if (!current) return null
+      const currentVersion = current.version || 1
+      if (currentVersion !== expectedVersion) {
+        throw new VersionConflictError(id, expectedVersion, currentVersion)
+      }
+      // Leagues written before revisions existed get their current state
+      // recorded first so the change below can still be undone.
+      const history = await this.listRevisions(id, { limit: 1 })
+      if (!history.length) {
+        await this._appendRevision(buildRevision({ ...current, version: currentVersion }, { action: 'baseline' }))
+      }
+      const updated = { ...league, version: currentVersion + 1 }
+      const file = this._file(id)
+      const tmp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tmp, JSON.stringify(updated, null, 2), 'utf-8')
+      await fs.rename(tmp, file)
+      await this._appendRevision(buildRevision(updated, revision))
+      return updated
+    })
+    this.locks.set(id, next)
+    next.catch(() => {}).finally(() => {
+      if (this.locks.get(id) === next) this.locks.delete(id)
+    })
+    return next
+  }
+
+  delete(id) {
+    const previous = this.locks.get(id) || Promise.resolve()
+    const next = previous.catch(() => {}).then(async () => {
+      try {
+        await fs.unlink(this._file(id))
+      } catch {
+        return false
+      }
+      await this._archiveHistory(id)
+      return true
+    })
+    this.locks.set(id, next)
+    next.catch(() => {}).finally(() => {
+      if (this.locks.get(id) === next) this.locks.delete(id)
+    })
+    return next
+  }
+
+  async close() {}
+}
+
+const COLUMNS = 'id, data, version, created_at, updated_at'
+
+// Provider and name are copied out of the JSON document so listing can filter
+// and search on indexed columns.
+const toRow = ({ id, version, createdAt, updatedAt, ...data }) => ({
+  id: String(id),
+  provider: data.provider || null,
+  name: data.name || null,
+  data,
+  createdAt,
+  updatedAt
+})
+
+const fromRow = (row) => ({
+  ...row.data,
+  id: row.id,
+  version: row.version,
+  createdAt: new Date(row.created_at).toISOString(),
+  updatedAt: new Date(row.updated_at).toISOString()
+})
+
+const REVISION_COLUMNS = 'league_id, revision, action, actor, source, diff, snapshot, created_at'
+// Only the revisions of the league that currently holds the id are listed.
+const CURRENT_INCARNATION = 'SELECT incarnation FROM leagues WHERE id = $1'
+
+const fromRevisionRow = (row) => ({
+  leagueId: row.league_id,
+  revision: row.revision,
+  action: row.action,
+  actor: row.actor,
+  source: row.source,
+  createdAt: new Date(row.created_at).toISOString(),
+  diff: row.diff,
+  snapshot: row.snapshot
+})
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&')
+
+const whereClause = ({ provider, search }, params) => {
+  const conditions = []
+  if (provider) {
+    params.push(provider)
+    conditions.push(`provider = $${params.length}`)
+  }
+  if (search) {
+    params.push(`%${escapeLike(search)}%`)
+    conditions.push(`(name ILIKE $${params.length} OR id ILIKE $${params.length})`)
+  }
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+}
+
+// database.ini values may reference environment variables as ${NAME}.
+const interpolateEnv = (value) =>
+  typeof value === 'string' ? value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '') : value
+
+const DATABASE_SECTIONS = { production: 'production', test: 'test' }
+
+function loadDatabaseConfig({ configPath = path.resolve(__dirname, 'database.ini'), env = process.env.NODE_ENV } = {}) {
+  const parsed = ini.parse(readFileSync(configPath, 'utf-8'))
+  const section = DATABASE_SECTIONS[env] || 'development'
+  const merged = { ...parsed.default, ...parsed[section] }
+  const settings = Object.fromEntries(Object.entries(merged).map(([key, value]) => [key, interpolateEnv(value)]))
+  const config = {
+    host: settings.host,
+    port: parseInt(settings.port, 10) || 5432,
+    user: settings.user,
+    password: settings.password,
+    database: settings.database,
+    max: parseInt(settings.pool_max, 10) || 10,
+    min: parseInt(settings.pool_min, 10) || 0,
+    connectionTimeoutMillis: (parseInt(settings.timeout, 10) || 30) * 1000
+  }
+  if (settings.sslmode === 'require') {
+    config.ssl = { rejectUnauthorized: false }
+  }
+  return config
+}
+
+class PostgresLeagueStore {
+  constructor({ pool, migrate = true, databaseConfig } = {}) {
+    if (pool) {
+      this.pool = pool
+    } else {
+      const { Pool } = require('pg')
+      this.pool = new Pool(loadDatabaseConfig(databaseConfig))
+    }
+    this.migrate = migrate
+  }
+
+  async init() {
+    if (this.migrate) {
+      await runMigrations(this.pool)
+    }
+  }
+
+  async list({ limit, offset = 0, provider, search } = {}) {
+    const params = []
+    let sql = `SELECT ${COLUMNS} FROM leagues ${whereClause({ provider, search }, params)} ORDER BY created_at, id`
+    if (limit !== undefined) {
+      params.push(limit)
+      sql += ` LIMIT $${params.length}`
+    }
+    if (offset) {
+      params.push(offset)
+      sql += ` OFFSET $${params.length}`
+    }
+    const { rows } = await this.pool.query(sql, params)
+    return rows.map(fromRow)
+  }
+
+  async count({ provider, search } = {}) {
+    const params = []
+    const { rows } = await this.pool.query(
+      `SELECT COUNT(*)::int AS count FROM leagues ${whereClause({ provider, search }, params)}`,
+      params
+    )
+    return rows[0].count
+  }
+
+  async get(id) {
+    const { rows } = await this.pool.query(`SELECT ${COLUMNS} FROM leagues WHERE id = $1`, [String(id)])
+    return rows.length ? fromRow(rows[0]) : null
+  }
+
+  async _transaction(fn) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      const result = await fn(client)
+      await client.query('COMMIT')
+      return result
+    } catch (err) {
+      await client.query('ROLLBACK')
+      throw err
+    } finally {
+      client.release()
+    }
+  }
+
+  async _insertRevision(client, revision, incarnation) {
+    await client.query(
+      `INSERT INTO league_revisions (league_id, incarnation, revision, action, actor, source, diff, snapshot, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        revision.leagueId,
+        incarnation,
+        revision.revision,
+        revision.action,
+        revision.actor,
+        revision.source,
+        JSON.stringify(revision.diff),
+        JSON.stringify(revision.snapshot),
+        revision.createdAt
+      ]
+    )
+  }
+
+  async listRevisions(id, { limit, offset = 0 } = {}) {
+    const params = [String(id)]
+    let sql = `SELECT ${REVISION_COLUMNS} FROM league_revisions
+      WHERE league_id = $1 AND incarnation = (${CURRENT_INCARNATION})
+      ORDER BY revision DESC`
+    if (limit !== undefined) {
+      params.push(limit)
+      sql += ` LIMIT $${params.length}`
+    }
+    if (offset) {
+      params.push(offset)
+      sql += ` OFFSET $${params.length}`
+    }
+    const { rows } = await this.pool.query(sql, params)
+    return rows.map(fromRevisionRow)
+  }
+
+  async getRevision(id, revision) {
+    const { rows } = await this.pool.query(
+      `SELECT ${REVISION_COLUMNS} FROM league_revisions
+       WHERE league_id = $1 AND incarnation = (${CURRENT_INCARNATION}) AND revision = $2`,
+      [String(id), revision]
+    )
+    return rows.length ? fromRevisionRow(rows[0]) : null
+  }
+
+  async insert(league, { revision } = {}) {
+    const row = toRow(league)
+    try {
+      return await this._transaction(async (client) => {
+        // Revisions of a deleted league with this id stay in the append-only
+        // log; the new league numbers its own from 1 in the next incarnation.
+        const { rows } = await client.query(
+          `INSERT INTO leagues (id, provider, name, data, version, incarnation, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, 1,
+             (SELECT COALESCE(MAX(incarnation), 0) + 1 FROM league_revisions WHERE league_id = $1),
+             COALESCE($5::timestamptz, now()), COALESCE($6::timestamptz, now()))
+           RETURNING ${COLUMNS}, incarnation`,
+          [row.id, row.provider, row.name, row.data, row.createdAt, row.updatedAt]
+        )
+        const inserted = fromRow(rows[0])
+        await this._insertRevision(client, buildRevision(inserted, { action: 'create', ...revision }), rows[0].incarnation)
+        return inserted
+      })
+    } catch (err) {
+      if (err.code === '23505') throw leagueExistsError(row.id)
+      throw err
+    }
+  }
+
+  async update(id, league, { expectedVersion, revision }) {
+    const row = toRow(league)
+    const updated = await this._transaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE leagues
+         SET provider = $3, name = $4, data = $5, updated_at = $6, version = version + 1
+         WHERE id = $1 AND version = $2
+         RETURNING ${COLUMNS}, incarnation`,
+        [String(id), expectedVersion, row.provider, row.name, row.data, row.updatedAt]
+      )
+      if (!rows.length) return null
+      const result = fromRow(rows[0])
+      await this._insertRevision(client, buildRevision(result, revision), rows[0].incarnation)
+      return result
+    })
+    if (updated) return updated
+    const current = await this.get(id)
+    if (!current) return null
+    throw new VersionConflictError(id, expectedVersion, current.version)
+  }
+
+  async delete(id) {
+    const { rowCount } = await this.pool.query('DELETE FROM leagues WHERE id = $1', [String(id)])
+    return rowCount > 0
+  }
+
+  async close() {
+    await this.pool.end()
+  }
+}
+
+function createLeagueStore({ store, driver = process.env.LEAGUE_STORE || 'file', dataDir, pool, databaseConfig, onWarning } = {}) {
+  if (store) return store
+  switch (driver) {
+    case 'file':
+      return new FileLeagueStore({ dataDir, onWarning })
+    case 'postgres':
+    case 'postgresql':
+      return new PostgresLeagueStore({ pool, databaseConfig })
+    default:
+      throw new Error(`Unknown league store driver: ${driver}`)
+  }
+}
+
+module.exports = {
+  FileLeagueStore,
+  PostgresLeagueStore,
+  VersionConflictError,
+  createLeagueStore,
+  loadDatabaseConfig
+}
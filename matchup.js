@@ -56,6 +56,11 @@ function renderMatchup(matchupData) {
     scoreEl.className = "team-score";
     const score = index === 0 ? stats.teamAScore : stats.teamBScore;
     scoreEl.textContent = score;
+    // Rescored matchups keep the provider's original score alongside.
+    if (team.reportedScore != null && Number(team.reportedScore) !== score) {
+      scoreEl.classList.add("rescored");
+      scoreEl.title = `Reported: ${team.reportedScore}`;
+    }
 
     if (stats.isTie) {
       teamEl.classList.add("tie");
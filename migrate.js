@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+const fs = require('fs').promises
+const path = require('path')
+
+const MIGRATIONS_DIR = path.resolve(__dirname, 'migrations')
+// Arbitrary constant shared by every process that runs migrations.
+const MIGRATION_LOCK_ID = 7244001
+
+async function runMigrations(pool, { dir = MIGRATIONS_DIR, logger = null } = {}) {
+  const client = await pool.connect()
+  const applied = []
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID])
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`)
+    const { rows } = await client.query('SELECT name FROM schema_migrations')
+    const done = new Set(rows.map((row) => row.name))
+    const files = (await fs.readdir(dir)).filter((file) => file.endsWith('.sql')).sort()
+    for (const file of files) {
+      if (done.has(file)) continue
+      const sql = await fs.readFile(path.join(dir, file), 'utf-8')
+      try {
+        await client.query('BEGIN')
+        await client.query(sql)
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file])
+        await client.query('COMMIT')
+      } catch (err) {
+        await client.query('ROLLBACK')
+        err.message = `Migration ${file} failed: ${err.message}`
+        throw err
+      }
+      applied.push(file)
+      if (logger) logger.info(`Applied migration ${file}`)
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {})
+    client.release()
+  }
+  return applied
+}
+
+module.exports = { runMigrations }
+
+if (require.main === module) {
+  const { Pool } = require('pg')
+  const { loadDatabaseConfig, FileLeagueStore, PostgresLeagueStore } = require('./leaguestore')
+  const args = process.argv.slice(2)
+  const importIndex = args.indexOf('--import')
+  const importDir = importIndex >= 0 ? args[importIndex + 1] : null
+
+  const main = async () => {
+    const pool = new Pool(loadDatabaseConfig())
+    try {
+      const applied = await runMigrations(pool, { logger: console })
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date')
+      if (importDir) {
+        const source = new FileLeagueStore({ dataDir: path.resolve(importDir) })
+        const target = new PostgresLeagueStore({ pool, migrate: false })
+        let imported = 0
+        for (const league of await source.list()) {
+          if (await target.get(league.id)) continue
+          await target.insert(league, { revision: { action: 'import', source: 'file-store' } })
+          imported++
+        }
+        console.log(`Imported ${imported} league(s) from ${importDir}`)
+      }
+    } finally {
+      await pool.end()
+    }
+  }
+
+  main().catch((err) => {
+    console.error(err.message)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,12 @@
+CREATE TABLE IF NOT EXISTS leagues (
+  id TEXT PRIMARY KEY,
+  provider TEXT,
+  name TEXT,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS leagues_provider_idx ON leagues (provider);
+CREATE INDEX IF NOT EXISTS leagues_created_at_idx ON leagues (created_at, id);
@@ -0,0 +1,39 @@
+CREATE TABLE IF NOT EXISTS league_revisions (
+  league_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  actor TEXT,
+  source TEXT,
+  diff JSONB NOT NULL DEFAULT '[]'::jsonb,
+  snapshot JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (league_id, revision)
+);
+
+CREATE OR REPLACE FUNCTION league_revisions_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'league_revisions is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS league_revisions_append_only ON league_revisions;
+CREATE TRIGGER league_revisions_append_only
+  BEFORE UPDATE OR DELETE ON league_revisions
+  FOR EACH ROW EXECUTE FUNCTION league_revisions_append_only();
+
+-- Record the current state of existing leagues so their next change can be reverted.
+INSERT INTO league_revisions (league_id, revision, action, source, snapshot, created_at)
+SELECT
+  id,
+  version,
+  'baseline',
+  'migration',
+  data || jsonb_build_object(
+    'id', id,
+    'version', version,
+    'createdAt', to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+    'updatedAt', to_char(updated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+  ),
+  updated_at
+FROM leagues
+ON CONFLICT (league_id, revision) DO NOTHING;
@@ -0,0 +1,8 @@
+-- A league id can be deleted and created again. Revisions are append-only, so
+-- each league that holds the id gets its own incarnation number and the new
+-- league's revisions start again from 1 under it.
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS incarnation INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE league_revisions ADD COLUMN IF NOT EXISTS incarnation INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE league_revisions DROP CONSTRAINT IF EXISTS league_revisions_pkey;
+ALTER TABLE league_revisions ADD PRIMARY KEY (league_id, incarnation, revision);
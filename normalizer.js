@@ -0,0 +1,761 @@
+// Provider payload -> canonical League Nexus model (see leagueschema.js).
+
+const toArray = value => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+const str = value => (value == null || value === '' ? null : String(value));
+
+function num(value, fallback = 0) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function int(value, fallback = 0) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function nullableInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function isoDate(value) {
+  if (value == null || value === '') return null;
+  let date;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    date = new Date(n < 1e12 ? n * 1000 : n);
+  } else {
+    date = new Date(value);
+  }
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function indexBy(items, key) {
+  return toArray(items).reduce((acc, item) => {
+    if (item && item[key] != null) acc[String(item[key])] = item;
+    return acc;
+  }, {});
+}
+
+function rankStandings(rows) {
+  const ordered = [...rows].sort((a, b) =>
+    b.wins - a.wins || b.ties - a.ties || b.pointsFor - a.pointsFor
+  );
+  const fallbackRank = new Map(ordered.map((row, i) => [row, i + 1]));
+  return rows
+    .map(row => ({ ...row, rank: row.rank > 0 ? row.rank : fallbackRank.get(row) }))
+    .sort((a, b) => a.rank - b.rank);
+}
+
+function buildTransaction(fields) {
+  const adds = fields.adds || [];
+  const drops = fields.drops || [];
+  const teamIds = new Set(fields.teamIds || []);
+  adds.forEach(move => teamIds.add(move.teamId));
+  drops.forEach(move => teamIds.add(move.teamId));
+  const faabBid = fields.faabBid != null ? num(fields.faabBid) : null;
+  return {
+    id: String(fields.id),
+    type: fields.type,
+    status: fields.status || 'complete',
+    season: fields.season != null ? fields.season : null,
+    week: fields.week != null ? fields.week : null,
+    date: fields.date || null,
+    teamIds: [...teamIds],
+    adds,
+    drops,
+    draftPicks: fields.draftPicks || [],
+    faabBid,
+    cost: fields.type === 'waiver' ? faabBid : null,
+    proceeds: null
+  };
+}
+
+function pairMatchups(entries, context) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.week}:${entry.matchupKey}`;
+    if (!groups.has(key)) groups.set(key, { week: entry.week, matchupKey: entry.matchupKey, date: entry.date, teams: [] });
+    groups.get(key).teams.push(entry.team);
+  });
+  return [...groups.values()]
+    .filter(group => group.teams.length === 2)
+    .map(group => ({
+      id: `${context.leagueId}:${group.week}:${group.matchupKey}`,
+      season: context.season != null ? context.season : null,
+      week: group.week,
+      date: group.date || null,
+      teams: group.teams
+    }));
+}
+
+function emptyDraft(context) {
+  return { id: null, season: context.season != null ? context.season : null, type: null, status: null, rounds: null, picks: [] };
+}
+
+// Sleeper -------------------------------------------------------------------
+
+const SLEEPER_DRAFT_STATUSES = ['pre_draft', 'drafting', 'paused', 'complete'];
+
+function sleeperTeamName(owner, roster) {
+  return (owner && owner.metadata && owner.metadata.team_name) ||
+    (owner && owner.display_name) ||
+    `Team ${roster.roster_id}`;
+}
+
+function sleeperPlayerPoints(playersPoints) {
+  return Object.entries(playersPoints).reduce((acc, [playerId, points]) => {
+    acc[String(playerId)] = num(points);
+    return acc;
+  }, {});
+}
+
+function sleeperFantasyPoints(settings, field) {
+  return num(settings[field]) + num(settings[`${field}_decimal`]) / 100;
+}
+
+const sleeper = {
+  standings({ rosters = [], users = [] }) {
+    const usersById = indexBy(users, 'user_id');
+    return rankStandings(toArray(rosters).map(roster => {
+      const owner = usersById[roster.owner_id];
+      const settings = roster.settings || {};
+      return {
+        teamId: String(roster.roster_id),
+        teamName: sleeperTeamName(owner, roster),
+        ownerId: str(roster.owner_id),
+        ownerName: owner ? owner.display_name || null : null,
+        rank: int(settings.rank),
+        wins: int(settings.wins),
+        losses: int(settings.losses),
+        ties: int(settings.ties),
+        pointsFor: sleeperFantasyPoints(settings, 'fpts'),
+        pointsAgainst: sleeperFantasyPoints(settings, 'fpts_against')
+      };
+    }));
+  },
+
+  matchups({ matchups = [], rosters = [], users = [], week }, context) {
+    const rostersById = indexBy(rosters, 'roster_id');
+    const usersById = indexBy(users, 'user_id');
+    const matchupWeek = int(week || context.week, 1);
+    const entries = toArray(matchups)
+      .filter(entry => entry.matchup_id != null)
+      .map(entry => {
+        const roster = rostersById[entry.roster_id] || { roster_id: entry.roster_id };
+        return {
+          week: matchupWeek,
+          matchupKey: entry.matchup_id,
+          team: {
+            id: String(entry.roster_id),
+            name: sleeperTeamName(usersById[roster.owner_id], roster),
+            score: num(entry.custom_points != null ? entry.custom_points : entry.points),
+            starters: toArray(entry.starters).filter(p => p && p !== '0').map(String),
+            ...(entry.players_points ? { playerPoints: sleeperPlayerPoints(entry.players_points) } : {})
+          }
+        };
+      });
+    return pairMatchups(entries, context);
+  },
+
+  transactions(raw, context) {
+    const items = Array.isArray(raw) ? raw : toArray(raw.transactions);
+    return items.map(tx => {
+      const adds = Object.entries(tx.adds || {}).map(([playerId, rosterId]) => ({ playerId, teamId: String(rosterId) }));
+      const drops = Object.entries(tx.drops || {}).map(([playerId, rosterId]) => ({ playerId, teamId: String(rosterId) }));
+      const draftPicks = toArray(tx.draft_picks).map(pick => ({
+        season: nullableInt(pick.season),
+        round: int(pick.round, 1),
+        fromTeamId: String(pick.previous_owner_id),
+        toTeamId: String(pick.owner_id)
+      }));
+      const status = tx.status === 'complete' ? 'complete' : tx.status === 'failed' ? 'failed' : 'pending';
+      return buildTransaction({
+        id: tx.transaction_id,
+        type: tx.type,
+        status,
+        season: context.season,
+        week: nullableInt(tx.leg),
+        date: isoDate(tx.status_updated || tx.created),
+        teamIds: toArray(tx.roster_ids).map(String),
+        adds,
+        drops,
+        draftPicks,
+        faabBid: tx.type === 'waiver' && tx.settings ? tx.settings.waiver_bid : null
+      });
+    });
+  },
+
+  draft(raw, context) {
+    const draft = Array.isArray(raw) ? raw[0] : raw.draft;
+    if (!draft) return emptyDraft(context);
+    const picks = toArray(Array.isArray(raw) ? [] : raw.picks).map(pick => {
+      const meta = pick.metadata || {};
+      const name = [meta.first_name, meta.last_name].filter(Boolean).join(' ');
+      return {
+        round: int(pick.round, 1),
+        pickNumber: int(pick.pick_no, 1),
+        teamId: str(pick.roster_id),
+        playerId: str(pick.player_id),
+        playerName: name || null,
+        position: meta.position || null
+      };
+    });
+    return {
+      id: str(draft.draft_id),
+      season: nullableInt(draft.season),
+      type: draft.type || null,
+      status: SLEEPER_DRAFT_STATUSES.includes(draft.status) ? draft.status : null,
+      rounds: draft.settings ? nullableInt(draft.settings.rounds) : null,
+      picks
+    };
+  },
+
+  rosters({ rosters = [], users = [] }) {
+    const usersById = indexBy(users, 'user_id');
+    return toArray(rosters).map(roster => ({
+      teamId: String(roster.roster_id),
+      teamName: sleeperTeamName(usersById[roster.owner_id], roster),
+      ownerId: str(roster.owner_id),
+      players: toArray(roster.players).map(String),
+      starters: toArray(roster.starters).filter(p => p && p !== '0').map(String),
+      reserve: [...toArray(roster.reserve), ...toArray(roster.taxi)].map(String)
+    }));
+  }
+};
+
+// Yahoo ---------------------------------------------------------------------
+
+// Yahoo encodes objects as arrays of single-key fragments and collections as
+// objects keyed "0".."n" plus a "count".
+function yahooFlatten(parts) {
+  const out = {};
+  toArray(parts).forEach(part => {
+    if (Array.isArray(part)) Object.assign(out, yahooFlatten(part));
+    else if (part && typeof part === 'object') Object.assign(out, part);
+  });
+  return out;
+}
+
+function yahooCollection(node, key) {
+  if (!node || typeof node !== 'object') return [];
+  return Object.keys(node)
+    .filter(k => /^\d+$/.test(k))
+    .map(k => node[k][key])
+    .filter(Boolean);
+}
+
+function yahooLeagueResource(raw, resource) {
+  const league = raw && raw.fantasy_content && raw.fantasy_content.league;
+  if (!Array.isArray(league)) return undefined;
+  return yahooFlatten(league.slice(1))[resource];
+}
+
+function yahooLeagueMeta(raw) {
+  const league = raw && raw.fantasy_content && raw.fantasy_content.league;
+  return Array.isArray(league) ? yahooFlatten(league[0]) : {};
+}
+
+function yahooManager(team) {
+  const entry = toArray(team.managers).find(m => m && m.manager);
+  return entry ? entry.manager : {};
+}
+
+function yahooTeams(node) {
+  return yahooCollection(yahooFlatten(node).teams, 'team').map(yahooFlatten);
+}
+
+const yahoo = {
+  standings(raw) {
+    return rankStandings(yahooTeams(yahooLeagueResource(raw, 'standings')).map(team => {
+      const standing = team.team_standings || {};
+      const totals = standing.outcome_totals || {};
+      const manager = yahooManager(team);
+      return {
+        teamId: String(team.team_key),
+        teamName: team.name || '',
+        ownerId: str(manager.guid),
+        ownerName: manager.nickname || null,
+        rank: int(standing.rank),
+        wins: int(totals.wins),
+        losses: int(totals.losses),
+        ties: int(totals.ties),
+        pointsFor: num(standing.points_for),
+        pointsAgainst: num(standing.points_against)
+      };
+    }));
+  },
+
+  matchups(raw, context) {
+    const scoreboard = yahooFlatten(yahooLeagueResource(raw, 'scoreboard'));
+    const matchups = yahooCollection(yahooFlatten(scoreboard['0'] || scoreboard).matchups, 'matchup');
+    const entries = [];
+    matchups.forEach((matchup, index) => {
+      const week = int(matchup.week, int(context.week, 1));
+      yahooTeams(matchup['0']).forEach(team => {
+        entries.push({
+          week,
+          matchupKey: index + 1,
+          date: isoDate(matchup.week_start),
+          team: {
+            id: String(team.team_key),
+            name: team.name || '',
+            score: num(team.team_points && team.team_points.total),
+            starters: []
+          }
+        });
+      });
+    });
+    return pairMatchups(entries, context);
+  },
+
+  transactions(raw, context) {
+    const types = { add: 'free_agent', drop: 'free_agent', 'add/drop': 'free_agent', trade: 'trade', commish: 'commissioner' };
+    return yahooCollection(yahooLeagueResource(raw, 'transactions'), 'transaction').map(parts => {
+      const tx = yahooFlatten(parts);
+      const adds = [];
+      const drops = [];
+      let viaWaivers = false;
+      yahooCollection(tx.players, 'player').forEach(playerParts => {
+        const player = yahooFlatten(playerParts);
+        const data = yahooFlatten(player.transaction_data);
+        if (data.source_type === 'waivers') viaWaivers = true;
+        if (data.type === 'add' || data.type === 'trade') {
+          adds.push({ playerId: String(player.player_key), teamId: String(data.destination_team_key) });
+        }
+        if (data.type === 'drop' || data.type === 'trade') {
+          drops.push({ playerId: String(player.player_key), teamId: String(data.source_team_key) });
+        }
+      });
+      const type = viaWaivers ? 'waiver' : types[tx.type] || 'commissioner';
+      return buildTransaction({
+        id: tx.transaction_key || tx.transaction_id,
+        type,
+        status: tx.status === 'successful' ? 'complete' : tx.status === 'pending' ? 'pending' : 'failed',
+        season: context.season,
+        date: isoDate(tx.timestamp),
+        teamIds: [tx.trader_team_key, tx.tradee_team_key].filter(Boolean).map(String),
+        adds,
+        drops,
+        faabBid: tx.faab_bid
+      });
+    });
+  },
+
+  draft(raw, context) {
+    const meta = yahooLeagueMeta(raw);
+    const picks = yahooCollection(yahooLeagueResource(raw, 'draft_results'), 'draft_result').map(pick => ({
+      round: int(pick.round, 1),
+      pickNumber: int(pick.pick, 1),
+      teamId: str(pick.team_key),
+      playerId: str(pick.player_key),
+      playerName: null,
+      position: null
+    }));
+    const statuses = { predraft: 'pre_draft', inprogress: 'drafting', postdraft: 'complete' };
+    return {
+      id: str(meta.league_key),
+      season: nullableInt(meta.season) != null ? nullableInt(meta.season) : context.season != null ? context.season : null,
+      type: meta.draft_type || null,
+      status: statuses[meta.draft_status] || null,
+      rounds: picks.length ? Math.max(...picks.map(p => p.round)) : null,
+      picks
+    };
+  },
+
+  rosters(raw) {
+    return yahooCollection(yahooLeagueResource(raw, 'teams'), 'team').map(parts => {
+      const team = yahooFlatten(parts);
+      const manager = yahooManager(team);
+      const rosterNode = yahooFlatten(team.roster);
+      const players = yahooCollection(yahooFlatten(rosterNode['0'] || rosterNode).players, 'player').map(yahooFlatten);
+      const slotOf = player => yahooFlatten(player.selected_position).position;
+      return {
+        teamId: String(team.team_key),
+        teamName: team.name || '',
+        ownerId: str(manager.guid),
+        players: players.map(p => String(p.player_key)),
+        starters: players.filter(p => !['BN', 'IR'].includes(slotOf(p))).map(p => String(p.player_key)),
+        reserve: players.filter(p => slotOf(p) === 'IR').map(p => String(p.player_key))
+      };
+    });
+  }
+};
+
+// ESPN ----------------------------------------------------------------------
+
+const ESPN_BENCH_SLOT = 20;
+const ESPN_IR_SLOT = 21;
+
+function espnTeamName(team) {
+  return team.name || [team.location, team.nickname].filter(Boolean).join(' ') || `Team ${team.id}`;
+}
+
+function espnOwner(team, membersById) {
+  const ownerId = team.primaryOwner || toArray(team.owners)[0] || null;
+  const member = ownerId ? membersById[ownerId] : null;
+  return { ownerId: str(ownerId), ownerName: member ? member.displayName || null : null };
+}
+
+const espn = {
+  standings(raw) {
+    const membersById = indexBy(raw.members, 'id');
+    return rankStandings(toArray(raw.teams).map(team => {
+      const overall = (team.record && team.record.overall) || {};
+      return {
+        teamId: String(team.id),
+        teamName: espnTeamName(team),
+        ...espnOwner(team, membersById),
+        rank: int(team.rankCalculatedFinal || team.playoffSeed),
+        wins: int(overall.wins),
+        losses: int(overall.losses),
+        ties: int(overall.ties),
+        pointsFor: num(overall.pointsFor),
+        pointsAgainst: num(overall.pointsAgainst)
+      };
+    }));
+  },
+
+  matchups(raw, context) {
+    const teamsById = indexBy(raw.teams, 'id');
+    const side = sideData => ({
+      id: String(sideData.teamId),
+      name: teamsById[sideData.teamId] ? espnTeamName(teamsById[sideData.teamId]) : '',
+      score: num(sideData.totalPoints),
+      starters: []
+    });
+    return toArray(raw.schedule)
+      .filter(game => game.home && game.away)
+      .map(game => ({
+        id: `${context.leagueId}:${game.matchupPeriodId}:${game.id}`,
+        season: nullableInt(raw.seasonId) != null ? nullableInt(raw.seasonId) : context.season != null ? context.season : null,
+        week: int(game.matchupPeriodId, 1),
+        date: null,
+        teams: [side(game.home), side(game.away)]
+      }));
+  },
+
+  transactions(raw, context) {
+    const types = { WAIVER: 'waiver', FREEAGENT: 'free_agent', TRADE_ACCEPT: 'trade', TRADE_PROPOSAL: 'trade' };
+    const statuses = { EXECUTED: 'complete', PENDING: 'pending' };
+    return toArray(raw.transactions).map(tx => {
+      const items = toArray(tx.items);
+      return buildTransaction({
+        id: tx.id,
+        type: types[tx.type] || 'commissioner',
+        status: statuses[tx.status] || 'failed',
+        season: nullableInt(raw.seasonId) != null ? nullableInt(raw.seasonId) : context.season,
+        week: nullableInt(tx.scoringPeriodId),
+        date: isoDate(tx.processDate || tx.proposedDate),
+        teamIds: [tx.teamId].filter(id => id != null).map(String),
+        adds: items.filter(i => i.type === 'ADD' || i.type === 'TRADE').map(i => ({ playerId: String(i.playerId), teamId: String(i.toTeamId) })),
+        drops: items.filter(i => i.type === 'DROP' || i.type === 'TRADE').map(i => ({ playerId: String(i.playerId), teamId: String(i.fromTeamId) })),
+        faabBid: tx.type === 'WAIVER' ? tx.bidAmount : null
+      });
+    });
+  },
+
+  draft(raw, context) {
+    const detail = raw.draftDetail;
+    if (!detail) return emptyDraft(context);
+    const draftSettings = (raw.settings && raw.settings.draftSettings) || {};
+    const picks = toArray(detail.picks).map(pick => ({
+      round: int(pick.roundId, 1),
+      pickNumber: int(pick.overallPickNumber || pick.id, 1),
+      teamId: str(pick.teamId),
+      playerId: pick.playerId > 0 ? String(pick.playerId) : null,
+      playerName: null,
+      position: null
+    }));
+    const status = detail.drafted ? 'complete' : detail.inProgress ? 'drafting' : 'pre_draft';
+    return {
+      id: str(raw.id),
+      season: nullableInt(raw.seasonId) != null ? nullableInt(raw.seasonId) : context.season != null ? context.season : null,
+      type: draftSettings.type ? String(draftSettings.type).toLowerCase() : null,
+      status,
+      rounds: picks.length ? Math.max(...picks.map(p => p.round)) : null,
+      picks
+    };
+  },
+
+  rosters(raw) {
+    const membersById = indexBy(raw.members, 'id');
+    return toArray(raw.teams).map(team => {
+      const entries = toArray(team.roster && team.roster.entries);
+      return {
+        teamId: String(team.id),
+        teamName: espnTeamName(team),
+        ownerId: espnOwner(team, membersById).ownerId,
+        players: entries.map(e => String(e.playerId)),
+        starters: entries.filter(e => e.lineupSlotId !== ESPN_BENCH_SLOT && e.lineupSlotId !== ESPN_IR_SLOT).map(e => String(e.playerId)),
+        reserve: entries.filter(e => e.lineupSlotId === ESPN_IR_SLOT).map(e => String(e.playerId))
+      };
+    });
+  }
+};
+
+// MyFantasyLeague -------------------------------------------------------------
+
+const splitIds = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// MFL trades mix players with draft picks: "DP_<round0>_<pick0>" for the current
+// draft and "FP_<franchise>_<season>_<round>" for future picks.
+function mflParseAssets(value) {
+  const players = [];
+  const picks = [];
+  splitIds(value).forEach(asset => {
+    const future = asset.match(/^FP_\w+_(\d{4})_(\d+)$/);
+    const current = asset.match(/^DP_(\d+)_\d+$/);
+    if (future) picks.push({ season: int(future[1]), round: int(future[2], 1) });
+    else if (current) picks.push({ season: null, round: int(current[1]) + 1 });
+    else players.push(asset);
+  });
+  return { players, picks };
+}
+
+const mfl = {
+  standings(raw) {
+    const node = raw.leagueStandings || raw.standings || {};
+    return rankStandings(toArray(node.franchise).map(franchise => ({
+      teamId: String(franchise.id),
+      teamName: franchise.name || '',
+      ownerId: null,
+      ownerName: franchise.owner_name || null,
+      rank: int(franchise.rank),
+      wins: int(franchise.h2hw),
+      losses: int(franchise.h2hl),
+      ties: int(franchise.h2ht),
+      pointsFor: num(franchise.pf),
+      pointsAgainst: num(franchise.pa)
+    })));
+  },
+
+  matchups(raw, context) {
+    const entries = [];
+    toArray(raw.weeklyResults).forEach(results => {
+      const week = int(results.week, int(context.week, 1));
+      toArray(results.matchup).forEach((matchup, index) => {
+        toArray(matchup.franchise).forEach(franchise => {
+          entries.push({
+            week,
+            matchupKey: index + 1,
+            team: {
+              id: String(franchise.id),
+              name: '',
+              score: num(franchise.score),
+              starters: splitIds(franchise.starters)
+            }
+          });
+        });
+      });
+    });
+    return pairMatchups(entries, context);
+  },
+
+  transactions(raw, context) {
+    const node = raw.transactions || {};
+    return toArray(node.transaction).map((tx, index) => {
+      const franchise = String(tx.franchise);
+      const base = {
+        id: tx.id || `${tx.timestamp}:${franchise}:${index}`,
+        season: context.season,
+        date: isoDate(tx.timestamp),
+        teamIds: [franchise]
+      };
+      if (tx.type === 'TRADE') {
+        const other = String(tx.franchise2);
+        const gave1 = mflParseAssets(tx.franchise1_gave_up);
+        const gave2 = mflParseAssets(tx.franchise2_gave_up);
+        return buildTransaction({
+          ...base,
+          type: 'trade',
+          teamIds: [franchise, other],
+          adds: [
+            ...gave1.players.map(playerId => ({ playerId, teamId: other })),
+            ...gave2.players.map(playerId => ({ playerId, teamId: franchise }))
+          ],
+          drops: [
+            ...gave1.players.map(playerId => ({ playerId, teamId: franchise })),
+            ...gave2.players.map(playerId => ({ playerId, teamId: other }))
+          ],
+          draftPicks: [
+            ...gave1.picks.map(pick => ({ ...pick, fromTeamId: franchise, toTeamId: other })),
+            ...gave2.picks.map(pick => ({ ...pick, fromTeamId: other, toTeamId: franchise }))
+          ]
+        });
+      }
+      if (tx.type === 'BBID_WAIVER') {
+        const [added, bid, dropped] = String(tx.transaction || '').split('|');
+        return buildTransaction({
+          ...base,
+          type: 'waiver',
+          adds: splitIds(added).map(playerId => ({ playerId, teamId: franchise })),
+          drops: splitIds(dropped).map(playerId => ({ playerId, teamId: franchise })),
+          faabBid: num(bid)
+        });
+      }
+      if (tx.type === 'FREE_AGENT' || tx.type === 'WAIVER') {
+        const [added, dropped] = String(tx.transaction || '').split('|');
+        return buildTransaction({
+          ...base,
+          type: tx.type === 'WAIVER' ? 'waiver' : 'free_agent',
+          adds: splitIds(added).map(playerId => ({ playerId, teamId: franchise })),
+          drops: splitIds(dropped).map(playerId => ({ playerId, teamId: franchise }))
+        });
+      }
+      return buildTransaction({ ...base, type: 'commissioner' });
+    });
+  },
+
+  draft(raw, context) {
+    const node = raw.draftResults || {};
+    const units = toArray(node.draftUnit);
+    if (!units.length) return emptyDraft(context);
+    const picks = units.flatMap(unit => toArray(unit.draftPick)).map(pick => ({
+      round: int(pick.round, 1),
+      pickNumber: int(pick.pick, 1),
+      teamId: str(pick.franchise),
+      playerId: str(pick.player),
+      playerName: null,
+      position: null
+    }));
+    const drafted = picks.filter(p => p.playerId).length;
+    return {
+      id: str(units[0].unit),
+      season: context.season != null ? context.season : null,
+      type: units[0].draftType ? String(units[0].draftType).toLowerCase() : null,
+      status: drafted === 0 ? 'pre_draft' : drafted === picks.length ? 'complete' : 'drafting',
+      rounds: picks.length ? Math.max(...picks.map(p => p.round)) : null,
+      picks
+    };
+  },
+
+  rosters(raw) {
+    const node = raw.rosters || {};
+    return toArray(node.franchise).map(franchise => {
+      const players = toArray(franchise.player);
+      return {
+        teamId: String(franchise.id),
+        teamName: '',
+        ownerId: null,
+        players: players.map(p => String(p.id)),
+        starters: [],
+        reserve: players.filter(p => p.status && p.status !== 'ROSTER').map(p => String(p.id))
+      };
+    });
+  }
+};
+
+// NFL Fantasy -----------------------------------------------------------------
+
+const nfl = {
+  standings(raw) {
+    return rankStandings(toArray(raw.standings || raw.teams).map(team => {
+      const record = team.record || team;
+      return {
+        teamId: String(team.id || team.teamId),
+        teamName: team.name || '',
+        ownerId: str(team.ownerId),
+        ownerName: team.ownerName || null,
+        rank: int(team.rank),
+        wins: int(record.wins),
+        losses: int(record.losses),
+        ties: int(record.ties),
+        pointsFor: num(team.pointsFor),
+        pointsAgainst: num(team.pointsAgainst)
+      };
+    }));
+  },
+
+  matchups(raw, context) {
+    const side = team => ({
+      id: String(team.id || team.teamId),
+      name: team.name || '',
+      score: num(team.score || team.points),
+      starters: toArray(team.starters).map(String)
+    });
+    return toArray(raw.matchups)
+      .filter(m => m.homeTeam && m.awayTeam)
+      .map((m, index) => ({
+        id: `${context.leagueId}:${int(m.week, 1)}:${m.id || index + 1}`,
+        season: nullableInt(m.season) != null ? nullableInt(m.season) : context.season != null ? context.season : null,
+        week: int(m.week, int(context.week, 1)),
+        date: isoDate(m.date),
+        teams: [side(m.homeTeam), side(m.awayTeam)]
+      }));
+  },
+
+  transactions(raw, context) {
+    const types = { add: 'free_agent', drop: 'free_agent', waiver: 'waiver', trade: 'trade' };
+    return toArray(raw.transactions).map((tx, index) => {
+      const players = toArray(tx.players);
+      return buildTransaction({
+        id: tx.id || `${tx.date}:${tx.teamId}:${index}`,
+        type: types[tx.type] || 'commissioner',
+        status: tx.status === 'pending' ? 'pending' : tx.status === 'failed' ? 'failed' : 'complete',
+        season: context.season,
+        week: nullableInt(tx.week),
+        date: isoDate(tx.date),
+        teamIds: [tx.teamId].filter(id => id != null).map(String),
+        adds: players.filter(p => p.action === 'add').map(p => ({ playerId: String(p.id), teamId: String(p.teamId || tx.teamId) })),
+        drops: players.filter(p => p.action === 'drop').map(p => ({ playerId: String(p.id), teamId: String(p.teamId || tx.teamId) })),
+        faabBid: tx.bid
+      });
+    });
+  },
+
+  draft(raw, context) {
+    const draft = raw.draft || raw;
+    if (!draft || !Array.isArray(draft.picks)) return emptyDraft(context);
+    const picks = draft.picks.map(pick => ({
+      round: int(pick.round, 1),
+      pickNumber: int(pick.pick || pick.pickNumber, 1),
+      teamId: str(pick.teamId),
+      playerId: str(pick.playerId),
+      playerName: pick.playerName || null,
+      position: pick.position || null
+    }));
+    return {
+      id: str(draft.id),
+      season: context.season != null ? context.season : null,
+      type: draft.type || null,
+      status: picks.length && picks.every(p => p.playerId) ? 'complete' : 'drafting',
+      rounds: picks.length ? Math.max(...picks.map(p => p.round)) : null,
+      picks
+    };
+  },
+
+  rosters(raw) {
+    return toArray(raw.rosters || raw.teams).map(team => {
+      const players = toArray(team.players);
+      return {
+        teamId: String(team.id || team.teamId),
+        teamName: team.name || '',
+        ownerId: str(team.ownerId),
+        players: players.map(p => String(p.id)),
+        starters: players.filter(p => p.slot && !['BN', 'RES'].includes(p.slot)).map(p => String(p.id)),
+        reserve: players.filter(p => p.slot === 'RES').map(p => String(p.id))
+      };
+    });
+  }
+};
+
+const providers = { sleeper, yahoo, espn, mfl, nfl };
+
+function normalize(provider, type, raw, context = {}) {
+  const mappers = providers[provider];
+  if (!mappers) {
+    throw new Error(`Unsupported provider: ${provider}`);
+  }
+  const mapper = mappers[type];
+  if (!mapper) {
+    throw new Error(`No ${type} normalizer for provider: ${provider}`);
+  }
+  return mapper(raw || {}, context);
+}
+
+module.exports = {
+  normalize,
+  providers
+};
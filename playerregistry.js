@@ -0,0 +1,197 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const EventEmitter = require('events');
+const sleeperClient = require('./sleeperclient');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v']);
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .split(/\s+/)
+    .filter(token => token && !NAME_SUFFIXES.has(token))
+    .join(' ');
+}
+
+function pushIndex(index, key, id) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(id);
+}
+
+class PlayerRegistry extends EventEmitter {
+  constructor({ client = sleeperClient, sport = 'nfl', dataDir, maxAgeMs = ONE_DAY_MS } = {}) {
+    super();
+    this.client = client;
+    this.sport = sport;
+    this.dataDir = dataDir || path.resolve(process.cwd(), 'data', 'players');
+    this.maxAgeMs = maxAgeMs;
+    this.players = {};
+    this.meta = null;
+    this.byName = new Map();
+    this.byTeam = new Map();
+    this.loaded = false;
+    this.refreshing = null;
+    this.task = null;
+  }
+
+  get playersFile() {
+    return path.join(this.dataDir, `${this.sport}.json`);
+  }
+
+  get metaFile() {
+    return path.join(this.dataDir, `${this.sport}.meta.json`);
+  }
+
+  async load() {
+    try {
+      const [players, meta] = await Promise.all([
+        fs.readFile(this.playersFile, 'utf-8'),
+        fs.readFile(this.metaFile, 'utf-8')
+      ]);
+      this._index(JSON.parse(players));
+      this.meta = JSON.parse(meta);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.emit('warning', { message: `Failed to load player registry from ${this.dataDir}`, error: err });
+      }
+      this.meta = null;
+    }
+    this.loaded = true;
+    return this;
+  }
+
+  isStale(now = Date.now()) {
+    return !this.meta || now - new Date(this.meta.fetchedAt).getTime() >= this.maxAgeMs;
+  }
+
+  async ensureFresh() {
+    if (!this.loaded) await this.load();
+    if (this.isStale()) await this.refresh();
+    return this;
+  }
+
+  refresh({ force = false } = {}) {
+    if (!this.refreshing) {
+      this.refreshing = this._refresh({ force }).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async _refresh({ force }) {
+    if (!force && !this.isStale()) return false;
+    const headers = {};
+    if (this.meta && this.meta.etag && Object.keys(this.players).length) {
+      headers['If-None-Match'] = this.meta.etag;
+    }
+    const response = await this.client.get(`/players/${this.sport}`, {}, {
+      headers,
+      fullResponse: true,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+    const fetchedAt = new Date().toISOString();
+    if (response.status === 304) {
+      this.meta = { ...this.meta, fetchedAt };
+      await this._writeJson(this.metaFile, this.meta);
+      this.emit('refreshed', { changed: false, count: this.meta.count });
+      return false;
+    }
+    const players = this.client.normalizePlayers(response.data);
+    this.meta = {
+      sport: this.sport,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      fetchedAt,
+      count: Object.keys(players).length
+    };
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await this._writeJson(this.playersFile, players);
+    await this._writeJson(this.metaFile, this.meta);
+    this._index(players);
+    this.emit('refreshed', { changed: true, count: this.meta.count });
+    return true;
+  }
+
+  scheduleDailyRefresh(cronExpr = '0 9 * * *') {
+    if (!cron.validate(cronExpr)) {
+      throw new Error(`Invalid cron expression: ${cronExpr}`);
+    }
+    this.task = cron.schedule(cronExpr, () => {
+      this.refresh().catch(err => this.emit('warning', { message: 'Scheduled player refresh failed', error: err }));
+    });
+    return this.task;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  lookup(id) {
+    return this.players[String(id)] || null;
+  }
+
+  lookupMany(ids) {
+    return ids.reduce((acc, id) => {
+      acc[id] = this.lookup(id);
+      return acc;
+    }, {});
+  }
+
+  findByName(name) {
+    return (this.byName.get(normalizeName(name)) || []).map(id => this.players[id]);
+  }
+
+  listByTeam(team) {
+    return (this.byTeam.get(String(team || '').toUpperCase()) || []).map(id => this.players[id]);
+  }
+
+  search(query, { position, team, limit = 25 } = {}) {
+    const needle = normalizeName(query);
+    const teamFilter = team ? String(team).toUpperCase() : null;
+    const positionFilter = position ? String(position).toUpperCase() : null;
+    const scored = [];
+    for (const player of Object.values(this.players)) {
+      if (teamFilter && player.team !== teamFilter) continue;
+      if (positionFilter && player.position !== positionFilter && !player.fantasyPositions.includes(positionFilter)) continue;
+      const name = normalizeName(player.fullName);
+      let score = 0;
+      if (!needle) score = 1;
+      else if (name === needle) score = 100;
+      else if (name.startsWith(needle)) score = 50;
+      else if (name.split(' ').some(token => token.startsWith(needle))) score = 30;
+      else if (name.includes(needle)) score = 10;
+      if (score) scored.push({ player, score });
+    }
+    const rank = player => (player.searchRank != null ? player.searchRank : Number.MAX_SAFE_INTEGER);
+    return scored
+      .sort((a, b) => b.score - a.score || rank(a.player) - rank(b.player))
+      .slice(0, limit)
+      .map(entry => entry.player);
+  }
+
+  _index(players) {
+    this.players = players;
+    this.byName = new Map();
+    this.byTeam = new Map();
+    Object.values(players).forEach(player => {
+      pushIndex(this.byName, normalizeName(player.fullName), player.id);
+      pushIndex(this.byTeam, player.team, player.id);
+    });
+  }
+
+  async _writeJson(file, value) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value), 'utf-8');
+    await fs.rename(tmp, file);
+  }
+}
+
+module.exports = PlayerRegistry;
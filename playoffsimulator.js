@@ -0,0 +1,351 @@
+const DEFAULT_SIMULATIONS = 10000
+const MAX_SIMULATIONS = 50000
+const TIEBREAKERS = ['headToHead', 'pointsFor', 'pointsAgainst', 'random']
+
+const DEFAULT_FORMAT = {
+  teams: 6,
+  seeding: 'record',
+  reseed: false,
+  tiebreakers: ['headToHead', 'pointsFor'],
+  weeksPerRound: 1,
+  championshipWeeks: 1,
+  startWeek: null
+}
+
+// Small, fast seeded PRNG so a given seed always replays the same seasons.
+function mulberry32(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Box-Muller; the second variate of each pair is kept for the next call.
+function normalSampler(random) {
+  let spare = null
+  return (mean, stdDev) => {
+    if (spare !== null) {
+      const z = spare
+      spare = null
+      return mean + stdDev * z
+    }
+    let u = 0
+    while (u === 0) u = random()
+    const radius = Math.sqrt(-2 * Math.log(u))
+    const theta = 2 * Math.PI * random()
+    spare = radius * Math.sin(theta)
+    return mean + stdDev * radius * Math.cos(theta)
+  }
+}
+
+const nextPowerOfTwo = (n) => 2 ** Math.ceil(Math.log2(Math.max(n, 2)))
+
+// Sleeper keeps its playoff setup in league settings: playoff_round_type 1
+// plays a two-week final, 2 plays two weeks per round; playoff_seed_type 1 reseeds.
+function resolvePlayoffFormat(league = {}, overrides = {}) {
+  const settings = league.settings || {}
+  const fromSleeper = {}
+  if (settings.playoff_teams != null) fromSleeper.teams = Number(settings.playoff_teams)
+  if (settings.playoff_week_start != null) fromSleeper.startWeek = Number(settings.playoff_week_start) || null
+  if (settings.playoff_seed_type != null) fromSleeper.reseed = Number(settings.playoff_seed_type) === 1
+  if (settings.playoff_round_type != null) {
+    const roundType = Number(settings.playoff_round_type)
+    fromSleeper.weeksPerRound = roundType === 2 ? 2 : 1
+    fromSleeper.championshipWeeks = roundType === 0 ? 1 : 2
+  }
+  const format = { ...DEFAULT_FORMAT, ...fromSleeper, ...settings.playoffs, ...overrides }
+  if (!Number.isInteger(format.teams) || format.teams < 2) {
+    throw new Error(`Playoff format needs at least 2 teams, got ${format.teams}`)
+  }
+  if (!['record', 'points'].includes(format.seeding)) {
+    throw new Error(`Unknown playoff seeding: ${format.seeding}`)
+  }
+  const unknown = format.tiebreakers.filter((tiebreaker) => !TIEBREAKERS.includes(tiebreaker))
+  if (unknown.length) {
+    throw new Error(`Unknown tiebreaker(s): ${unknown.join(', ')}; expected ${TIEBREAKERS.join(', ')}`)
+  }
+  return format
+}
+
+// Regresses each team's weekly scoring toward the league average so a hot
+// first two weeks don't dominate the projection.
+const SHRINK_GAMES = 2
+
+function scoringDistributions(teams) {
+  const allScores = teams.flatMap((team) => team.scores)
+  const fallbackMean = teams.reduce((sum, team) => {
+    const games = team.wins + team.losses + team.ties
+    return sum + (games ? team.pointsFor / games : 0)
+  }, 0) / (teams.length || 1)
+  const leagueMean = allScores.length ? allScores.reduce((sum, s) => sum + s, 0) / allScores.length : fallbackMean || 100
+  const leagueStdDev = allScores.length > 1
+    ? Math.sqrt(allScores.reduce((sum, s) => sum + (s - leagueMean) ** 2, 0) / (allScores.length - 1))
+    : leagueMean * 0.2
+  return new Map(teams.map((team) => {
+    const n = team.scores.length
+    const teamMean = n ? team.scores.reduce((sum, s) => sum + s, 0) / n : leagueMean
+    const teamVariance = n > 1 ? team.scores.reduce((sum, s) => sum + (s - teamMean) ** 2, 0) / (n - 1) : leagueStdDev ** 2
+    const weight = n / (n + SHRINK_GAMES)
+    return [team.teamId, {
+      mean: weight * teamMean + (1 - weight) * leagueMean,
+      stdDev: Math.sqrt(weight * teamVariance + (1 - weight) * leagueStdDev ** 2) || leagueStdDev
+    }]
+  }))
+}
+
+function tiebreakKey(tiebreaker, team, group, headToHead, random) {
+  switch (tiebreaker) {
+    case 'headToHead': {
+      let wins = 0
+      let games = 0
+      group.forEach((other) => {
+        if (other === team) return
+        const record = headToHead.get(`${team.teamId}|${other.teamId}`)
+        if (record) {
+          wins += record.wins + record.ties / 2
+          games += record.games
+        }
+      })
+      return games ? wins / games : 0.5
+    }
+    case 'pointsFor':
+      return team.pointsFor
+    case 'pointsAgainst':
+      return -team.pointsAgainst
+    default:
+      return random()
+  }
+}
+
+// Sorts by record (or points), then breaks each tied group with the
+// configured tiebreakers and finally a seeded coin flip.
+function seedTeams(teams, format, headToHead, random) {
+  const primary = (team) => (format.seeding === 'points'
+    ? team.pointsFor
+    : (team.wins + team.ties / 2) / ((team.wins + team.losses + team.ties) || 1))
+  const sorted = teams.slice().sort((a, b) => primary(b) - primary(a))
+  const seeded = []
+  for (let i = 0; i < sorted.length;) {
+    let j = i + 1
+    while (j < sorted.length && primary(sorted[j]) === primary(sorted[i])) j++
+    const group = sorted.slice(i, j)
+    if (group.length > 1) {
+      const keys = new Map(group.map((team) => [team, [...format.tiebreakers, 'random']
+        .map((tiebreaker) => tiebreakKey(tiebreaker, team, group, headToHead, random))]))
+      group.sort((a, b) => {
+        const ka = keys.get(a)
+        const kb = keys.get(b)
+        for (let k = 0; k < ka.length; k++) {
+          if (ka[k] !== kb[k]) return kb[k] - ka[k]
+        }
+        return 0
+      })
+    }
+    seeded.push(...group)
+    i = j
+  }
+  return seeded
+}
+
+// Standard bracket order (1 v 8, 4 v 5, 2 v 7, 3 v 6 for eight); slots past
+// the number of playoff teams are byes for their opponent.
+function bracketOrder(size) {
+  let order = [1]
+  while (order.length < size) {
+    const next = order.length * 2 + 1
+    order = order.flatMap((seed) => [seed, next - seed])
+  }
+  return order
+}
+
+function playBracket(seeds, format, playGame) {
+  const size = nextPowerOfTwo(seeds.length)
+  let round = bracketOrder(size).map((seed) => (seed <= seeds.length ? { team: seeds[seed - 1], seed } : null))
+  let finalists = []
+  while (round.length > 1) {
+    const isFinal = round.length === 2
+    if (isFinal) finalists = round.filter(Boolean).map(({ team }) => team)
+    const weeks = isFinal ? format.championshipWeeks : format.weeksPerRound
+    const winners = []
+    for (let i = 0; i < round.length; i += 2) {
+      const [a, b] = [round[i], round[i + 1]]
+      winners.push(!a || !b ? a || b : playGame(a.team, b.team, weeks) ? a : b)
+    }
+    round = format.reseed && winners.length > 2
+      ? reseedRound(winners)
+      : winners
+  }
+  return { champion: round[0] ? round[0].team : null, finalists }
+}
+
+function reseedRound(survivors) {
+  const sorted = survivors.filter(Boolean).sort((a, b) => a.seed - b.seed)
+  const paired = []
+  while (sorted.length) {
+    paired.push(sorted.shift(), sorted.length ? sorted.pop() : null)
+  }
+  return paired
+}
+
+// input: { teams: [{ teamId, teamName, wins, losses, ties, pointsFor,
+// pointsAgainst, scores }], played: [{ a, b, aScore, bScore }],
+// remaining: [{ week, a, b }] } with a/b team ids.
+function simulatePlayoffs(input, { format = DEFAULT_FORMAT, simulations = DEFAULT_SIMULATIONS, seed = 1 } = {}) {
+  const runs = Math.min(Math.max(1, Math.floor(simulations)), MAX_SIMULATIONS)
+  const random = mulberry32(seed)
+  const sample = normalSampler(random)
+  const distributions = scoringDistributions(input.teams)
+  const playoffTeams = Math.min(format.teams, input.teams.length)
+  // The top seeds get byes that fill the bracket out to a power of two.
+  const byes = nextPowerOfTwo(playoffTeams) - playoffTeams
+
+  const baseHeadToHead = new Map()
+  const recordGame = (headToHead, a, b, aScore, bScore) => {
+    const key = `${a}|${b}`
+    const record = headToHead.get(key) || { wins: 0, ties: 0, games: 0 }
+    record.games++
+    if (aScore > bScore) record.wins++
+    else if (aScore === bScore) record.ties++
+    headToHead.set(key, record)
+  }
+  input.played.forEach(({ a, b, aScore, bScore }) => {
+    recordGame(baseHeadToHead, a, b, aScore, bScore)
+    recordGame(baseHeadToHead, b, a, bScore, aScore)
+  })
+
+  const score = (teamId) => Math.max(0, sample(distributions.get(teamId).mean, distributions.get(teamId).stdDev))
+  const playGame = (a, b, weeks) => {
+    let aTotal = 0
+    let bTotal = 0
+    for (let w = 0; w < weeks; w++) {
+      aTotal += score(a.teamId)
+      bTotal += score(b.teamId)
+    }
+    return aTotal === bTotal ? random() < 0.5 : aTotal > bTotal
+  }
+
+  const tallies = new Map(input.teams.map((team) => [team.teamId, {
+    wins: 0, playoffs: 0, byes: 0, finals: 0, championships: 0, seeds: new Array(playoffTeams).fill(0)
+  }]))
+
+  for (let run = 0; run < runs; run++) {
+    const teams = new Map(input.teams.map((team) => [team.teamId, { ...team }]))
+    const headToHead = new Map([...baseHeadToHead].map(([key, record]) => [key, { ...record }]))
+    input.remaining.forEach(({ a, b }) => {
+      const teamA = teams.get(a)
+      const teamB = teams.get(b)
+      if (!teamA || !teamB) return
+      const aScore = score(a)
+      const bScore = score(b)
+      teamA.pointsFor += aScore
+      teamA.pointsAgainst += bScore
+      teamB.pointsFor += bScore
+      teamB.pointsAgainst += aScore
+      if (aScore > bScore) {
+        teamA.wins++
+        teamB.losses++
+      } else if (bScore > aScore) {
+        teamB.wins++
+        teamA.losses++
+      } else {
+        teamA.ties++
+        teamB.ties++
+      }
+      recordGame(headToHead, a, b, aScore, bScore)
+      recordGame(headToHead, b, a, bScore, aScore)
+    })
+
+    const seeds = seedTeams([...teams.values()], format, headToHead, random).slice(0, playoffTeams)
+    teams.forEach((team) => {
+      tallies.get(team.teamId).wins += team.wins
+    })
+    seeds.forEach((team, i) => {
+      const tally = tallies.get(team.teamId)
+      tally.playoffs++
+      tally.seeds[i]++
+      if (i < byes) tally.byes++
+    })
+    const { champion, finalists } = playBracket(seeds, format, playGame)
+    finalists.forEach((team) => tallies.get(team.teamId).finals++)
+    if (champion) tallies.get(champion.teamId).championships++
+  }
+
+  const pct = (count) => Number((count / runs).toFixed(4))
+  return {
+    simulations: runs,
+    seed,
+    format,
+    remainingGames: input.remaining.length,
+    teams: input.teams.map((team) => {
+      const tally = tallies.get(team.teamId)
+      const { mean, stdDev } = distributions.get(team.teamId)
+      return {
+        teamId: team.teamId,
+        teamName: team.teamName,
+        wins: team.wins,
+        losses: team.losses,
+        ties: team.ties,
+        projectedWins: Number((tally.wins / runs).toFixed(2)),
+        weeklyMean: Number(mean.toFixed(2)),
+        weeklyStdDev: Number(stdDev.toFixed(2)),
+        playoffPct: pct(tally.playoffs),
+        byePct: pct(tally.byes),
+        finalsPct: pct(tally.finals),
+        championshipPct: pct(tally.championships),
+        seeds: tally.seeds.map(pct)
+      }
+    }).sort((a, b) => b.playoffPct - a.playoffPct || b.championshipPct - a.championshipPct)
+  }
+}
+
+// Builds simulator input from a canonical league: standings give the current
+// record, played matchups give scoring history and head-to-head results, and
+// unplayed regular-season matchups make up the remaining schedule.
+function leagueSimulationInput(league, format) {
+  const current = (league.matchups || []).filter((matchup) =>
+    league.season == null || matchup.season == null || Number(matchup.season) === Number(league.season))
+  const isPlayed = (matchup) => matchup.teams.some((team) => team.score > 0)
+  const regularSeason = current.filter((matchup) => !format.startWeek || matchup.week < format.startWeek)
+  const played = regularSeason.filter(isPlayed)
+  const scores = new Map()
+  played.forEach((matchup) => matchup.teams.forEach((team) => {
+    if (!scores.has(team.id)) scores.set(team.id, [])
+    scores.get(team.id).push(team.score)
+  }))
+  return {
+    teams: (league.standings || []).map((standing) => ({
+      teamId: standing.teamId,
+      teamName: standing.teamName,
+      wins: standing.wins,
+      losses: standing.losses,
+      ties: standing.ties,
+      pointsFor: standing.pointsFor,
+      pointsAgainst: standing.pointsAgainst,
+      scores: scores.get(standing.teamId) || []
+    })),
+    played: played.map(({ teams: [a, b] }) => ({ a: a.id, b: b.id, aScore: a.score, bScore: b.score })),
+    remaining: regularSeason
+      .filter((matchup) => !isPlayed(matchup))
+      .map(({ week, teams: [a, b] }) => ({ week, a: a.id, b: b.id }))
+  }
+}
+
+function simulateLeaguePlayoffs(league, { format: overrides, ...options } = {}) {
+  const format = resolvePlayoffFormat(league, overrides)
+  return { leagueId: league.id, ...simulatePlayoffs(leagueSimulationInput(league, format), { ...options, format }) }
+}
+
+module.exports = {
+  DEFAULT_SIMULATIONS,
+  MAX_SIMULATIONS,
+  TIEBREAKERS,
+  mulberry32,
+  normalSampler,
+  resolvePlayoffFormat,
+  simulatePlayoffs,
+  simulateLeaguePlayoffs
+}
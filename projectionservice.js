@@ -0,0 +1,273 @@
+const fs = require('fs').promises
+const path = require('path')
+const { evaluateJsonPath } = require('./sourcemapping')
+const { leagueScoring, scorePlayer } = require('./scoringengine')
+
+const DEFAULT_ROSTER_POSITIONS = ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'K', 'DEF']
+const FLEX_ELIGIBILITY = {
+  FLEX: ['RB', 'WR', 'TE'],
+  WRRB_FLEX: ['WR', 'RB'],
+  REC_FLEX: ['WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  IDP_FLEX: ['DL', 'LB', 'DB']
+}
+const BENCH_SLOTS = ['BN', 'IR', 'TAXI']
+const ALTERNATIVES_PER_SLOT = 2
+const NON_STAT_FIELDS = ['player_id', 'playerId', 'id', 'name', 'full_name', 'player', 'position', 'pos', 'team']
+
+const round = (value, digits = 2) => Number(value.toFixed(digits))
+
+function invalidImportError(message) {
+  const err = new Error(message)
+  err.statusCode = 400
+  err.code = 'INVALID_IMPORT'
+  return err
+}
+
+function rosterSlots(league) {
+  const positions = league.rosterPositions || league.settings?.roster_positions || DEFAULT_ROSTER_POSITIONS
+  return positions
+    .filter((slot) => !BENCH_SLOTS.includes(slot))
+    .map((slot) => ({ slot, eligible: FLEX_ELIGIBILITY[slot] || [slot] }))
+}
+
+// Greedy lineup: the most restrictive slots are filled first, each with the
+// best remaining eligible player. Entries come back in roster slot order.
+function optimalLineup(playerIds, slots, valueOf, positionOf) {
+  const available = new Set(playerIds)
+  const lineup = new Array(slots.length)
+  slots
+    .map((slot, index) => ({ ...slot, index }))
+    .sort((a, b) => a.eligible.length - b.eligible.length)
+    .forEach(({ slot, eligible, index }) => {
+      let best = null
+      available.forEach((playerId) => {
+        if (!eligible.includes(positionOf(playerId))) return
+        if (best === null || valueOf(playerId) > valueOf(best)) best = playerId
+      })
+      if (best !== null) available.delete(best)
+      lineup[index] = { slot, playerId: best, value: best === null ? 0 : valueOf(best) }
+    })
+  return lineup
+}
+
+// A feed may give a `points` total instead of a stat line; the stat line wins
+// since it can be scored under each league's own settings.
+function projectedPoints(entry, scoring, position = null) {
+  if (!Object.keys(entry.stats || {}).length) return entry.points ?? 0
+  return scorePlayer(entry.stats, scoring, position)
+}
+
+// Reads a player feed configured as a [source] section of config.ini (`url`,
+// `type`, optional JSONPath `root` and `idField`), or `data` passed inline.
+// Returns the rows as objects, whether the feed is CSV, a JSON array or a
+// JSON object keyed by player id.
+async function readFeedRows(leagueService, { source, data, type }) {
+  const cfg = leagueService.config[source] || {}
+  if (data === undefined && !cfg.url) {
+    throw invalidImportError(`No [${source}] feed configured in ${leagueService.configPath}`)
+  }
+  const raw = data !== undefined ? data : await leagueService._fetchRemote(cfg, source)
+  const format = (type || cfg.type || 'json').toLowerCase()
+  let parsed = raw
+  if (typeof raw === 'string') {
+    try {
+      parsed = await leagueService._parseByType(raw, format)
+    } catch (err) {
+      // Inline data is the caller's to fix; a broken remote feed is not.
+      if (data === undefined) throw err
+      throw invalidImportError(`Could not parse ${format} data: ${err.message}`)
+    }
+  }
+  let rows = format === 'csv' || !cfg.root ? parsed : evaluateJsonPath(parsed, cfg.root)
+  if (!Array.isArray(rows)) rows = Object.entries(rows || {}).map(([id, row]) => ({ player_id: id, ...row }))
+  return { rows, idField: cfg.idField || 'player_id' }
+}
+
+// Feed rows without a player id are matched by name, and position when
+// given; ambiguous names stay unmatched.
+function resolvePlayerId(playerRegistry, row, idField = 'player_id') {
+  const id = row[idField] ?? row.playerId ?? row.id
+  if (id != null && id !== '') return String(id)
+  const name = row.name || row.full_name || row.player
+  if (!name || !playerRegistry) return null
+  const position = String(row.position || row.pos || '').toUpperCase()
+  const matches = playerRegistry.findByName(name)
+    .filter((player) => !position || player.position === position)
+  return matches.length === 1 ? matches[0].id : null
+}
+
+function nextWeek(league) {
+  const played = (league.matchups || [])
+    .filter((matchup) => league.season == null || matchup.season == null || Number(matchup.season) === Number(league.season))
+    .filter((matchup) => matchup.teams.some((team) => team.score > 0))
+    .reduce((latest, matchup) => Math.max(latest, matchup.week), 0)
+  return played + 1
+}
+
+class ProjectionService {
+  constructor({ leagueService, reader, playerRegistry = null, dataDir, source = 'projections' } = {}) {
+    this.leagueService = leagueService
+    this.reader = reader
+    this.playerRegistry = playerRegistry
+    this.dataDir = dataDir || path.resolve(process.cwd(), 'data', 'projections')
+    this.source = source
+    this.weeks = new Map()
+  }
+
+  fileFor(season, week) {
+    return path.join(this.dataDir, `${season}-${week}.json`)
+  }
+
+  // Imports one week of projections from the feed configured under
+  // [projections] in config.ini, or from `data` when given. Rows carry a
+  // player id (or a name and position to resolve one) plus Sleeper stat
+  // keys or a `points` column.
+  async importProjections({ season, week, source = this.source, data, type } = {}) {
+    if (!Number.isInteger(season) || !Number.isInteger(week) || week < 1) {
+      throw invalidImportError('season and week must be integers')
+    }
+    const { rows, idField } = await readFeedRows(this.leagueService, { source, data, type })
+    const players = {}
+    const unmatched = []
+    rows.forEach((row) => {
+      const playerId = resolvePlayerId(this.playerRegistry, row, idField)
+      if (!playerId) {
+        unmatched.push(row.name || row.full_name || row.player || null)
+        return
+      }
+      const stats = {}
+      Object.entries(row).forEach(([key, value]) => {
+        if (key === idField || NON_STAT_FIELDS.includes(key) || key === 'points' || value === '' || value == null) return
+        const number = Number(value)
+        if (!Number.isNaN(number)) stats[key] = number
+      })
+      players[playerId] = {
+        stats,
+        points: row.points !== undefined && row.points !== '' ? Number(row.points) : null
+      }
+    })
+
+    const projections = { season, week, source, importedAt: new Date().toISOString(), players }
+    await fs.mkdir(this.dataDir, { recursive: true })
+    const file = this.fileFor(season, week)
+    const tmp = `${file}.${process.pid}.tmp`
+    await fs.writeFile(tmp, JSON.stringify(projections), 'utf-8')
+    await fs.rename(tmp, file)
+    this.weeks.set(`${season}-${week}`, projections)
+    return { season, week, source, count: Object.keys(players).length, unmatched }
+  }
+
+  async getProjections(season, week) {
+    const key = `${season}-${week}`
+    if (!this.weeks.has(key)) {
+      try {
+        this.weeks.set(key, JSON.parse(await fs.readFile(this.fileFor(season, week), 'utf-8')))
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+        return null
+      }
+    }
+    return this.weeks.get(key)
+  }
+
+  // Projected points for every player under the league's scoring, or null
+  // when the week has no projections.
+  async weeklyPoints(league, week, season = league.season) {
+    const projections = await this.getProjections(season, week)
+    if (!projections) return null
+    const scoring = leagueScoring(league)
+    const positionOf = (playerId) => {
+      const info = this.playerRegistry ? this.playerRegistry.lookup(playerId) : null
+      return info ? info.position : null
+    }
+    return new Map(Object.entries(projections.players)
+      .map(([playerId, entry]) => [playerId, projectedPoints(entry, scoring, positionOf(playerId))]))
+  }
+
+  async optimizeLineup(league, teamId, { season = league.season, week = nextWeek(league) } = {}) {
+    const roster = (league.rosters || []).find((entry) => entry.teamId === String(teamId))
+    if (!roster) return null
+    const points = (await this.weeklyPoints(league, week, season)) || new Map()
+    const positionOf = (playerId) => {
+      const info = this.playerRegistry ? this.playerRegistry.lookup(playerId) : null
+      return info ? info.position : null
+    }
+    const projected = (playerId) => points.get(playerId) || 0
+    const describe = (playerId) => {
+      const info = this.playerRegistry ? this.playerRegistry.lookup(playerId) : null
+      return { playerId, playerName: info ? info.fullName : null, position: positionOf(playerId), projected: round(projected(playerId)) }
+    }
+    const slots = rosterSlots(league)
+    const benchable = roster.players.filter((playerId) => !(roster.reserve || []).includes(playerId))
+    const lineup = optimalLineup(benchable, slots, projected, positionOf)
+    const starting = new Set(lineup.map((entry) => entry.playerId).filter(Boolean))
+    const bench = benchable.filter((playerId) => !starting.has(playerId))
+
+    const projectedTotal = lineup.reduce((total, entry) => total + entry.value, 0)
+    const currentTotal = roster.starters.reduce((total, playerId) => total + projected(playerId), 0)
+    const current = new Set(roster.starters)
+    return {
+      leagueId: league.id,
+      teamId: roster.teamId,
+      teamName: roster.teamName,
+      season,
+      week,
+      hasProjections: points.size > 0,
+      lineup: lineup.map(({ slot, playerId }) => ({
+        slot,
+        ...(playerId ? describe(playerId) : { playerId: null, projected: 0 }),
+        // Bench players who could fill this slot, with what swapping them in would cost.
+        alternatives: bench
+          .filter((benchId) => slots.find((entry) => entry.slot === slot).eligible.includes(positionOf(benchId)))
+          .sort((a, b) => projected(b) - projected(a))
+          .slice(0, ALTERNATIVES_PER_SLOT)
+          .map((benchId) => ({ ...describe(benchId), delta: round(projected(benchId) - (playerId ? projected(playerId) : 0)) }))
+      })),
+      bench: bench.map(describe),
+      projectedTotal: round(projectedTotal),
+      currentTotal: round(currentTotal),
+      gain: round(projectedTotal - currentTotal),
+      start: [...starting].filter((playerId) => !current.has(playerId)).map(describe),
+      sit: roster.starters.filter((playerId) => !starting.has(playerId)).map(describe),
+      unprojected: benchable.filter((playerId) => !points.has(playerId))
+    }
+  }
+
+  // Rosters and matchups are read through LeagueDataReader so lineups start
+  // from the same (possibly cached) data as the dashboards.
+  async loadLeague(leagueId) {
+    const [rosters, matchups] = await Promise.all(
+      ['rosters', 'matchups'].map((type) => this.reader.read(leagueId, type))
+    )
+    if (!rosters) return null
+    return { ...rosters.league, rosters: rosters.data, matchups: matchups.data }
+  }
+
+  // One optimized lineup per linked league account that names its team.
+  async lineupsForAccounts(accounts, { week } = {}) {
+    const results = []
+    for (const account of accounts) {
+      if (account.active === false || !account.teamId) continue
+      const league = await this.loadLeague(account.leagueId)
+      if (!league) {
+        results.push({ leagueId: account.leagueId, teamId: account.teamId, error: 'League not found' })
+        continue
+      }
+      const lineup = await this.optimizeLineup(league, account.teamId, week ? { week } : {})
+      results.push(lineup || { leagueId: account.leagueId, teamId: account.teamId, error: 'Team not found' })
+    }
+    return results
+  }
+}
+
+module.exports = {
+  ProjectionService,
+  optimalLineup,
+  rosterSlots,
+  projectedPoints,
+  nextWeek,
+  readFeedRows,
+  resolvePlayerId,
+  invalidImportError
+}
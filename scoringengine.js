@@ -0,0 +1,266 @@
+const fs = require('fs').promises
+const path = require('path')
+
+// Rule sets use Sleeper's scoring_settings keys, so a Sleeper league's own
+// settings can be used as-is and the presets below read the same way.
+const BASE_SCORING = {
+  pass_yd: 0.04,
+  pass_td: 4,
+  pass_int: -1,
+  pass_2pt: 2,
+  rush_yd: 0.1,
+  rush_td: 6,
+  rush_2pt: 2,
+  rec: 0,
+  rec_yd: 0.1,
+  rec_td: 6,
+  rec_2pt: 2,
+  fum_lost: -2,
+  fgm_0_19: 3,
+  fgm_20_29: 3,
+  fgm_30_39: 3,
+  fgm_40_49: 4,
+  fgm_50p: 5,
+  fgmiss: -1,
+  xpm: 1,
+  xpmiss: -1,
+  sack: 1,
+  int: 2,
+  fum_rec: 2,
+  def_td: 6,
+  def_st_td: 6,
+  safe: 2,
+  blk_kick: 2,
+  pts_allow_0: 10,
+  pts_allow_1_6: 7,
+  pts_allow_7_13: 4,
+  pts_allow_14_20: 1,
+  pts_allow_21_27: 0,
+  pts_allow_28_34: -1,
+  pts_allow_35p: -4
+}
+const IDP_SCORING = {
+  idp_tkl_solo: 1,
+  idp_tkl_ast: 0.5,
+  idp_tkl_loss: 1,
+  idp_sack: 4,
+  idp_qb_hit: 1,
+  idp_int: 3,
+  idp_ff: 3,
+  idp_fum_rec: 2,
+  idp_pass_def: 1.5,
+  idp_def_td: 6,
+  idp_safe: 2
+}
+const SCORING_PRESETS = {
+  standard: BASE_SCORING,
+  half_ppr: { ...BASE_SCORING, rec: 0.5 },
+  ppr: { ...BASE_SCORING, rec: 1 },
+  te_premium: { ...BASE_SCORING, rec: 1, bonus_rec_te: 0.5 },
+  ppr_bonus: {
+    ...BASE_SCORING,
+    rec: 1,
+    bonus_pass_yd_300: 2,
+    bonus_pass_yd_400: 2,
+    bonus_rush_yd_100: 2,
+    bonus_rush_yd_200: 2,
+    bonus_rec_yd_100: 2,
+    bonus_rec_yd_200: 2
+  },
+  idp: { ...BASE_SCORING, rec: 1, ...IDP_SCORING }
+}
+// Stats that only exist as the sum of others in most feeds.
+const COMBINED_STATS = {
+  rush_rec_yd: ['rush_yd', 'rec_yd'],
+  pass_rush_yd: ['pass_yd', 'rush_yd']
+}
+const STATS_TTL_MS = 24 * 60 * 60 * 1000
+
+const round = (value, digits = 2) => Number(value.toFixed(digits))
+
+function isPreset(name) {
+  return Object.prototype.hasOwnProperty.call(SCORING_PRESETS, name)
+}
+
+function leagueScoring(league) {
+  const settings = league.scoringSettings || league.settings?.scoring_settings
+  return settings && Object.keys(settings).length ? settings : SCORING_PRESETS.ppr
+}
+
+function baseStat(stats, key) {
+  if (stats[key] !== undefined) return Number(stats[key]) || 0
+  return (COMBINED_STATS[key] || []).reduce((total, part) => total + (Number(stats[part]) || 0), 0)
+}
+
+// The value a rule applies to. Feeds such as Sleeper's already flag bonuses
+// and points-allowed ranges per player; anything missing is derived from the
+// raw stat line.
+function statValue(stats, key, position) {
+  if (stats[key] !== undefined) return Number(stats[key]) || 0
+  let match = key.match(/^bonus_rec_(rb|wr|te)$/)
+  if (match) return position && position.toLowerCase() === match[1] ? baseStat(stats, 'rec') : 0
+  match = key.match(/^bonus_(\w+?)_(\d+)p?$/)
+  if (match) return baseStat(stats, match[1]) >= Number(match[2]) ? 1 : 0
+  match = key.match(/^(pts_allow|yds_allow)_(\d+)(?:_(\d+)|p)?$/)
+  if (match && stats[match[1]] !== undefined) {
+    const allowed = Number(stats[match[1]])
+    const low = Number(match[2])
+    const high = match[3] !== undefined ? Number(match[3]) : key.endsWith('p') ? Infinity : low
+    return allowed >= low && allowed <= high ? 1 : 0
+  }
+  return baseStat(stats, key)
+}
+
+function scorePlayer(stats, scoring, position = null) {
+  if (!stats) return 0
+  return Object.entries(scoring).reduce((total, [key, weight]) =>
+    total + statValue(stats, key, position) * (Number(weight) || 0), 0)
+}
+
+function missingSeasonError(leagueId) {
+  const err = new Error(`League ${leagueId} has no season to rescore`)
+  err.statusCode = 400
+  err.code = 'LEAGUE_SEASON_MISSING'
+  return err
+}
+
+// Standings don't list game results, so each rescored regular-season game
+// moves its result and points from the reported scores to the new ones.
+function rescoreStandings(league, rescored) {
+  const playoffs = league.settings?.playoffs?.startWeek ?? league.settings?.playoff_week_start
+  const playoffStart = Number(playoffs) || null
+  const standings = new Map((league.standings || []).map((standing) => [standing.teamId, { ...standing }]))
+  const outcome = (score, opponentScore) => (score > opponentScore ? 'wins' : score < opponentScore ? 'losses' : 'ties')
+  rescored.forEach((matchup) => {
+    if (playoffStart && matchup.week >= playoffStart) return
+    matchup.teams.forEach((team) => {
+      const standing = standings.get(team.id)
+      if (!standing) return
+      standing.pointsFor = round(standing.pointsFor + team.score - team.reportedScore)
+      const opponent = matchup.teams.length === 2 ? matchup.teams.find((other) => other !== team) : null
+      if (!opponent) return
+      standing.pointsAgainst = round(standing.pointsAgainst + opponent.score - opponent.reportedScore)
+      standing[outcome(team.reportedScore, opponent.reportedScore)]--
+      standing[outcome(team.score, opponent.score)]++
+    })
+  })
+  const winPct = (standing) => (standing.wins + standing.ties / 2) / ((standing.wins + standing.losses + standing.ties) || 1)
+  return [...standings.values()]
+    .sort((a, b) => winPct(b) - winPct(a) || a.rank - b.rank)
+    .map((standing, i) => ({ ...standing, rank: i + 1 }))
+}
+
+class ScoringEngine {
+  // `statsClient.getWeeklyStats(season, week)` supplies raw stat lines keyed
+  // by Sleeper player id; they are kept under dataDir for a day.
+  constructor({ statsClient, playerRegistry = null, dataDir, logger = console } = {}) {
+    this.statsClient = statsClient
+    this.playerRegistry = playerRegistry
+    this.dataDir = dataDir || path.resolve(process.cwd(), 'data', 'stats')
+    this.logger = logger
+    this.weeks = new Map()
+  }
+
+  async weeklyStats(season, week) {
+    const key = `${season}-${week}`
+    const cached = this.weeks.get(key) || await this._readStats(key)
+    if (cached && Date.now() - Date.parse(cached.fetchedAt) < STATS_TTL_MS) {
+      this.weeks.set(key, cached)
+      return cached.players
+    }
+    try {
+      const players = await this.statsClient.getWeeklyStats(season, week)
+      const entry = { season, week, fetchedAt: new Date().toISOString(), players }
+      await fs.mkdir(this.dataDir, { recursive: true })
+      const file = path.join(this.dataDir, `${key}.json`)
+      const tmp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(tmp, JSON.stringify(entry), 'utf-8')
+      await fs.rename(tmp, file)
+      this.weeks.set(key, entry)
+      return players
+    } catch (err) {
+      if (!cached) throw err
+      this.logger.warn(`Failed to refresh stats for ${key}, using cached copy`, { error: err.message })
+      return cached.players
+    }
+  }
+
+  // Rescores every played matchup of the league's current season under
+  // `scoring` (a rule set, e.g. another league's leagueScoring()). Starters
+  // stay as they were; players without a stat line keep their reported
+  // points and are counted in `missingStats`. Standings are adjusted to the
+  // rescored results, so playoff odds are simulated from them too.
+  async rescoreLeague(league, scoring) {
+    if (league.season == null) throw missingSeasonError(league.id)
+    const positionOf = (playerId) => {
+      const info = this.playerRegistry ? this.playerRegistry.lookup(playerId) : null
+      return info ? info.position : null
+    }
+    const played = (league.matchups || []).filter((matchup) =>
+      (league.season == null || matchup.season == null || Number(matchup.season) === Number(league.season)) &&
+      matchup.teams.some((team) => team.score > 0))
+    const weeks = [...new Set(played.map((matchup) => matchup.week))]
+    const statsByWeek = new Map()
+    for (const week of weeks) {
+      statsByWeek.set(week, await this.weeklyStats(league.season, week))
+    }
+
+    const missing = new Set()
+    const totals = new Map()
+    const matchups = (league.matchups || []).map((matchup) => {
+      if (!played.includes(matchup)) return matchup
+      const stats = statsByWeek.get(matchup.week) || {}
+      return {
+        ...matchup,
+        teams: matchup.teams.map((team) => {
+          const playerPoints = {}
+          team.starters.forEach((playerId) => {
+            if (stats[playerId]) {
+              playerPoints[playerId] = round(scorePlayer(stats[playerId], scoring, positionOf(playerId)))
+            } else {
+              missing.add(playerId)
+              playerPoints[playerId] = team.playerPoints?.[playerId] ?? 0
+            }
+          })
+          const score = round(Object.values(playerPoints).reduce((total, points) => total + points, 0))
+          const total = totals.get(team.id) || { teamId: team.id, teamName: team.name, reportedPoints: 0, rescoredPoints: 0 }
+          total.reportedPoints += team.score
+          total.rescoredPoints += score
+          totals.set(team.id, total)
+          return { ...team, score, reportedScore: team.score, playerPoints }
+        })
+      }
+    })
+
+    const standings = rescoreStandings(league, matchups.filter((matchup, i) => played.includes(league.matchups[i])))
+    return {
+      league: { ...league, matchups, standings },
+      teams: [...totals.values()]
+        .map((team) => ({
+          ...team,
+          reportedPoints: round(team.reportedPoints),
+          rescoredPoints: round(team.rescoredPoints),
+          delta: round(team.rescoredPoints - team.reportedPoints)
+        }))
+        .sort((a, b) => b.rescoredPoints - a.rescoredPoints),
+      missingStats: missing.size
+    }
+  }
+
+  async _readStats(key) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dataDir, `${key}.json`), 'utf-8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      return null
+    }
+  }
+}
+
+module.exports = {
+  SCORING_PRESETS,
+  ScoringEngine,
+  isPreset,
+  leagueScoring,
+  scorePlayer
+}
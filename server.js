@@ -7,7 +7,27 @@ const fs = require('fs')
 const path = require('path')
 const i18n = require('i18n')
 const winston = require('winston')
+const Redis = require('ioredis')
+const mongoose = require('mongoose')
 const { v4: uuidv4 } = require('uuid')
+const LeagueService = require('./league')
+const { DATA_TYPES, LeagueDataReader, filterByPeriod, leagueCacheKey } = require('./leaguedata')
+const { IngestionScheduler } = require('./ingestionscheduler')
+const IngestionQueue = require('./ingestionqueue')
+const { SIGNATURE_HEADER, verifySignature, validateEvent, createSleeperWebhookHandler } = require('./sleeperwebhook')
+const { listRuns } = require('./ingestionruns')
+const PlayerRegistry = require('./playerregistry')
+const { ComparisonService, parseComparisonQuery } = require('./comparisonservice')
+const { TradeAnalyzer, parseTradeProposal } = require('./tradeanalyzer')
+const { ProjectionService } = require('./projectionservice')
+const { WaiverAnalytics } = require('./waiveranalytics')
+const { DraftAnalytics, isAdpFormat } = require('./draftanalytics')
+const { DraftRoom } = require('./draftroom')
+const { ScoringEngine, SCORING_PRESETS, isPreset } = require('./scoringengine')
+const sleeperClient = require('./sleeperclient')
+const User = require('./user')
+const cache = require('./cacheservice')
+const { authenticate, authenticateEventStream, authorize } = require('./authmiddleware')
 
 dotenv.config()
 
@@ -45,7 +65,11 @@ const app = express()
 
 app.use(helmet())
 app.use(cors())
-app.use(express.json())
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf-8')
+  }
+}))
 app.use(i18n.init)
 app.use((req, res, next) => {
   req.log = logger.child({ requestId: uuidv4(), path: req.path, method: req.method })
@@ -58,46 +82,792 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() })
 })
 
+const redis = new Redis({
+  host: process.env.REDIS_HOST || config.cache?.host || '127.0.0.1',
+  port: parseInt(process.env.REDIS_PORT || config.cache?.port, 10) || 6379,
+  password: process.env.REDIS_PASSWORD || null
+})
+redis.on('error', (err) => logger.error('Redis connection error', { message: err.message }))
+
+const leagueServiceReady = LeagueService.create({
+  dataDir: config.leagues?.dataDir,
+  driver: process.env.LEAGUE_STORE || config.leagues?.store || 'file'
+})
+const leagueDataReady = leagueServiceReady
+  .then((leagueService) => new LeagueDataReader({ redis, leagueService, logger }))
+
+// Writes made outside ingestion (reverts, backfills) go to the store only, so
+// the dashboard cache and the ingested copies they replace are dropped.
+const invalidateLeagueData = async (leagueId, types = DATA_TYPES) => {
+  try {
+    await cache.invalidateTag(`league:${leagueId}`)
+    await redis.del(...types.map((type) => leagueCacheKey(leagueId, type)))
+  } catch (err) {
+    logger.warn(`Failed to invalidate cached data for league ${leagueId}`, { message: err.message })
+  }
+}
+leagueServiceReady
+  .then((leagueService) => leagueService.on('leagueReverted', ({ leagueId }) => invalidateLeagueData(leagueId)))
+  .catch(() => {})
+
+// Linked league accounts live with the users in MongoDB; without a database
+// lineups can still be requested for an explicit league and team.
+const dbUri = process.env.DB_URI || config.database?.uri
+const userStoreReady = dbUri
+  ? mongoose.connect(dbUri).catch((err) => {
+    logger.error('MongoDB connection error', { message: err.message })
+    return null
+  })
+  : Promise.resolve(null)
+
+let ingestionQueue = null
+if (String(process.env.INGESTION_QUEUE || config.ingestion?.queue) === 'true') {
+  leagueServiceReady.then((leagueService) => {
+    ingestionQueue = new IngestionQueue({
+      leagueService,
+      startWorkers: String(process.env.INGESTION_WORKERS || config.ingestion?.workers) !== 'false'
+    })
+  })
+}
+
+let ingestionScheduler = null
+if (String(process.env.INGESTION_SCHEDULER || config.ingestion?.scheduler) === 'true') {
+  leagueServiceReady.then((leagueService) => {
+    ingestionScheduler = new IngestionScheduler({
+      leagueService,
+      queue: ingestionQueue,
+      intervals: {
+        gameWindow: Number(config.ingestion?.gameWindowMinutes) || undefined,
+        midweek: Number(config.ingestion?.midweekMinutes) || undefined,
+        offseason: Number(config.ingestion?.offseasonMinutes) || undefined
+      }
+    })
+    ingestionScheduler.start(config.ingestion?.tickCron || '* * * * *')
+  }).catch((err) => logger.error('Failed to start ingestion scheduler', { message: err.message }))
+}
+
+const playerRegistry = new PlayerRegistry({ dataDir: config.players?.dataDir })
+playerRegistry.on('warning', ({ message, error }) => logger.warn(message, { message: error.message }))
+playerRegistry.on('refreshed', ({ changed, count }) => logger.info(`Player registry refreshed (${changed ? 'updated' : 'not modified'}, ${count} players)`))
+// A failed startup refresh still serves whatever dump is already on disk.
+const playerRegistryReady = playerRegistry.ensureFresh()
+  .catch((err) => logger.error('Failed to refresh player registry', { message: err.message }))
+  .then(() => playerRegistry.scheduleDailyRefresh(config.players?.refreshCron || '0 9 * * *'))
+  .catch((err) => logger.error('Failed to schedule player registry refresh', { message: err.message }))
+
+const parseOptionalInteger = (value, name) => {
+  if (value === undefined || value === '') return { value: undefined }
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    return { error: `${name} must be a positive integer` }
+  }
+  return { value: parsed }
+}
+
+const parseDashboardQuery = (query) => {
+  const leagueId = typeof query.leagueId === 'string' ? query.leagueId.trim() : ''
+  if (!leagueId) return { error: 'leagueId is required' }
+  const week = parseOptionalInteger(query.week, 'week')
+  if (week.error) return { error: week.error }
+  const season = parseOptionalInteger(query.season, 'season')
+  if (season.error) return { error: season.error }
+  return { leagueId, week: week.value, season: season.value }
+}
+
+const dashboardCache = cache.namespace('dashboard')
+const dashboardCacheTtl = Number(config.cache?.dashboardTtl) || 30
+const dashboardCacheStaleTtl = Number(config.cache?.dashboardStaleTtl) || 30
+
+const dashboardRoute = (type) => async (req, res, next) => {
+  try {
+    const { leagueId, week, season, error } = parseDashboardQuery(req.query)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    const reader = await leagueDataReady
+    const cacheKey = `${type}:${leagueId}`
+    const result = await dashboardCache.getOrSet(cacheKey, () => reader.read(leagueId, type), {
+      ttl: dashboardCacheTtl,
+      staleTtl: dashboardCacheStaleTtl,
+      tags: [`league:${leagueId}`]
+    })
+    if (!result) {
+      // Don't let a lookup for a league that doesn't exist yet linger in the cache.
+      await dashboardCache.deleteCache(cacheKey)
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    const data = filterByPeriod(result.data, { week, season, defaultSeason: result.league.season })
+    req.log.info('Served league data', { leagueId, type, source: result.source })
+    res.json({ data })
+  } catch (err) {
+    next(err)
+  }
+}
+
 // Routes
-app.get('/standings', async (req, res, next) => {
+app.get('/standings', dashboardRoute('standings'))
+app.get('/matchups', dashboardRoute('matchups'))
+app.get('/transactions', dashboardRoute('transactions'))
+app.get('/drafts', dashboardRoute('draft'))
+
+const scoringEngine = new ScoringEngine({ statsClient: sleeperClient, playerRegistry, dataDir: config.scoring?.dataDir, logger })
+
+const comparisonServiceReady = leagueDataReady
+  .then((reader) => new ComparisonService({ reader, playerRegistry, scoringEngine }))
+const analyticsDashboard = dashboardRoute('analytics')
+
+// `leagueIds` switches /analytics from the single-league dashboard to a
+// cross-league comparison.
+// Playoff odds are simulated on request, so only signed-in callers may ask for them.
+const authenticatePlayoffOdds = (req, res, next) => {
+  const metrics = [].concat(req.query.metrics || []).join(',').split(',').map((metric) => metric.trim())
+  return metrics.includes('playoffOdds') ? authenticate(req, res, next) : next()
+}
+
+app.get('/analytics', authenticatePlayoffOdds, async (req, res, next) => {
+  if (req.query.leagueIds === undefined) return analyticsDashboard(req, res, next)
+  const { error, leagueIds, ...options } = parseComparisonQuery(req.query)
+  if (error) {
+    return res.status(400).json({ error })
+  }
   try {
-    const data = []
+    const comparisonService = await comparisonServiceReady
+    const cacheKey = `compare:${JSON.stringify({ leagueIds, ...options })}`
+    const data = await dashboardCache.getOrSet(cacheKey, () => comparisonService.compare(leagueIds, options), {
+      ttl: dashboardCacheTtl,
+      staleTtl: dashboardCacheStaleTtl,
+      tags: leagueIds.concat(options.scoring && !isPreset(options.scoring) ? [options.scoring] : [])
+        .map((leagueId) => `league:${leagueId}`)
+    })
+    req.log.info('Served league comparison', { leagueIds, groupBy: options.groupBy })
     res.json({ data })
   } catch (err) {
+    if (err.code === 'LEAGUE_NOT_FOUND') {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found', leagueIds: err.leagueIds })
+    }
     next(err)
   }
 })
 
-app.get('/matchups', async (req, res, next) => {
+app.get('/leagues', authenticate, async (req, res, next) => {
+  const limit = parseOptionalInteger(req.query.limit, 'limit')
+  if (limit.error) return res.status(400).json({ error: limit.error })
+  const offset = req.query.offset === undefined || req.query.offset === '' ? 0 : Number(req.query.offset)
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' })
+  }
+  const filters = {
+    provider: typeof req.query.provider === 'string' && req.query.provider ? req.query.provider : undefined,
+    search: typeof req.query.search === 'string' && req.query.search.trim() ? req.query.search.trim() : undefined
+  }
   try {
-    const data = []
+    const leagueService = await leagueServiceReady
+    const pageSize = Math.min(limit.value || 50, 200)
+    const [data, total] = await Promise.all([
+      leagueService.listLeagues({ ...filters, limit: pageSize, offset }),
+      leagueService.countLeagues(filters)
+    ])
+    res.json({ data, total, limit: pageSize, offset })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.get('/leagues/:id/history', authenticate, async (req, res, next) => {
+  const limit = parseOptionalInteger(req.query.limit, 'limit')
+  if (limit.error) return res.status(400).json({ error: limit.error })
+  try {
+    const leagueService = await leagueServiceReady
+    if (!(await leagueService.getLeague(req.params.id))) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    const data = await leagueService.getLeagueHistory(req.params.id, { limit: Math.min(limit.value || 50, 200) })
     res.json({ data })
   } catch (err) {
     next(err)
   }
 })
 
-app.get('/transactions', async (req, res, next) => {
+app.post('/leagues/:id/revert', authenticate, authorize('admin', 'system'), async (req, res, next) => {
+  const revision = Number(req.body?.revision)
+  if (!Number.isInteger(revision) || revision <= 0) {
+    return res.status(400).json({ error: 'revision must be a positive integer' })
+  }
+  const expectedVersion = req.body?.expectedVersion === undefined ? undefined : Number(req.body.expectedVersion)
   try {
-    const data = []
+    const leagueService = await leagueServiceReady
+    const data = await leagueService.revertLeague(req.params.id, revision, {
+      actor: String(req.user.id || req.user.sub),
+      expectedVersion
+    })
+    if (!data) {
+      return res.status(404).json({ error: req.__('error.not_found') || 'Not Found' })
+    }
+    res.json({ data })
+  } catch (err) {
+    if (err.code === 'VERSION_CONFLICT') {
+      return res.status(409).json({ error: err.message, version: err.actualVersion })
+    }
+    next(err)
+  }
+})
+
+// Replays a league's season under another league's scoring settings
+// (`scoring=<leagueId>`) or a preset (`scoring=half_ppr`).
+app.get('/leagues/:id/rescore', authenticate, async (req, res, next) => {
+  const scoring = typeof req.query.scoring === 'string' ? req.query.scoring.trim() : ''
+  if (!scoring) {
+    return res.status(400).json({ error: `scoring must be a league id or one of: ${Object.keys(SCORING_PRESETS).join(', ')}` })
+  }
+  try {
+    await playerRegistryReady
+    const comparisonService = await comparisonServiceReady
+    const league = await comparisonService.loadLeague(req.params.id)
+    if (!league) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    if (league.season == null) {
+      return res.status(400).json({ error: `League ${league.id} has no season to rescore` })
+    }
+    const rules = await comparisonService.resolveScoring(scoring)
+    const { league: rescored, teams, missingStats } = await scoringEngine.rescoreLeague(league, rules)
+    res.json({ data: { leagueId: league.id, scoring, teams, missingStats, matchups: rescored.matchups } })
+  } catch (err) {
+    if (err.code === 'LEAGUE_NOT_FOUND') {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    next(err)
+  }
+})
+
+const projectionServiceReady = Promise.all([leagueServiceReady, leagueDataReady])
+  .then(([leagueService, reader]) => new ProjectionService({ leagueService, reader, playerRegistry, dataDir: config.projections?.dataDir }))
+
+const tradeAnalyzerReady = Promise.all([leagueServiceReady, leagueDataReady, projectionServiceReady])
+  .then(([leagueService, reader, projectionService]) => new TradeAnalyzer({
+    leagueService,
+    reader,
+    playerRegistry,
+    projections: (league, week) => projectionService.weeklyPoints(league, week),
+    logger
+  }))
+
+app.get('/leagues/:id/trades', authenticate, async (req, res, next) => {
+  try {
+    await playerRegistryReady
+    const tradeAnalyzer = await tradeAnalyzerReady
+    const data = await tradeAnalyzer.evaluateLeagueTrades(req.params.id)
+    if (!data) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    res.json({ data })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.post('/leagues/:id/trades/evaluate', authenticate, async (req, res, next) => {
+  const { trade, error } = parseTradeProposal(req.body)
+  if (error) {
+    return res.status(400).json({ error })
+  }
+  try {
+    await playerRegistryReady
+    const tradeAnalyzer = await tradeAnalyzerReady
+    const league = await tradeAnalyzer.loadLeague(req.params.id)
+    if (!league) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    res.json({ data: await tradeAnalyzer.evaluateTrade(league, trade) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.post('/leagues/:id/trades/backfill', authenticate, authorize('admin', 'system'), async (req, res, next) => {
+  try {
+    const tradeAnalyzer = await tradeAnalyzerReady
+    const data = await tradeAnalyzer.backfillRealizedValue(req.params.id, { actor: String(req.user.id || req.user.sub) })
+    if (!data) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    if (data.updated) await invalidateLeagueData(req.params.id, ['transactions'])
+    res.json({ data })
+  } catch (err) {
+    if (err.code === 'VERSION_CONFLICT') {
+      return res.status(409).json({ error: err.message, version: err.actualVersion })
+    }
+    next(err)
+  }
+})
+
+app.post('/projections/import', authenticate, authorize('admin', 'system'), async (req, res, next) => {
+  const season = Number(req.body?.season)
+  const week = Number(req.body?.week)
+  if (!Number.isInteger(season) || !Number.isInteger(week) || week < 1) {
+    return res.status(400).json({ error: 'season and week are required integers' })
+  }
+  try {
+    await playerRegistryReady
+    const projectionService = await projectionServiceReady
+    const { source, data, type } = req.body
+    const result = await projectionService.importProjections({ season, week, source, data, type })
+    logger.info('Projections imported', { season, week, count: result.count, unmatched: result.unmatched.length })
+    res.json({ data: result })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// Start/sit recommendations for one team (leagueId and teamId) or for every
+// active league account the user has linked to a team.
+app.get('/lineups', authenticate, async (req, res, next) => {
+  const week = req.query.week !== undefined ? Number(req.query.week) : undefined
+  if (week !== undefined && (!Number.isInteger(week) || week < 1)) {
+    return res.status(400).json({ error: 'week must be a positive integer' })
+  }
+  try {
+    await playerRegistryReady
+    const projectionService = await projectionServiceReady
+    const options = week ? { week } : {}
+    if (req.query.leagueId || req.query.teamId) {
+      if (!req.query.leagueId || !req.query.teamId) {
+        return res.status(400).json({ error: 'leagueId and teamId must be given together' })
+      }
+      const league = await projectionService.loadLeague(String(req.query.leagueId))
+      if (!league) {
+        return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+      }
+      const lineup = await projectionService.optimizeLineup(league, String(req.query.teamId), options)
+      if (!lineup) {
+        return res.status(404).json({ error: 'Team not found' })
+      }
+      return res.json({ data: [lineup] })
+    }
+    if (!(await userStoreReady)) {
+      return res.status(400).json({ error: 'Linked accounts are unavailable; pass leagueId and teamId' })
+    }
+    // API-key callers and tokens from other issuers have no user document.
+    if (!mongoose.isValidObjectId(req.user.sub)) {
+      return res.status(400).json({ error: 'No linked accounts for this caller; pass leagueId and teamId' })
+    }
+    const user = await User.findById(req.user.sub)
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    res.json({ data: await projectionService.lineupsForAccounts(user.leagueAccounts, options) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+const waiverAnalyticsReady = Promise.all([leagueServiceReady, leagueDataReady, projectionServiceReady])
+  .then(([leagueService, reader, projections]) => new WaiverAnalytics({ leagueService, reader, playerRegistry, projections }))
+
+const waiverRoute = (handler) => async (req, res, next) => {
+  try {
+    await playerRegistryReady
+    const waiverAnalytics = await waiverAnalyticsReady
+    const league = await waiverAnalytics.loadLeague(req.params.id)
+    if (!league) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    await handler(req, res, waiverAnalytics, league)
+  } catch (err) {
+    next(err)
+  }
+}
+
+app.get('/leagues/:id/waivers', authenticate, waiverRoute((req, res, waiverAnalytics, league) => {
+  res.json({ data: waiverAnalytics.summarize(league) })
+}))
+
+app.get('/leagues/:id/waivers/available', authenticate, (req, res, next) => {
+  const week = parseOptionalInteger(req.query.week, 'week')
+  const limit = parseOptionalInteger(req.query.limit, 'limit')
+  const error = week.error || limit.error
+  if (error) return res.status(400).json({ error })
+  waiverRoute(async (req, res, waiverAnalytics, league) => {
+    const data = await waiverAnalytics.bestAvailable(league, {
+      ...(week.value ? { week: week.value } : {}),
+      position: typeof req.query.position === 'string' && req.query.position ? req.query.position : undefined,
+      teamId: typeof req.query.teamId === 'string' && req.query.teamId ? req.query.teamId : undefined,
+      limit: Math.min(limit.value || 25, 200)
+    })
+    res.json({ data })
+  })(req, res, next)
+})
+
+app.get('/leagues/:id/waivers/bid', authenticate, (req, res, next) => {
+  const week = parseOptionalInteger(req.query.week, 'week')
+  if (week.error) return res.status(400).json({ error: week.error })
+  if (typeof req.query.playerId !== 'string' || !req.query.playerId) {
+    return res.status(400).json({ error: 'playerId is required' })
+  }
+  waiverRoute(async (req, res, waiverAnalytics, league) => {
+    const data = await waiverAnalytics.recommendBid(league, req.query.playerId, {
+      ...(week.value ? { week: week.value } : {}),
+      teamId: typeof req.query.teamId === 'string' && req.query.teamId ? req.query.teamId : undefined
+    })
     res.json({ data })
+  })(req, res, next)
+})
+
+const draftAnalyticsReady = Promise.all([leagueServiceReady, leagueDataReady])
+  .then(([leagueService, reader]) => new DraftAnalytics({ leagueService, reader, playerRegistry, dataDir: config.adp?.dataDir }))
+
+app.post('/adp/import', authenticate, authorize('admin', 'system'), async (req, res, next) => {
+  const season = Number(req.body?.season)
+  if (!Number.isInteger(season)) {
+    return res.status(400).json({ error: 'season is a required integer' })
+  }
+  try {
+    await playerRegistryReady
+    const draftAnalytics = await draftAnalyticsReady
+    const { format, source, data, type } = req.body
+    const result = await draftAnalytics.importAdp({ season, format, source, data, type })
+    logger.info('ADP imported', { season, format: result.format, count: result.count, unmatched: result.unmatched.length })
+    res.json({ data: result })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.get('/leagues/:id/draft/analysis', authenticate, async (req, res, next) => {
+  const format = req.query.format === undefined || req.query.format === '' ? undefined : req.query.format
+  if (format !== undefined && !isAdpFormat(format)) {
+    return res.status(400).json({ error: 'format must be lowercase letters, digits or underscores' })
+  }
+  try {
+    await playerRegistryReady
+    const draftAnalytics = await draftAnalyticsReady
+    const league = await draftAnalytics.loadLeague(req.params.id)
+    if (!league) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    res.json({ data: await draftAnalytics.analyzeDraft(league, format ? { format } : {}) })
+  } catch (err) {
+    if (err.code === 'DRAFT_NOT_COMPLETE') {
+      return res.status(409).json({ error: err.message })
+    }
+    next(err)
+  }
+})
+
+const draftRoomReady = Promise.all([leagueServiceReady, draftAnalyticsReady])
+  .then(([leagueService, draftAnalytics]) => new DraftRoom({ leagueService, playerRegistry, draftAnalytics, logger }))
+
+const isAdmin = (req) => ['admin', 'system'].includes(req.user.role)
+const actorOf = (req) => String(req.user.id || req.user.sub)
+
+// Teams the caller's linked league accounts name in this league.
+const linkedTeamIds = async (req, leagueId) => {
+  if (!(await userStoreReady) || !mongoose.isValidObjectId(req.user.sub)) return []
+  const user = await User.findById(req.user.sub).select('leagueAccounts')
+  return (user ? user.leagueAccounts : [])
+    .filter((account) => account.active !== false && account.teamId && String(account.leagueId) === String(leagueId))
+    .map((account) => String(account.teamId))
+}
+
+const canActForTeam = async (req, draftRoom, teamId) => isAdmin(req) ||
+  draftRoom.canPickFor(req.params.id, teamId, actorOf(req), await linkedTeamIds(req, req.params.id))
+
+// Draft room errors carry their status; conflicts also send the room's
+// current state so the client can resync.
+const draftRoomError = (res, draftRoom, leagueId, err) => {
+  if (err.name !== 'DraftRoomError' && err.code !== 'VERSION_CONFLICT') return false
+  const body = { error: err.message, code: err.code }
+  if (err.statusCode === 409 && draftRoom) body.state = draftRoom.state(leagueId)
+  res.status(err.statusCode).json(body)
+  return true
+}
+
+app.post('/leagues/:id/draft/live', authenticate, authorize('admin', 'system'), async (req, res, next) => {
+  const { order, rounds, type, pickSeconds, managers, commissionerId } = req.body || {}
+  if (order !== undefined && !Array.isArray(order)) {
+    return res.status(400).json({ error: 'order must be an array of team ids' })
+  }
+  if (rounds !== undefined && (!Number.isInteger(rounds) || rounds <= 0)) {
+    return res.status(400).json({ error: 'rounds must be a positive integer' })
+  }
+  if (type !== undefined && !['snake', 'linear'].includes(type)) {
+    return res.status(400).json({ error: 'type must be snake or linear' })
+  }
+  if (managers !== undefined && (managers === null || typeof managers !== 'object' || Array.isArray(managers))) {
+    return res.status(400).json({ error: 'managers must map team ids to user ids' })
+  }
+  let draftRoom = null
+  try {
+    draftRoom = await draftRoomReady
+    const state = await draftRoom.start(req.params.id, {
+      order,
+      rounds,
+      type,
+      ...(pickSeconds !== undefined ? { pickSeconds: Number(pickSeconds) } : {}),
+      managers,
+      commissionerId,
+      actor: actorOf(req)
+    })
+    if (!state) {
+      return res.status(404).json({ error: req.__('error.league_not_found') || 'League not found' })
+    }
+    logger.info('Draft room opened', { leagueId: req.params.id, teams: state.order.length, rounds: state.rounds })
+    res.status(201).json({ data: state })
+  } catch (err) {
+    if (!draftRoomError(res, draftRoom, req.params.id, err)) next(err)
+  }
+})
+
+app.get('/leagues/:id/draft/live', authenticate, async (req, res, next) => {
+  try {
+    const draftRoom = await draftRoomReady
+    const state = draftRoom.state(req.params.id)
+    if (!state) {
+      return res.status(404).json({ error: 'Draft is not live' })
+    }
+    res.json({ data: state })
+  } catch (err) {
+    next(err)
+  }
+})
+
+// Server-sent events: a `snapshot` on connect, then `pick`, `paused`,
+// `resumed` and `complete` as they happen.
+app.get('/leagues/:id/draft/live/events', authenticateEventStream, async (req, res, next) => {
+  try {
+    const leagueId = req.params.id
+    const draftRoom = await draftRoomReady
+    const state = draftRoom.state(leagueId)
+    if (!state) {
+      return res.status(404).json({ error: 'Draft is not live' })
+    }
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+    const send = (type, sequence, data) => res.write(`id: ${sequence}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+    send('snapshot', state.sequence, state)
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000)
+    const onEvent = (event) => {
+      if (event.leagueId !== leagueId) return
+      send(event.type, event.sequence, event.data)
+      if (event.type === 'complete') res.end()
+    }
+    const onClosed = () => res.end()
+    draftRoom.on('draft', onEvent)
+    draftRoom.once('closed', onClosed)
+    res.on('close', () => {
+      clearInterval(heartbeat)
+      draftRoom.off('draft', onEvent)
+      draftRoom.off('closed', onClosed)
+    })
   } catch (err) {
     next(err)
   }
 })
 
-app.get('/drafts', async (req, res, next) => {
+app.post('/leagues/:id/draft/live/picks', authenticate, async (req, res, next) => {
+  const { teamId, playerId, pickNumber } = req.body || {}
+  if (teamId == null || playerId == null || teamId === '' || playerId === '') {
+    return res.status(400).json({ error: 'teamId and playerId are required' })
+  }
+  if (pickNumber !== undefined && (!Number.isInteger(pickNumber) || pickNumber <= 0)) {
+    return res.status(400).json({ error: 'pickNumber must be a positive integer' })
+  }
+  let draftRoom = null
+  try {
+    draftRoom = await draftRoomReady
+    const actor = actorOf(req)
+    if (!(await canActForTeam(req, draftRoom, teamId))) {
+      return res.status(403).json({ error: `Not allowed to pick for team ${teamId}` })
+    }
+    const pick = await draftRoom.makePick(req.params.id, { teamId, playerId, pickNumber, actor })
+    res.status(201).json({ data: pick })
+  } catch (err) {
+    if (!draftRoomError(res, draftRoom, req.params.id, err)) next(err)
+  }
+})
+
+app.get('/leagues/:id/draft/live/queue', authenticate, async (req, res, next) => {
+  const teamId = typeof req.query.teamId === 'string' ? req.query.teamId : ''
+  if (!teamId) {
+    return res.status(400).json({ error: 'teamId is required' })
+  }
+  let draftRoom = null
+  try {
+    draftRoom = await draftRoomReady
+    if (!(await canActForTeam(req, draftRoom, teamId))) {
+      return res.status(403).json({ error: `Not allowed to view the queue for team ${teamId}` })
+    }
+    res.json({ data: draftRoom.getQueue(req.params.id, teamId) })
+  } catch (err) {
+    if (!draftRoomError(res, draftRoom, req.params.id, err)) next(err)
+  }
+})
+
+app.put('/leagues/:id/draft/live/queue', authenticate, async (req, res, next) => {
+  const { teamId, playerIds } = req.body || {}
+  if (teamId == null || teamId === '' || !Array.isArray(playerIds)) {
+    return res.status(400).json({ error: 'teamId and a playerIds array are required' })
+  }
+  let draftRoom = null
   try {
+    draftRoom = await draftRoomReady
+    if (!(await canActForTeam(req, draftRoom, teamId))) {
+      return res.status(403).json({ error: `Not allowed to change the queue for team ${teamId}` })
+    }
+    res.json({ data: draftRoom.setQueue(req.params.id, teamId, playerIds) })
+  } catch (err) {
+    if (!draftRoomError(res, draftRoom, req.params.id, err)) next(err)
+  }
+})
+
+const draftClockRoute = (action) => async (req, res, next) => {
+  let draftRoom = null
+  try {
+    draftRoom = await draftRoomReady
+    const actor = actorOf(req)
+    if (!isAdmin(req) && !draftRoom.isCommissioner(req.params.id, actor)) {
+      return res.status(403).json({ error: `Only the commissioner can ${action} the draft` })
+    }
+    res.json({ data: await draftRoom[action](req.params.id, { actor }) })
+  } catch (err) {
+    if (!draftRoomError(res, draftRoom, req.params.id, err)) next(err)
+  }
+}
+
+app.post('/leagues/:id/draft/live/pause', authenticate, draftClockRoute('pause'))
+app.post('/leagues/:id/draft/live/resume', authenticate, draftClockRoute('resume'))
+
+app.get('/players/search', async (req, res, next) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+  const limit = parseOptionalInteger(req.query.limit, 'limit')
+  if (limit.error) return res.status(400).json({ error: limit.error })
+  try {
+    await playerRegistryReady
+    const data = playerRegistry.search(query, {
+      position: req.query.position,
+      team: req.query.team,
+      limit: Math.min(limit.value || 25, 100)
+    })
+    res.json({ data })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.get('/players', async (req, res, next) => {
+  const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',').map((id) => id.trim()).filter(Boolean) : []
+  if (!ids.length) return res.status(400).json({ error: 'ids is required' })
+  if (ids.length > 500) return res.status(400).json({ error: 'ids must contain at most 500 entries' })
+  try {
+    await playerRegistryReady
+    res.json({ data: playerRegistry.lookupMany(ids) })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.get('/players/:id', async (req, res, next) => {
+  try {
+    await playerRegistryReady
+    const data = playerRegistry.lookup(req.params.id)
+    if (!data) {
+      return res.status(404).json({ error: req.__('error.not_found') || 'Not Found' })
+    }
+    res.json({ data })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.get('/admin/ingestion/runs', authenticate, authorize('admin', 'system'), async (req, res, next) => {
+  try {
+    const limit = parseOptionalInteger(req.query.limit, 'limit')
+    if (limit.error) {
+      return res.status(400).json({ error: limit.error })
+    }
+    const status = req.query.status
+    if (status !== undefined && !['running', 'success', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: running, success, failed' })
+    }
+    const data = await listRuns({
+      leagueId: req.query.leagueId || undefined,
+      status,
+      limit: Math.min(limit.value || 50, 500)
+    })
+    res.json({ data })
+  } catch (err) {
+    next(err)
+  }
+})
+
+const sleeperWebhookSecret = process.env.SLEEPER_WEBHOOK_SECRET || config.sleeper?.webhookSecret
+const sleeperWebhookReady = leagueServiceReady
+  .then((leagueService) => createSleeperWebhookHandler({ leagueService }))
+
+app.post('/webhooks/sleeper', async (req, res, next) => {
+  try {
+    if (!verifySignature(req.rawBody, req.get(SIGNATURE_HEADER), sleeperWebhookSecret)) {
+      req.log.warn('Rejected Sleeper webhook with invalid signature', { ip: req.ip })
+      return res.status(401).json({ error: 'Invalid signature' })
+    }
+    const handleSleeperEvent = await sleeperWebhookReady
+    const events = Array.isArray(req.body) ? req.body : [req.body]
+    // A batch is all or nothing: nothing is applied unless every event is valid.
+    const invalid = events
+      .map((event, index) => ({ index, eventId: event?.event_id ?? null, error: validateEvent(event).error }))
+      .filter((entry) => entry.error)
+    if (invalid.length) {
+      return res.status(400).json({
+        error: invalid[0].error.message,
+        invalid: invalid.map(({ index, eventId, error }) => ({ index, eventId, error: error.message }))
+      })
+    }
     const data = []
+    for (const event of events) {
+      data.push(await handleSleeperEvent(event))
+    }
+    res.status(202).json({ data })
+  } catch (err) {
+    next(err)
+  }
+})
+
+const requireIngestionQueue = (req, res, next) => {
+  if (!ingestionQueue) {
+    return res.status(503).json({ error: 'Ingestion queue is not enabled' })
+  }
+  next()
+}
+
+app.get('/admin/ingestion/dead-letter', authenticate, authorize('admin', 'system'), requireIngestionQueue, async (req, res, next) => {
+  try {
+    const data = await ingestionQueue.listDeadLetters()
     res.json({ data })
   } catch (err) {
     next(err)
   }
 })
 
-app.get('/analytics', async (req, res, next) => {
+app.post('/admin/ingestion/dead-letter/replay', authenticate, authorize('admin', 'system'), requireIngestionQueue, async (req, res, next) => {
   try {
-    const data = {}
+    const data = await ingestionQueue.replayAllDeadLetters()
+    res.json({ data })
+  } catch (err) {
+    next(err)
+  }
+})
+
+app.post('/admin/ingestion/dead-letter/:jobId/replay', authenticate, authorize('admin', 'system'), requireIngestionQueue, async (req, res, next) => {
+  try {
+    const data = await ingestionQueue.replayDeadLetter(req.params.jobId)
+    if (!data) {
+      return res.status(404).json({ error: req.__('error.not_found') || 'Not Found' })
+    }
     res.json({ data })
   } catch (err) {
     next(err)
@@ -109,8 +879,14 @@ app.use((req, res) => {
   res.status(404).json({ error: req.__('error.not_found') || 'Not Found' })
 })
 
-// Error handler
+// Error handler: errors that carry a 4xx statusCode (version conflicts,
+// validation failures) are the caller's to fix, so their message is returned.
 app.use((err, req, res, next) => {
+  const statusCode = Number(err.statusCode)
+  if (statusCode >= 400 && statusCode < 500) {
+    req.log.warn({ message: err.message, code: err.code })
+    return res.status(statusCode).json({ error: err.message, ...(err.code ? { code: err.code } : {}) })
+  }
   req.log.error({ message: err.message, stack: err.stack })
   res.status(500).json({ error: req.__('error.internal') || 'Internal Server Error' })
 })
@@ -122,9 +898,18 @@ let server = app.listen(PORT, () => {
 
 const gracefulShutdown = () => {
   logger.info('Shutting down gracefully...')
+  if (ingestionScheduler) ingestionScheduler.stop()
+  playerRegistry.stop()
+  draftRoomReady.then((draftRoom) => draftRoom.close()).catch(() => {})
+  if (ingestionQueue) ingestionQueue.close().catch((err) => logger.error('Failed to close ingestion queue', { message: err.message }))
   server.close(() => {
     logger.info('Closed out remaining connections')
-    process.exit(0)
+    Promise.allSettled([
+      redis.quit(),
+      cache.close(),
+      leagueServiceReady.then((leagueService) => leagueService.close()),
+      mongoose.disconnect()
+    ]).finally(() => process.exit(0))
   })
   setTimeout(() => {
     logger.error('Forcing shutdown')
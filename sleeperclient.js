@@ -4,6 +4,8 @@ const ini = require("ini");
 const axios = require("axios");
 const pLimit = require("p-limit");
 const winston = require("winston");
+const { Counter, Gauge } = require("prom-client");
+const { normalize } = require("./normalizer");
 
 const configPath = path.resolve(__dirname, "../config/config.ini");
 const rawConfig = fs.existsSync(configPath)
@@ -15,6 +17,9 @@ const BASE_URL = sleeperConfig.baseURL || "https://api.sleeper.app/v1";
 const TIMEOUT = parseInt(sleeperConfig.timeout, 10) || 10000;
 const CONCURRENCY = parseInt(sleeperConfig.concurrency, 10) || 5;
 const RETRY_LIMIT = parseInt(sleeperConfig.retryLimit, 10) || 3;
+// Sleeper asks clients to stay under 1000 calls per minute per IP.
+const RATE_LIMIT_PER_MINUTE =
+  parseInt(sleeperConfig.rateLimitPerMinute, 10) || 1000;
 
 // Ensure logs directory exists
 const logDir = path.resolve(__dirname, "../logs");
@@ -43,6 +48,156 @@ const logger = winston.createLogger({
   ],
 });
 
+const queueDepth = new Gauge({
+  name: "sleeper_client_queue_depth",
+  help: "Sleeper API requests waiting for a concurrency slot or rate-limit token",
+});
+
+const requestCounter = new Counter({
+  name: "sleeper_client_requests_total",
+  help: "Sleeper API requests by method and response status",
+  labelNames: ["method", "status"],
+});
+
+const throttledCounter = new Counter({
+  name: "sleeper_client_throttled_total",
+  help: "Sleeper API requests delayed by the local token bucket or a 429 response",
+  labelNames: ["reason"],
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill(now) {
+    const elapsed = now - this.updatedAt;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  // Returns 0 when a token was taken, otherwise the ms to wait before retrying.
+  tryTake() {
+    const now = Date.now();
+    if (now < this.pausedUntil) {
+      return this.pausedUntil - now;
+    }
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  async acquire() {
+    let throttled = false;
+    for (let wait = this.tryTake(); wait > 0; wait = this.tryTake()) {
+      if (!throttled) {
+        throttled = true;
+        throttledCounter.inc({ reason: "local" });
+      }
+      await sleep(wait);
+    }
+  }
+
+  // A 429 means Sleeper's window is exhausted for every caller, not just one.
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+}
+
+// Shared by every SleeperClient in the process since the limit is per IP.
+const bucket = new TokenBucket(RATE_LIMIT_PER_MINUTE);
+
+function parseRetryAfter(value) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const nullableId = (value) =>
+  value == null || value === "" || value === "0" ? null : String(value);
+
+function toLeague(raw) {
+  return {
+    id: String(raw.league_id),
+    name: raw.name || "",
+    season: parseInt(raw.season, 10) || null,
+    seasonType: raw.season_type || null,
+    status: raw.status || null,
+    sport: raw.sport || "nfl",
+    totalRosters: raw.total_rosters || 0,
+    previousLeagueId: nullableId(raw.previous_league_id),
+    draftId: nullableId(raw.draft_id),
+    rosterPositions: raw.roster_positions || [],
+    scoringSettings: raw.scoring_settings || {},
+    settings: raw.settings || {},
+  };
+}
+
+function toUser(raw) {
+  return {
+    userId: String(raw.user_id),
+    displayName: raw.display_name || "",
+    teamName: (raw.metadata && raw.metadata.team_name) || null,
+    avatar: raw.avatar || null,
+    isOwner: Boolean(raw.is_owner),
+  };
+}
+
+function toTradedPick(raw) {
+  return {
+    season: parseInt(raw.season, 10) || null,
+    round: raw.round,
+    originalTeamId: String(raw.roster_id),
+    fromTeamId: String(raw.previous_owner_id),
+    toTeamId: String(raw.owner_id),
+  };
+}
+
+function toNflState(raw) {
+  return {
+    season: parseInt(raw.season, 10) || null,
+    seasonType: raw.season_type || null,
+    week: raw.week || 0,
+    displayWeek: raw.display_week || raw.week || 0,
+    leg: raw.leg || 0,
+    previousSeason: parseInt(raw.previous_season, 10) || null,
+    seasonStartDate: raw.season_start_date || null,
+  };
+}
+
+function toPlayer(id, raw) {
+  return {
+    id: String(raw.player_id || id),
+    fullName:
+      raw.full_name ||
+      [raw.first_name, raw.last_name].filter(Boolean).join(" ") ||
+      String(id),
+    firstName: raw.first_name || null,
+    lastName: raw.last_name || null,
+    position: raw.position || null,
+    fantasyPositions: raw.fantasy_positions || [],
+    team: raw.team || null,
+    status: raw.status || null,
+    injuryStatus: raw.injury_status || null,
+    age: raw.age || null,
+    yearsExp: raw.years_exp != null ? raw.years_exp : null,
+    number: raw.number != null ? raw.number : null,
+    searchRank: raw.search_rank != null ? raw.search_rank : null,
+  };
+}
+
 class SleeperClient {
   constructor() {
     this.axios = axios.create({
@@ -55,8 +210,8 @@ class SleeperClient {
     this.flushing = false;
   }
 
-  get(endpoint, params = {}) {
-    return this.enqueue({ method: "get", url: endpoint, params });
+  get(endpoint, params = {}, options = {}) {
+    return this.enqueue({ ...options, method: "get", url: endpoint, params });
   }
 
   post(endpoint, data = {}) {
@@ -71,21 +226,159 @@ class SleeperClient {
     return this.enqueue({ method: "delete", url: endpoint, params });
   }
 
+  async getLeague(leagueId) {
+    return toLeague(await this.get(`/league/${leagueId}`));
+  }
+
+  async getUsers(leagueId) {
+    const users = await this.get(`/league/${leagueId}/users`);
+    return (users || []).map(toUser);
+  }
+
+  async getRosters(leagueId, { users } = {}) {
+    const [rosters, rawUsers] = await Promise.all([
+      this.get(`/league/${leagueId}/rosters`),
+      users || this.get(`/league/${leagueId}/users`),
+    ]);
+    return normalize("sleeper", "rosters", { rosters, users: rawUsers });
+  }
+
+  async getMatchups(leagueId, week, { rosters, users, season = null } = {}) {
+    const [matchups, rawRosters, rawUsers] = await Promise.all([
+      this.get(`/league/${leagueId}/matchups/${week}`),
+      rosters || this.get(`/league/${leagueId}/rosters`),
+      users || this.get(`/league/${leagueId}/users`),
+    ]);
+    return normalize(
+      "sleeper",
+      "matchups",
+      { matchups, rosters: rawRosters, users: rawUsers, week },
+      { leagueId: String(leagueId), season }
+    );
+  }
+
+  async getTransactions(leagueId, round, { season = null } = {}) {
+    const transactions = await this.get(
+      `/league/${leagueId}/transactions/${round}`
+    );
+    return normalize(
+      "sleeper",
+      "transactions",
+      { transactions },
+      { leagueId: String(leagueId), season }
+    );
+  }
+
+  async getDrafts(leagueId) {
+    const drafts = await this.get(`/league/${leagueId}/drafts`);
+    return (drafts || []).map((draft) =>
+      normalize("sleeper", "draft", { draft, picks: [] }, {})
+    );
+  }
+
+  async getDraftPicks(draftId) {
+    const picks = await this.get(`/draft/${draftId}/picks`);
+    return normalize(
+      "sleeper",
+      "draft",
+      { draft: { draft_id: draftId }, picks },
+      {}
+    ).picks;
+  }
+
+  async getTradedPicks(leagueId) {
+    const picks = await this.get(`/league/${leagueId}/traded_picks`);
+    return (picks || []).map(toTradedPick);
+  }
+
+  async getNflState() {
+    return toNflState(await this.get("/state/nfl"));
+  }
+
+  // Raw weekly stat lines keyed by player id, with Sleeper scoring keys.
+  async getWeeklyStats(season, week, seasonType = "regular") {
+    const stats = await this.get(`/stats/nfl/${seasonType}/${season}/${week}`);
+    return Object.entries(stats || {}).reduce((acc, [id, line]) => {
+      const numeric = Object.entries(line || {}).filter(([, value]) => typeof value === "number");
+      if (numeric.length) acc[id] = Object.fromEntries(numeric);
+      return acc;
+    }, {});
+  }
+
+  async getPlayers(sport = "nfl") {
+    return this.normalizePlayers(await this.get(`/players/${sport}`));
+  }
+
+  normalizePlayers(rawPlayers) {
+    return Object.entries(rawPlayers || {}).reduce((acc, [id, raw]) => {
+      acc[id] = toPlayer(id, raw);
+      return acc;
+    }, {});
+  }
+
+  // Dynasty leagues get a new league id every season; previous_league_id links
+  // each season back to the one before it. Returns seasons newest first.
+  async getLeagueHistory(leagueId, { includeMatchups = false, maxSeasons = 25 } = {}) {
+    const seasons = [];
+    const visited = new Set();
+    let currentId = nullableId(leagueId);
+    while (currentId && !visited.has(currentId) && seasons.length < maxSeasons) {
+      visited.add(currentId);
+      const [rawLeague, rawUsers, rawRosters] = await Promise.all([
+        this.get(`/league/${currentId}`),
+        this.get(`/league/${currentId}/users`),
+        this.get(`/league/${currentId}/rosters`),
+      ]);
+      const league = toLeague(rawLeague);
+      const raw = { rosters: rawRosters, users: rawUsers };
+      const entry = {
+        league,
+        users: (rawUsers || []).map(toUser),
+        rosters: normalize("sleeper", "rosters", raw),
+        standings: normalize("sleeper", "standings", raw),
+        drafts: await this.getDrafts(currentId),
+      };
+      if (includeMatchups) {
+        const lastWeek =
+          league.settings.last_scored_leg || league.settings.playoff_week_start + 2 || 17;
+        const weeks = Array.from({ length: lastWeek }, (_, i) => i + 1);
+        const perWeek = await Promise.all(
+          weeks.map((week) =>
+            this.getMatchups(currentId, week, {
+              rosters: rawRosters,
+              users: rawUsers,
+              season: league.season,
+            })
+          )
+        );
+        entry.matchups = perWeek.flat();
+      }
+      seasons.push(entry);
+      currentId = league.previousLeagueId;
+    }
+    return seasons;
+  }
+
   enqueue(requestOptions) {
     return new Promise((resolve, reject) => {
-      this.queue.push({
+      this.schedule({
         ...requestOptions,
         resolve,
         reject,
         retryCount: 0,
       });
-      if (!this.flushing) {
-        this.flushing = true;
-        setImmediate(() => this.flush());
-      }
     });
   }
 
+  schedule(item) {
+    this.queue.push(item);
+    queueDepth.inc();
+    if (!this.flushing) {
+      this.flushing = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
   async flush() {
     const batch = this.queue.splice(0);
     this.flushing = false;
@@ -95,19 +388,30 @@ class SleeperClient {
   }
 
   async processItem(item) {
-    const { method, url, params, data, resolve, reject, retryCount } = item;
+    const { method, url, params, data, headers, validateStatus, fullResponse, resolve, reject, retryCount } = item;
+    await bucket.acquire();
+    queueDepth.dec();
     try {
-      const response = await this.axios.request({ method, url, params, data });
+      const response = await this.axios.request({ method, url, params, data, headers, validateStatus });
+      requestCounter.inc({ method, status: response.status });
       logger.info(`Sleeper API ${method.toUpperCase()} ${url} succeeded`);
-      resolve(response.data);
+      resolve(fullResponse ? response : response.data);
     } catch (error) {
       const status = error.response ? error.response.status : null;
+      requestCounter.inc({ method, status: status || "error" });
       const msg = error.message || "Unknown error";
+      const isThrottled = status === 429;
       const isRetryable =
-        status === null || (status >= 500 && status < 600);
+        status === null || isThrottled || (status >= 500 && status < 600);
       if (retryCount < RETRY_LIMIT && isRetryable) {
         const nextRetry = retryCount + 1;
-        const backoff = Math.pow(2, retryCount) * 1000;
+        let backoff = Math.pow(2, retryCount) * 1000;
+        if (isThrottled) {
+          throttledCounter.inc({ reason: "remote" });
+          const retryAfter = parseRetryAfter(error.response.headers["retry-after"]);
+          backoff = retryAfter != null ? retryAfter : backoff;
+          bucket.pause(backoff);
+        }
         logger.warn(
           `Retry ${nextRetry}/${RETRY_LIMIT} for ${method.toUpperCase()} ${
             url
@@ -115,19 +419,10 @@ class SleeperClient {
             status ? " (status " + status + ")" : ""
           }`
         );
-        this.queue.push({
-          method,
-          url,
-          params,
-          data,
-          resolve,
-          reject,
-          retryCount: nextRetry,
-        });
-        if (!this.flushing) {
-          this.flushing = true;
-          setTimeout(() => this.flush(), backoff);
-        }
+        setTimeout(
+          () => this.schedule({ ...item, retryCount: nextRetry }),
+          backoff
+        );
       } else {
         if (!isRetryable && status && status < 500) {
           logger.error(
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { SIGNATURE_HEADER, signPayload } = require('./sleeperwebhook');
+
+const USAGE = `Usage: node sleepersimulator.js <recording.json|.ndjson> [options]
+
+Replays recorded Sleeper push events against the League Nexus webhook endpoint.
+
+Options:
+  --url <url>        Webhook endpoint (default: http://localhost:3000/webhooks/sleeper)
+  --secret <secret>  Shared secret (default: $SLEEPER_WEBHOOK_SECRET)
+  --league <id>      Rewrite every event's league_id, e.g. to target a local league
+  --delay <ms>       Delay between events when the recording has no delayMs (default: 500)
+  --speed <factor>   Divide recorded delays by this factor (default: 1)`;
+
+function parseArgs(argv) {
+  const args = { url: 'http://localhost:3000/webhooks/sleeper', secret: process.env.SLEEPER_WEBHOOK_SECRET, delay: 500, speed: 1 };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+  args.file = positional[0];
+  args.delay = Number(args.delay);
+  args.speed = Number(args.speed) || 1;
+  return args;
+}
+
+// A recording is a JSON array or NDJSON of either raw events or
+// { delayMs, event } entries captured from a live feed.
+function loadRecording(file) {
+  const content = fs.readFileSync(path.resolve(file), 'utf-8').trim();
+  const entries = file.endsWith('.ndjson')
+    ? content.split('\n').filter(Boolean).map(line => JSON.parse(line))
+    : JSON.parse(content);
+  return entries.map(entry => (entry.event ? entry : { delayMs: undefined, event: entry }));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function replay(args) {
+  const recording = loadRecording(args.file);
+  let sent = 0;
+  for (const { delayMs, event } of recording) {
+    const payload = args.league ? { ...event, league_id: args.league } : event;
+    const body = JSON.stringify(payload);
+    try {
+      const res = await axios.post(args.url, body, {
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body, args.secret) },
+        timeout: 10000
+      });
+      sent++;
+      console.log(`[${sent}/${recording.length}] ${payload.type} ${payload.event_id} -> ${res.status} ${JSON.stringify(res.data)}`);
+    } catch (err) {
+      const status = err.response ? err.response.status : 'network error';
+      console.error(`Failed to send ${payload.type} ${payload.event_id}: ${status} ${err.message}`);
+    }
+    await sleep((delayMs != null ? delayMs : args.delay) / args.speed);
+  }
+  return sent;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.file) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+  if (!args.secret) {
+    console.error('A shared secret is required (--secret or SLEEPER_WEBHOOK_SECRET)');
+    process.exit(1);
+  }
+  replay(args)
+    .then(sent => {
+      console.log(`Replayed ${sent} event(s)`);
+    })
+    .catch(err => {
+      console.error(`Replay failed: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadRecording, replay };
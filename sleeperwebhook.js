@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+
+const SIGNATURE_HEADER = 'x-sleeper-signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Matchups are stored as pairs, so a push has to carry both roster entries of
+// every matchup it touches; a lone entry would otherwise be dropped silently.
+function completeMatchups(event, helpers) {
+  if (event.type !== 'matchup') return event;
+  const counts = new Map();
+  [].concat(event.data)
+    .filter(entry => entry.matchup_id != null)
+    .forEach(entry => counts.set(entry.matchup_id, (counts.get(entry.matchup_id) || 0) + 1));
+  const partial = [...counts].find(([, count]) => count !== 2);
+  if (partial) {
+    return helpers.message(`matchup ${partial[0]} must include both roster entries, got ${partial[1]}`);
+  }
+  return event;
+}
+
+const eventSchema = Joi.object({
+  event_id: Joi.string().required(),
+  type: Joi.string().valid('transaction', 'matchup', 'draft_pick').required(),
+  league_id: Joi.string().required(),
+  week: Joi.number().integer().min(1),
+  draft_id: Joi.string(),
+  data: Joi.alternatives().try(Joi.object(), Joi.array().items(Joi.object())).required()
+}).custom(completeMatchups).required();
+
+function computeSignature(rawBody, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function signPayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(rawBody, secret, timestamp)}`;
+}
+
+// Header format: "t=<unix seconds>,v1=<hex hmac-sha256 of `${t}.${body}`>".
+function verifySignature(rawBody, header, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  if (!secret || !header || rawBody == null) return false;
+  const parts = Object.fromEntries(
+    String(header).split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(computeSignature(rawBody, secret, timestamp));
+  const provided = Buffer.from(parts.v1);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function validateEvent(rawEvent) {
+  return eventSchema.validate(rawEvent, { stripUnknown: true });
+}
+
+function toIngestionPayload(event) {
+  const items = Array.isArray(event.data) ? event.data : [event.data];
+  switch (event.type) {
+    case 'transaction':
+      return { type: 'transactions', raw: { transactions: items } };
+    case 'matchup':
+      return { type: 'matchups', raw: { matchups: items, week: event.week } };
+    case 'draft_pick':
+      return { type: 'draft', raw: { draft: { draft_id: event.draft_id || items[0].draft_id }, picks: items } };
+    default:
+      throw new Error(`Unsupported Sleeper event type: ${event.type}`);
+  }
+}
+
+// The ingestion pipeline is resolved lazily so signing helpers (used by the
+// simulator) can be loaded without opening Redis connections.
+function createSleeperWebhookHandler({ leagueService, apply = require('./dataingestion').applyPushedData }) {
+  if (!leagueService) {
+    throw new Error('Sleeper webhook handler requires a leagueService');
+  }
+  return async function handleSleeperEvent(rawEvent) {
+    const { error, value: event } = validateEvent(rawEvent);
+    if (error) throw error;
+    const league = await leagueService.getLeague(event.league_id);
+    if (!league || league.provider !== 'sleeper') {
+      return { eventId: event.event_id, accepted: false, reason: 'unknown_league' };
+    }
+    const { type, raw } = toIngestionPayload(event);
+    const result = await apply(league, type, raw);
+    return { eventId: event.event_id, accepted: true, type, changed: result.changed };
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature,
+  validateEvent,
+  createSleeperWebhookHandler
+};
@@ -0,0 +1,233 @@
+const { itemSchemas } = require('./leagueschema')
+
+// Fields owned by LeagueService; no source may map onto them.
+const PROTECTED_FIELDS = ['id', 'createdAt', 'updatedAt', 'version']
+const LIST_TARGETS = ['standings', 'matchups', 'transactions', 'rosters']
+const SINGLE_TARGETS = ['draft', 'league']
+const MAX_REPORTED_ERRORS = 50
+
+class SourceValidationError extends Error {
+  constructor(sourceName, summary) {
+    super(`Source ${sourceName} produced ${summary.invalid} invalid ${summary.target} record(s)`)
+    this.name = 'SourceValidationError'
+    this.statusCode = 422
+    this.code = 'SOURCE_VALIDATION_FAILED'
+    this.summary = summary
+  }
+}
+
+const JSON_PATH_TOKEN = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\*\]|\.\*|\[['"]([^'"]+)['"]\]/y
+
+// JSONPath subset: $, .key, ['key'], [n], [*] and .*
+function evaluateJsonPath(value, expr) {
+  const path = String(expr).trim()
+  if (!path.startsWith('$')) {
+    throw new Error(`JSONPath must start with $: ${expr}`)
+  }
+  let nodes = [value]
+  JSON_PATH_TOKEN.lastIndex = 1
+  while (JSON_PATH_TOKEN.lastIndex < path.length) {
+    const start = JSON_PATH_TOKEN.lastIndex
+    const match = JSON_PATH_TOKEN.exec(path)
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax at position ${start}: ${expr}`)
+    }
+    const [token, key, index, quoted] = match
+    nodes = nodes.flatMap((node) => {
+      if (node == null || typeof node !== 'object') return []
+      if (token === '[*]' || token === '.*') return Object.values(node)
+      const child = node[key !== undefined ? key : index !== undefined ? Number(index) : quoted]
+      return child === undefined ? [] : [child]
+    })
+  }
+  return nodes
+}
+
+// XPath subset over xml2js output (explicitArray: false): element steps,
+// @attribute, text(), * and '.'; a leading / starts at the document.
+function evaluateXPath(value, expr) {
+  const steps = String(expr).trim().split('/').filter(Boolean)
+  let nodes = [value]
+  for (const step of steps) {
+    nodes = nodes.flatMap((node) => {
+      if (step === '.') return [node]
+      if (step === 'text()') {
+        const text = typeof node === 'string' ? node : node?._
+        return text === undefined ? [] : [text]
+      }
+      if (node == null || typeof node !== 'object') return []
+      if (step.startsWith('@')) {
+        const attr = node.$?.[step.slice(1)]
+        return attr === undefined ? [] : [attr]
+      }
+      const children = step === '*'
+        ? Object.entries(node).filter(([key]) => key !== '$' && key !== '_').map(([, child]) => child)
+        : [node[step]]
+      return children.flat().filter((child) => child !== undefined)
+    })
+  }
+  return nodes
+}
+
+const evaluators = {
+  json: evaluateJsonPath,
+  xml: evaluateXPath,
+  csv: (row, column) => (row != null && row[column] !== undefined ? [row[column]] : [])
+}
+
+// Mapping keys may be dotted to build nested values, e.g. teams.0.score.
+function setPath(target, dotted, value) {
+  const keys = dotted.split('.')
+  let node = target
+  keys.forEach((key, i) => {
+    if (i === keys.length - 1) {
+      node[key] = value
+      return
+    }
+    if (node[key] == null) node[key] = /^\d+$/.test(keys[i + 1]) ? [] : {}
+    node = node[key]
+  })
+}
+
+function parseSourceMapping(sourceName, cfg = {}) {
+  const type = (cfg.type || 'json').toLowerCase()
+  const evaluate = evaluators[type]
+  if (!evaluate) {
+    throw new Error(`Source ${sourceName} has unsupported type ${cfg.type}`)
+  }
+  const target = cfg.target
+  if (!LIST_TARGETS.includes(target) && !SINGLE_TARGETS.includes(target)) {
+    throw new Error(`Source ${sourceName} has unknown target ${target}; expected one of ${[...LIST_TARGETS, ...SINGLE_TARGETS].join(', ')}`)
+  }
+  const fields = Object.entries(cfg.fields || {})
+  if (!fields.length) {
+    throw new Error(`Source ${sourceName} must declare a [${sourceName}.fields] mapping`)
+  }
+  const defaults = cfg.defaults || {}
+  const protectedFields = target === 'league'
+    ? [...fields.map(([field]) => field), ...Object.keys(defaults)]
+      .map((field) => field.split('.')[0])
+      .filter((field) => PROTECTED_FIELDS.includes(field))
+    : []
+  if (protectedFields.length) {
+    throw new Error(`Source ${sourceName} may not map protected field(s): ${protectedFields.join(', ')}`)
+  }
+  return { type, target, root: cfg.root, fields, defaults, evaluate }
+}
+
+function extractRecords(mapping, parsed) {
+  const { type, root, target, evaluate } = mapping
+  let records
+  if (type === 'csv') {
+    records = Array.isArray(parsed) ? parsed : []
+  } else {
+    records = root ? evaluate(parsed, root) : [parsed]
+  }
+  return LIST_TARGETS.includes(target) ? records : records.slice(0, 1)
+}
+
+const fieldSchema = (schema, field) => {
+  if (!schema) return null
+  try {
+    return schema.extract(field)
+  } catch {
+    return null
+  }
+}
+
+// Text formats carry everything as strings and JSON feeds often use numeric
+// ids, so nudge raw values toward the canonical types before validation.
+function coerceValue(schema, value) {
+  if (!schema) return value
+  if (value === '' && !schema.validate(null).error && schema.validate('').error) return null
+  if (typeof value === 'number' && schema.type === 'string') return String(value)
+  if (typeof value === 'string' && schema.type === 'array') {
+    return value.split('|').map((item) => item.trim()).filter(Boolean)
+  }
+  return value
+}
+
+function mapRecord(mapping, record, schema) {
+  const mapped = {}
+  Object.entries(mapping.defaults).forEach(([field, value]) => {
+    setPath(mapped, field, coerceValue(fieldSchema(schema, field), value))
+  })
+  mapping.fields.forEach(([field, expr]) => {
+    const [value] = mapping.evaluate(record, expr)
+    if (value !== undefined) setPath(mapped, field, coerceValue(fieldSchema(schema, field), value))
+  })
+  return mapped
+}
+
+function createSummary(sourceName, target) {
+  return { source: sourceName, target, total: 0, valid: 0, invalid: 0, fields: {}, errors: [] }
+}
+
+function recordResult(summary, { error }, record) {
+  summary.total++
+  if (!error) {
+    summary.valid++
+    return
+  }
+  summary.invalid++
+  error.details.forEach((detail) => {
+    const field = detail.path.join('.') || '(record)'
+    const entry = summary.fields[field] || (summary.fields[field] = { invalid: 0, messages: [] })
+    entry.invalid++
+    if (!entry.messages.includes(detail.message)) entry.messages.push(detail.message)
+    if (summary.errors.length < MAX_REPORTED_ERRORS) {
+      summary.errors.push({ record, field, message: detail.message })
+    }
+  })
+}
+
+function markMissingRoot(summary, mapping) {
+  summary.invalid = 1
+  summary.fields['(root)'] = { invalid: 1, messages: [`No record matched ${mapping.root || 'the payload'}`] }
+}
+
+// Maps and validates one raw record at a time, for callers that stream
+// records instead of holding the whole payload.
+function createRecordMapper(sourceName, cfg) {
+  const mapping = parseSourceMapping(sourceName, cfg)
+  const schema = itemSchemas[mapping.target]
+  return {
+    mapping,
+    isList: LIST_TARGETS.includes(mapping.target),
+    summary: createSummary(sourceName, mapping.target),
+    map(record) {
+      const mapped = mapRecord(mapping, record, schema)
+      const result = schema.validate(mapped, { abortEarly: false, convert: true })
+      recordResult(this.summary, result, this.summary.total)
+      return result
+    },
+    finish() {
+      if (!this.summary.total && !this.isList) markMissingRoot(this.summary, mapping)
+      return this.summary
+    }
+  }
+}
+
+// Maps a parsed source payload onto the canonical model. Returns the value to
+// store under `target` (or to merge onto the league for target = league) plus
+// a validation summary; throws SourceValidationError if any record is invalid.
+function mapSource(sourceName, cfg, parsed) {
+  const mapper = createRecordMapper(sourceName, cfg)
+  const results = extractRecords(mapper.mapping, parsed).map((record) => mapper.map(record))
+  const summary = mapper.finish()
+  if (summary.invalid) {
+    throw new SourceValidationError(sourceName, summary)
+  }
+  const values = results.map((result) => result.value)
+  return { target: mapper.mapping.target, value: mapper.isList ? values : values[0], summary }
+}
+
+module.exports = {
+  PROTECTED_FIELDS,
+  SourceValidationError,
+  evaluateJsonPath,
+  evaluateXPath,
+  parseSourceMapping,
+  createRecordMapper,
+  mapSource
+}
@@ -0,0 +1,317 @@
+const { optimalLineup, rosterSlots } = require('./projectionservice')
+
+const DEFAULT_REGULAR_SEASON_WEEKS = 14
+// Recent form window for the built-in projection.
+const PROJECTION_WEEKS = 6
+// Pick value curve: the first overall pick is worth a full season of the
+// league's most valuable player and each later pick is worth 5% less.
+const PICK_DECAY = 0.05
+const FUTURE_SEASON_DISCOUNT = 0.85
+// Net value differences inside this share of the total are called even.
+const EVEN_TRADE_MARGIN = 0.05
+
+const round = (value, digits = 2) => Number(value.toFixed(digits))
+// Share of the first overall pick's value held by a (possibly fractional)
+// overall pick; draft analytics grades draft capital on the same curve.
+const pickCurve = (overall) => Math.exp(-PICK_DECAY * Math.max(0, overall - 1))
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+function regularSeasonWeeks(league) {
+  const start = Number(league.settings?.playoff_week_start)
+  return start > 1 ? start - 1 : DEFAULT_REGULAR_SEASON_WEEKS
+}
+
+function currentSeasonMatchups(league) {
+  return (league.matchups || []).filter((matchup) =>
+    league.season == null || matchup.season == null || Number(matchup.season) === Number(league.season))
+}
+
+// Built-in rest-of-season projection: each player's average over their last
+// few weeks before `asOfWeek`, per remaining regular-season week.
+function recentFormProjection(league, asOfWeek) {
+  const weekly = new Map()
+  currentSeasonMatchups(league)
+    .filter((matchup) => matchup.week < asOfWeek)
+    .sort((a, b) => b.week - a.week)
+    .forEach((matchup) => matchup.teams.forEach((team) => {
+      Object.entries(team.playerPoints || {}).forEach(([playerId, points]) => {
+        if (!weekly.has(playerId)) weekly.set(playerId, [])
+        const scores = weekly.get(playerId)
+        if (scores.length < PROJECTION_WEEKS) scores.push(points)
+      })
+    }))
+  return new Map([...weekly].map(([playerId, scores]) => [playerId, sum(scores) / scores.length]))
+}
+
+function lastPlayedWeek(league) {
+  return currentSeasonMatchups(league)
+    .filter((matchup) => matchup.teams.some((team) => team.score > 0))
+    .reduce((latest, matchup) => Math.max(latest, matchup.week), 0)
+}
+
+function teamSide(trade, teamId) {
+  return {
+    playersIn: trade.adds.filter((move) => move.teamId === teamId).map((move) => move.playerId),
+    playersOut: trade.drops.filter((move) => move.teamId === teamId).map((move) => move.playerId),
+    picksIn: trade.draftPicks.filter((pick) => pick.toTeamId === teamId),
+    picksOut: trade.draftPicks.filter((pick) => pick.fromTeamId === teamId)
+  }
+}
+
+// Validates a proposed trade posted by a client: `adds`/`drops` of
+// { playerId, teamId } and optional `draftPicks` of { season, round,
+// fromTeamId, toTeamId }.
+function parseTradeProposal(body = {}) {
+  const isId = (value) => typeof value === 'string' && value.length > 0
+  const list = (name) => (body[name] === undefined ? [] : body[name])
+  const [adds, drops, draftPicks] = ['adds', 'drops', 'draftPicks'].map(list)
+  if (![adds, drops, draftPicks].every(Array.isArray)) {
+    return { error: 'adds, drops and draftPicks must be arrays' }
+  }
+  if (![...adds, ...drops].every((move) => move && isId(move.playerId) && isId(move.teamId))) {
+    return { error: 'Each add and drop needs a playerId and teamId' }
+  }
+  if (!draftPicks.every((pick) => pick && Number.isInteger(pick.round) && pick.round > 0 && isId(pick.fromTeamId) && isId(pick.toTeamId))) {
+    return { error: 'Each draft pick needs a round, fromTeamId and toTeamId' }
+  }
+  const teamIds = [...new Set([
+    ...adds.map((move) => move.teamId),
+    ...drops.map((move) => move.teamId),
+    ...draftPicks.flatMap((pick) => [pick.fromTeamId, pick.toTeamId])
+  ])]
+  if (teamIds.length < 2) return { error: 'A trade needs at least two teams' }
+  return {
+    trade: {
+      id: null,
+      type: 'trade',
+      status: 'proposed',
+      week: null,
+      teamIds,
+      adds,
+      drops,
+      draftPicks: draftPicks.map((pick) => ({ season: pick.season ?? null, ...pick }))
+    }
+  }
+}
+
+class TradeAnalyzer {
+  // `projections(league, asOfWeek)` may return a Map of playerId to projected
+  // weekly points; without it, or when it has nothing for the week, recent
+  // form is used. League data is read through `reader` (a LeagueDataReader),
+  // since ingested matchups with per-player points may only be in Redis.
+  constructor({ leagueService, reader, playerRegistry = null, projections = null, logger = console } = {}) {
+    this.leagueService = leagueService
+    this.reader = reader
+    this.playerRegistry = playerRegistry
+    this.projections = projections
+    this.logger = logger
+  }
+
+  async evaluateTrade(league, trade, { asOfWeek } = {}) {
+    const completed = trade.status === 'complete'
+    const week = asOfWeek || (completed && trade.week ? trade.week : lastPlayedWeek(league) + 1)
+    const model = await this._valuationModel(league, week)
+    const teamIds = trade.teamIds.length
+      ? trade.teamIds
+      : [...new Set([...trade.adds, ...trade.drops].map((move) => move.teamId))]
+
+    // Completed trades are already reflected in the rosters, so undo them
+    // to get the "before" picture.
+    const rostersAfter = new Map((league.rosters || []).map((roster) => [roster.teamId, new Set(roster.players)]))
+    const rostersBefore = new Map([...rostersAfter].map(([teamId, players]) => [teamId, new Set(players)]))
+    const target = completed ? rostersBefore : rostersAfter
+    teamIds.forEach((teamId) => {
+      if (!target.has(teamId)) target.set(teamId, new Set())
+      const { playersIn, playersOut } = teamSide(trade, teamId)
+      if (completed) {
+        playersIn.forEach((playerId) => target.get(teamId).delete(playerId))
+        playersOut.forEach((playerId) => target.get(teamId).add(playerId))
+      } else {
+        playersOut.forEach((playerId) => target.get(teamId).delete(playerId))
+        playersIn.forEach((playerId) => target.get(teamId).add(playerId))
+      }
+    })
+
+    const describePlayer = (playerId) => {
+      const info = this.playerRegistry ? this.playerRegistry.lookup(playerId) : null
+      return {
+        playerId,
+        playerName: info ? info.fullName : null,
+        position: model.positionOf(playerId),
+        weeklyProjection: round(model.weekly(playerId)),
+        restOfSeason: round(model.weekly(playerId) * model.remainingWeeks),
+        valueOverReplacement: round(model.vor(playerId))
+      }
+    }
+    const describePick = (pick) => ({ ...pick, value: round(model.pickValue(pick)) })
+    const lineupValue = (players) => round(sum(
+      optimalLineup([...(players || [])], model.slots, model.weekly, model.positionOf).map((entry) => entry.value)
+    ) * model.remainingWeeks)
+
+    const sides = teamIds.map((teamId) => {
+      const { playersIn, playersOut, picksIn, picksOut } = teamSide(trade, teamId)
+      const receives = { players: playersIn.map(describePlayer), picks: picksIn.map(describePick) }
+      const sends = { players: playersOut.map(describePlayer), picks: picksOut.map(describePick) }
+      const total = (side) => sum(side.players.map((player) => player.valueOverReplacement)) + sum(side.picks.map((pick) => pick.value))
+      const lineupBefore = lineupValue(rostersBefore.get(teamId))
+      const lineupAfter = lineupValue(rostersAfter.get(teamId))
+      return {
+        teamId,
+        receives,
+        sends,
+        valueIn: round(total(receives)),
+        valueOut: round(total(sends)),
+        net: round(total(receives) - total(sends)),
+        lineupBefore,
+        lineupAfter,
+        lineupDelta: round(lineupAfter - lineupBefore)
+      }
+    })
+
+    const ranked = sides.slice().sort((a, b) => b.net - a.net)
+    const exchanged = sum(sides.map((side) => side.valueIn))
+    const winner = ranked.length > 1 && ranked[0].net - ranked[1].net > exchanged * EVEN_TRADE_MARGIN
+      ? ranked[0].teamId
+      : null
+    return {
+      leagueId: league.id,
+      transactionId: trade.id || null,
+      status: trade.status || 'proposed',
+      week: trade.week ?? null,
+      asOfWeek: week,
+      remainingWeeks: model.remainingWeeks,
+      sides,
+      winner,
+      realized: completed ? this.realizedValue(league, trade) : null
+    }
+  }
+
+  // What each side actually got out of a completed trade: points the
+  // players they received scored in their starting lineup from the trade
+  // week on, against what the players they sent scored for their new team.
+  realizedValue(league, trade) {
+    const fromWeek = trade.week || 0
+    const started = new Map()
+    const weeks = new Set()
+    currentSeasonMatchups(league)
+      .filter((matchup) => matchup.week >= fromWeek && matchup.teams.some((team) => team.score > 0))
+      .forEach((matchup) => {
+        weeks.add(matchup.week)
+        matchup.teams.forEach((team) => {
+          team.starters.forEach((playerId) => {
+            const key = `${team.id}|${playerId}`
+            started.set(key, (started.get(key) || 0) + ((team.playerPoints || {})[playerId] || 0))
+          })
+        })
+      })
+    if (!weeks.size) return { weeks: 0, sides: [] }
+    const pointsFor = (moves) => round(sum(moves.map((move) => started.get(`${move.teamId}|${move.playerId}`) || 0)))
+    return {
+      weeks: weeks.size,
+      sides: trade.teamIds.map((teamId) => {
+        const received = trade.adds.filter((move) => move.teamId === teamId)
+        const sent = trade.drops
+          .filter((move) => move.teamId === teamId)
+          .map((move) => trade.adds.find((add) => add.playerId === move.playerId) || move)
+        const pointsIn = pointsFor(received)
+        const pointsOut = pointsFor(sent)
+        return { teamId, pointsIn, pointsOut, net: round(pointsIn - pointsOut) }
+      })
+    }
+  }
+
+  async loadLeague(leagueId) {
+    const [matchups, rosters, transactions] = await Promise.all(
+      ['matchups', 'rosters', 'transactions'].map((type) => this.reader.read(leagueId, type))
+    )
+    if (!matchups) return null
+    return { ...matchups.league, matchups: matchups.data, rosters: rosters.data, transactions: transactions.data }
+  }
+
+  async evaluateLeagueTrades(leagueId) {
+    const league = await this.loadLeague(leagueId)
+    if (!league) return null
+    const trades = (league.transactions || []).filter((tx) => tx.type === 'trade' && tx.status === 'complete')
+    const evaluations = []
+    for (const trade of trades) {
+      evaluations.push(await this.evaluateTrade(league, trade))
+    }
+    return evaluations
+  }
+
+  // Writes realized value onto completed trades so transaction ROI reflects
+  // real results: `cost` is what the first team gave up and `proceeds` what
+  // it got back, in fantasy points.
+  async backfillRealizedValue(leagueId, { actor = 'system' } = {}) {
+    const read = await this.reader.read(leagueId, 'matchups')
+    if (!read) return null
+    // Points come from the freshest matchups; the trades updated are the
+    // stored ones, so the write is checked against the version they came from.
+    const league = { ...read.league, matchups: read.data }
+    let updated = 0
+    const transactions = (league.transactions || []).map((tx) => {
+      if (tx.type !== 'trade' || tx.status !== 'complete' || !tx.teamIds.length) return tx
+      const realized = this.realizedValue(league, tx)
+      const side = realized.sides.find((entry) => entry.teamId === tx.teamIds[0])
+      if (!side || (tx.cost === side.pointsOut && tx.proceeds === side.pointsIn)) return tx
+      updated++
+      return { ...tx, cost: side.pointsOut, proceeds: side.pointsIn }
+    })
+    if (!updated) return { leagueId, updated, version: league.version }
+    const saved = await this.leagueService.updateLeague(leagueId, { transactions }, {
+      actor,
+      source: 'trade-analyzer',
+      expectedVersion: league.version
+    })
+    return { leagueId, updated, version: saved.version }
+  }
+
+  async _valuationModel(league, asOfWeek) {
+    const weeklyProjections = (this.projections && await this.projections(league, asOfWeek)) ||
+      recentFormProjection(league, asOfWeek)
+    const slots = rosterSlots(league)
+    const remainingWeeks = Math.max(0, regularSeasonWeeks(league) - asOfWeek + 1)
+    const positionOf = (playerId) => {
+      const info = this.playerRegistry ? this.playerRegistry.lookup(playerId) : null
+      return info ? info.position : null
+    }
+    const weekly = (playerId) => weeklyProjections.get(playerId) || 0
+
+    // Replacement level per position: the best player at that position who
+    // doesn't make any team's optimal lineup. Scarce positions have a low
+    // replacement level, so their starters carry more value.
+    const starters = new Set()
+    ;(league.rosters || []).forEach((roster) => {
+      optimalLineup(roster.players, slots, weekly, positionOf).forEach(({ playerId }) => {
+        if (playerId !== null) starters.add(playerId)
+      })
+    })
+    const replacement = new Map()
+    ;(league.rosters || []).flatMap((roster) => roster.players).forEach((playerId) => {
+      if (starters.has(playerId)) return
+      const position = positionOf(playerId)
+      replacement.set(position, Math.max(replacement.get(position) || 0, weekly(playerId)))
+    })
+    const vor = (playerId) => Math.max(0, weekly(playerId) - (replacement.get(positionOf(playerId)) || 0)) * remainingWeeks
+
+    const teams = (league.rosters || []).length || 12
+    const topWeeklyVor = Math.max(0, ...[...weeklyProjections.keys()].map((playerId) =>
+      weekly(playerId) - (replacement.get(positionOf(playerId)) || 0)))
+    const firstPickValue = topWeeklyVor * regularSeasonWeeks(league)
+    // Picks for a known slot use it; otherwise assume the middle of the round.
+    const pickValue = (pick) => {
+      const slot = pick.pickNumber || Math.ceil(teams / 2)
+      const overall = (pick.round - 1) * teams + slot
+      const seasonsOut = league.season != null && pick.season != null ? Math.max(0, pick.season - league.season) : 0
+      return firstPickValue * pickCurve(overall) * FUTURE_SEASON_DISCOUNT ** seasonsOut
+    }
+
+    return { slots, remainingWeeks, positionOf, weekly, vor, pickValue }
+  }
+}
+
+module.exports = {
+  TradeAnalyzer,
+  parseTradeProposal,
+  pickCurve
+}
@@ -20,6 +20,7 @@ class DuplicateEmailError extends Error {
 const LeagueAccountSchema = new Schema({
   provider: { type: String, required: true, enum: ['espn', 'yahoo', 'sleeper', 'nfl'] },
   leagueId: { type: String, required: true },
+  teamId: { type: String },
   accessToken: { type: String, required: true },
   refreshToken: { type: String },
   tokenExpiresAt: { type: Date },
@@ -61,7 +62,7 @@ UserSchema.methods.generateAuthToken = function() {
 UserSchema.methods.linkLeagueAccount = async function(account) {
   const { provider, leagueId } = account
   const idx = this.leagueAccounts.findIndex(a => a.provider === provider && a.leagueId === leagueId)
-  const allowedFields = ['accessToken', 'refreshToken', 'tokenExpiresAt', 'lastSyncAt', 'active']
+  const allowedFields = ['teamId', 'accessToken', 'refreshToken', 'tokenExpiresAt', 'lastSyncAt', 'active']
   if (idx >= 0) {
     const sub = this.leagueAccounts[idx]
     allowedFields.forEach(key => {
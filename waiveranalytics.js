@@ -0,0 +1,229 @@
+const { nextWeek } = require('./projectionservice')
+
+// Sleeper's default when a league doesn't set waiver_budget.
+const DEFAULT_FAAB_BUDGET = 100
+// Below this many winning bids at a position the recommender uses every
+// position's bids instead.
+const MIN_POSITION_SAMPLES = 3
+// Which quantile of past winning bids to recommend, by the player's
+// projected rank among available players at their position.
+const BID_TIERS = [
+  { maxRank: 1, quantile: 0.9 },
+  { maxRank: 3, quantile: 0.75 },
+  { maxRank: 10, quantile: 0.5 }
+]
+const DEEP_TIER_QUANTILE = 0.25
+const DEFAULT_AVAILABLE_LIMIT = 25
+
+const round = (value, digits = 2) => Number(value.toFixed(digits))
+
+// Linear interpolation between the closest ranks; `sorted` is ascending.
+function quantile(sorted, q) {
+  if (!sorted.length) return null
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+function faabBudget(league) {
+  const budget = Number(league.settings?.waiver_budget)
+  return budget > 0 ? budget : DEFAULT_FAAB_BUDGET
+}
+
+function currentSeasonWaivers(league) {
+  return (league.transactions || []).filter((tx) =>
+    tx.type === 'waiver' && tx.faabBid != null &&
+    (league.season == null || tx.season == null || Number(tx.season) === Number(league.season)))
+}
+
+function claimOf(tx) {
+  const add = tx.adds[0] || null
+  return {
+    transactionId: tx.id,
+    week: tx.week,
+    date: tx.date,
+    teamId: add ? add.teamId : tx.teamIds[0] || null,
+    playerId: add ? add.playerId : null,
+    bid: tx.faabBid,
+    won: tx.status === 'complete'
+  }
+}
+
+class WaiverAnalytics {
+  // `projections` is a ProjectionService; without projections for the week
+  // the best available list falls back to Sleeper's player rank.
+  constructor({ leagueService, reader, playerRegistry = null, projections = null } = {}) {
+    this.leagueService = leagueService
+    this.reader = reader
+    this.playerRegistry = playerRegistry
+    this.projections = projections
+  }
+
+  // Reads through LeagueDataReader so claims and the player pool match the
+  // (possibly cached) data the dashboards show.
+  async loadLeague(leagueId) {
+    const [transactions, rosters, matchups] = await Promise.all(
+      ['transactions', 'rosters', 'matchups'].map((type) => this.reader.read(leagueId, type))
+    )
+    if (!transactions) return null
+    return { ...transactions.league, transactions: transactions.data, rosters: rosters.data, matchups: matchups.data }
+  }
+
+  describePlayer(playerId) {
+    const info = this.playerRegistry && playerId ? this.playerRegistry.lookup(playerId) : null
+    return { playerId, playerName: info ? info.fullName : null, position: info ? info.position : null }
+  }
+
+  claims(league) {
+    return currentSeasonWaivers(league).map((tx) => {
+      const claim = claimOf(tx)
+      return { ...claim, ...this.describePlayer(claim.playerId) }
+    })
+  }
+
+  // FAAB spent and remaining per team plus winning-bid history by position.
+  summarize(league) {
+    const budget = faabBudget(league)
+    const claims = this.claims(league)
+    const teams = new Map((league.rosters || []).map((roster) => [roster.teamId, {
+      teamId: roster.teamId,
+      teamName: roster.teamName,
+      budget,
+      spent: 0,
+      remaining: budget,
+      claimsWon: 0,
+      claimsLost: 0,
+      largestBid: null
+    }]))
+    claims.forEach((claim) => {
+      if (!teams.has(claim.teamId)) return
+      const team = teams.get(claim.teamId)
+      if (!claim.won) {
+        team.claimsLost += 1
+        return
+      }
+      team.claimsWon += 1
+      team.spent += claim.bid
+      if (!team.largestBid || claim.bid > team.largestBid.bid) {
+        team.largestBid = { playerId: claim.playerId, playerName: claim.playerName, week: claim.week, bid: claim.bid }
+      }
+    })
+    teams.forEach((team) => {
+      team.remaining = Math.max(0, budget - team.spent)
+      team.averageWinningBid = team.claimsWon ? round(team.spent / team.claimsWon) : null
+    })
+
+    const won = claims.filter((claim) => claim.won)
+    const byPosition = new Map()
+    won.forEach((claim) => {
+      const position = claim.position || 'UNKNOWN'
+      if (!byPosition.has(position)) byPosition.set(position, [])
+      byPosition.get(position).push(claim)
+    })
+    const positions = [...byPosition].map(([position, history]) => {
+      const bids = history.map((claim) => claim.bid).sort((a, b) => a - b)
+      return {
+        position,
+        claims: bids.length,
+        totalSpent: bids.reduce((total, bid) => total + bid, 0),
+        averageBid: round(bids.reduce((total, bid) => total + bid, 0) / bids.length),
+        medianBid: round(quantile(bids, 0.5)),
+        maxBid: bids[bids.length - 1],
+        history: history
+          .sort((a, b) => (a.week ?? 0) - (b.week ?? 0) || b.bid - a.bid)
+          .map(({ week, date, teamId, playerId, playerName, bid }) => ({
+            week, date, teamId, playerId, playerName, bid, pctOfBudget: round(bid / budget * 100, 1)
+          }))
+      }
+    }).sort((a, b) => b.totalSpent - a.totalSpent)
+
+    return {
+      leagueId: league.id,
+      season: league.season,
+      budget,
+      teams: [...teams.values()].sort((a, b) => b.remaining - a.remaining),
+      positions
+    }
+  }
+
+  // Suggests a bid from what this league has paid for players at the same
+  // position, pitched higher for players projected near the top of what is
+  // available and capped at the team's remaining budget.
+  async recommendBid(league, playerId, { teamId, week = nextWeek(league) } = {}) {
+    const player = this.describePlayer(String(playerId))
+    const points = this.projections ? await this.projections.weeklyPoints(league, week) : null
+    let rank = null
+    if (points && points.has(player.playerId)) {
+      const rostered = new Set((league.rosters || []).flatMap((roster) => roster.players))
+      const projected = points.get(player.playerId)
+      rank = 1 + [...points].filter(([otherId, other]) => otherId !== player.playerId && !rostered.has(otherId) &&
+        other > projected && this.describePlayer(otherId).position === player.position).length
+    }
+    return { ...this._recommend(league, player.playerId, { teamId, rank }), week }
+  }
+
+  _recommend(league, playerId, { teamId, rank = null, summary = this.summarize(league) } = {}) {
+    const player = this.describePlayer(String(playerId))
+    const budget = summary.budget
+    const share = (claims) => claims.map((claim) => claim.bid / budget).sort((a, b) => a - b)
+    const atPosition = summary.positions.find((entry) => entry.position === player.position)
+    let basis = 'position'
+    let shares = atPosition ? share(atPosition.history) : []
+    if (shares.length < MIN_POSITION_SAMPLES) {
+      basis = 'league'
+      shares = share(summary.positions.flatMap((entry) => entry.history))
+    }
+    const minBid = Number(league.settings?.waiver_bid_min) || 0
+    const team = teamId ? summary.teams.find((entry) => entry.teamId === String(teamId)) : null
+    const cap = team ? team.remaining : budget
+    const tier = rank == null ? null : BID_TIERS.find((entry) => rank <= entry.maxRank)
+    const q = rank == null ? 0.5 : tier ? tier.quantile : DEEP_TIER_QUANTILE
+    const toBid = (value) => Math.min(cap, Math.max(minBid, Math.round(value * budget)))
+    return {
+      ...player,
+      rank,
+      recommendedBid: shares.length ? toBid(quantile(shares, q)) : Math.min(cap, minBid),
+      range: shares.length ? { low: toBid(quantile(shares, 0.25)), high: toBid(quantile(shares, 0.9)) } : null,
+      basis: shares.length ? basis : 'none',
+      sampleSize: shares.length,
+      remainingBudget: team ? team.remaining : null
+    }
+  }
+
+  // Unrostered players ranked by projected points for `week`, each with a
+  // recommended bid.
+  async bestAvailable(league, { week = nextWeek(league), position, teamId, limit = DEFAULT_AVAILABLE_LIMIT } = {}) {
+    const rostered = new Set((league.rosters || []).flatMap((roster) => roster.players))
+    const wanted = position ? String(position).toUpperCase() : null
+    const points = this.projections ? await this.projections.weeklyPoints(league, week) : null
+    let candidates
+    if (points) {
+      candidates = [...points]
+        .filter(([playerId]) => !rostered.has(playerId))
+        .map(([playerId, projected]) => ({ ...this.describePlayer(playerId), projected: round(projected) }))
+        .sort((a, b) => b.projected - a.projected)
+    } else {
+      candidates = (this.playerRegistry ? this.playerRegistry.search('', { position: wanted, limit: rostered.size + limit * 4 }) : [])
+        .filter((player) => player.team && !rostered.has(player.id))
+        .map((player) => ({ ...this.describePlayer(player.id), projected: null }))
+    }
+    if (wanted) candidates = candidates.filter((player) => player.position === wanted)
+
+    const summary = this.summarize(league)
+    const positionRanks = new Map()
+    const players = candidates.slice(0, limit).map((player) => {
+      const rank = (positionRanks.get(player.position) || 0) + 1
+      positionRanks.set(player.position, rank)
+      const { recommendedBid, range } = this._recommend(league, player.playerId, { teamId, rank, summary })
+      return { ...player, positionRank: rank, recommendedBid, bidRange: range }
+    })
+    return { leagueId: league.id, week, hasProjections: Boolean(points), players }
+  }
+}
+
+module.exports = {
+  DEFAULT_FAAB_BUDGET,
+  WaiverAnalytics,
+  faabBudget
+}